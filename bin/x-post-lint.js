@@ -0,0 +1,490 @@
+#!/usr/bin/env node
+/**
+ * x-post-lint
+ *
+ * Runs the analysis engine over post drafts from the command line:
+ * single text files, stdin, or a CSV / JSONL content calendar.
+ * Exits non-zero when a post scores under the threshold or carries a
+ * warning at or above the --fail-on severity, so it can gate a review step.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import {
+  SCHEMA_VERSION,
+  WEIGHT_PROFILES,
+  analyzePost,
+  generateOptimizedVariants,
+  generatePostingStrategy
+} from '../lib/algorithm-engine.js';
+import { BUILTIN_PACKS, compileRuleSet, parseRulePack } from '../lib/rule-packs.js';
+import { LANGUAGES } from '../lib/language.js';
+import { parseCsv } from '../lib/csv.js';
+import { parseAnalyticsCsv } from '../lib/analytics.js';
+import { validateLibrary } from '../lib/library.js';
+import { buildCorpus, historyFromAnalytics, historyFromLibrary } from '../lib/similarity.js';
+import { parsePollDuration, formatPollDuration } from '../lib/post-types.js';
+
+// ============================================
+// CONFIG
+// ============================================
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const MEDIA_TYPES = ['none', 'image', 'video', 'thread'];
+const TONES = ['announcement', 'GM', 'lore', 'educational', 'meme'];
+const FORMATS = ['table', 'json', 'markdown'];
+const INPUT_TYPES = ['text', 'csv', 'jsonl'];
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, none: Infinity };
+
+const DEFAULT_MIN_SCORE = 50;
+
+const USAGE = `Usage: x-post-lint [options] [file ...]
+
+Analyze post drafts against the X algorithm engine. Reads stdin when no file
+(or "-") is given. .csv and .jsonl files are content calendars with one post
+per row; any other file is a single post.
+
+Post options (calendar columns of the same name win over these):
+  --goal <goal>        ${Object.keys(WEIGHT_PROFILES).join(', ')} (default: awareness)
+  --media <type>       ${MEDIA_TYPES.join(', ')} (default: none)
+  --tone <tone>        ${TONES.join(', ')}
+  --has-link           The post will carry an external link
+  --post-at <datetime> Planned posting time, ISO 8601
+  --lang <code>        ${Object.keys(LANGUAGES).join(', ')} or auto (default: auto - detected per post)
+  --poll <options>     Make it a poll; options separated by "|", e.g. "Fire|Water|Grass"
+  --poll-duration <d>  How long the poll runs: minutes or 30m, 6h, 1d (default: 1d)
+  --quote <text>       Make it a quote post of this text; the draft is the commentary
+
+Rules:
+  --rules <file>       Stack a rule pack JSON on the built-in packs (repeatable)
+  --no-campaign        Skip campaign rule validation
+  --no-style           Skip the brand style guide
+  --history <file>     Warn on near-duplicates of past posts: an X analytics CSV
+                       export or a post library JSON export (repeatable)
+
+Output:
+  -f, --format <fmt>   ${FORMATS.join(', ')} (default: table)
+  --input <type>       Treat every input as ${INPUT_TYPES.join(', ')}
+
+Exit status:
+  --min-score <n>      Fail posts scoring under n (default: ${DEFAULT_MIN_SCORE})
+  --fail-on <level>    Fail posts with a warning at or above high, medium, low, or none (default: high)
+
+  0 all posts passed, 1 at least one post failed, 2 usage or input error
+`;
+
+// ============================================
+// MAIN
+// ============================================
+
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        goal: { type: 'string' },
+        media: { type: 'string' },
+        tone: { type: 'string' },
+        'has-link': { type: 'boolean' },
+        'post-at': { type: 'string' },
+        lang: { type: 'string' },
+        poll: { type: 'string' },
+        'poll-duration': { type: 'string' },
+        quote: { type: 'string' },
+        rules: { type: 'string', multiple: true },
+        'no-campaign': { type: 'boolean' },
+        'no-style': { type: 'boolean' },
+        history: { type: 'string', multiple: true },
+        format: { type: 'string', short: 'f', default: 'table' },
+        input: { type: 'string' },
+        'min-score': { type: 'string', default: String(DEFAULT_MIN_SCORE) },
+        'fail-on': { type: 'string', default: 'high' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    return usageError(error.message);
+  }
+
+  const { values, positionals } = args;
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return EXIT_OK;
+  }
+
+  const minScore = Number(values['min-score']);
+  if (!Number.isFinite(minScore)) return usageError(`--min-score must be a number, got "${values['min-score']}"`);
+  if (!(values['fail-on'] in SEVERITY_RANK)) return usageError(`--fail-on must be one of ${Object.keys(SEVERITY_RANK).reverse().join(', ')}`);
+  if (!FORMATS.includes(values.format)) return usageError(`--format must be one of ${FORMATS.join(', ')}`);
+  if (values.input && !INPUT_TYPES.includes(values.input)) return usageError(`--input must be one of ${INPUT_TYPES.join(', ')}`);
+
+  let defaults, rules, history, posts;
+  try {
+    defaults = toPostOptions({
+      goal: values.goal,
+      media: values.media,
+      tone: values.tone,
+      hasLink: values['has-link'],
+      postAt: values['post-at'],
+      language: values.lang,
+      poll: values.poll,
+      pollDuration: values['poll-duration'],
+      quote: values.quote
+    }, 'flags');
+
+    const packs = await Promise.all((values.rules || []).map(async file => parseRulePack(await readFile(file, 'utf8'))));
+    rules = compileRuleSet([...BUILTIN_PACKS, ...packs]);
+
+    if (values.history) {
+      const past = await Promise.all(values.history.map(readHistory));
+      history = buildCorpus(past.flat());
+    }
+
+    if (!positionals.length && process.stdin.isTTY) return usageError('No input - pass a file or pipe a post on stdin');
+    const inputs = positionals.length ? positionals : ['-'];
+    posts = (await Promise.all(inputs.map(input => readPosts(input, values.input)))).flat();
+  } catch (error) {
+    process.stderr.write(`x-post-lint: ${error.message}\n`);
+    return EXIT_USAGE;
+  }
+
+  if (!posts.length) {
+    process.stderr.write('x-post-lint: no posts found in the input\n');
+    return EXIT_USAGE;
+  }
+
+  const reports = posts.map(post => lintPost(post, {
+    defaults,
+    rules,
+    history,
+    campaign: !values['no-campaign'],
+    style: !values['no-style'],
+    minScore,
+    failOn: values['fail-on']
+  }));
+
+  const summary = {
+    total: reports.length,
+    passed: reports.filter(r => r.status === 'pass').length,
+    failed: reports.filter(r => r.status === 'fail').length,
+    minScore,
+    failOn: values['fail-on']
+  };
+
+  const formatters = { table: formatTable, json: formatJson, markdown: formatMarkdown };
+  process.stdout.write(formatters[values.format](reports, summary));
+
+  return summary.failed ? EXIT_FAILED : EXIT_OK;
+}
+
+function usageError(message) {
+  process.stderr.write(`x-post-lint: ${message}\n\n${USAGE}`);
+  return EXIT_USAGE;
+}
+
+// ============================================
+// INPUT
+// ============================================
+
+async function readPosts(input, forcedType) {
+  const isStdin = input === '-';
+  const name = isStdin ? 'stdin' : input;
+  const content = isStdin ? await readStdin() : await readFile(input, 'utf8');
+
+  const type = forcedType || inputType(isStdin ? '' : input);
+
+  if (type === 'csv') {
+    return parseCsv(content).map((row, i) => toPost(row, `${name}:${i + 2}`));
+  }
+
+  if (type === 'jsonl') {
+    return content.split(/\r?\n/).flatMap((line, i) => {
+      if (!line.trim()) return [];
+      const where = `${name}:${i + 1}`;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${where}: invalid JSON - ${error.message}`);
+      }
+      return [toPost(typeof record === 'string' ? { text: record } : record, where)];
+    });
+  }
+
+  const text = content.trim();
+  return text ? [{ id: isStdin ? 'stdin' : basename(input), source: name, text, options: {} }] : [];
+}
+
+function inputType(file) {
+  const ext = extname(file).toLowerCase();
+  if (ext === '.csv') return 'csv';
+  if (ext === '.jsonl' || ext === '.ndjson') return 'jsonl';
+  return 'text';
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Past posts: .json is a post library export, anything else an X analytics CSV
+async function readHistory(file) {
+  const content = await readFile(file, 'utf8');
+  if (extname(file).toLowerCase() !== '.json') {
+    try {
+      return historyFromAnalytics(parseAnalyticsCsv(content));
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${file}: invalid JSON - ${error.message}`);
+  }
+  const { valid, errors } = validateLibrary(data);
+  if (!valid) throw new Error(`${file}: ${errors.join('; ')}`);
+  return historyFromLibrary(data.posts);
+}
+
+// Calendar columns are matched loosely: "Has Link", "has_link" and "hasLink" are the same column
+const COLUMN_ALIASES = {
+  id: ['id', 'postid', 'slug'],
+  text: ['text', 'content', 'post', 'draft', 'copy'],
+  goal: ['goal'],
+  media: ['media', 'mediatype'],
+  tone: ['tone'],
+  hasLink: ['haslink'],
+  link: ['link'],
+  postAt: ['postat', 'scheduledat', 'scheduled', 'datetime', 'publishat'],
+  language: ['language', 'lang', 'locale'],
+  poll: ['poll', 'polloptions'],
+  pollDuration: ['pollduration'],
+  quote: ['quote', 'quoted', 'quotedpost', 'quotetext']
+};
+
+function toPost(record, where) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new Error(`${where}: expected an object or a string`);
+  }
+
+  const fields = {};
+  Object.entries(record).forEach(([key, value]) => {
+    const normalized = key.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const field = Object.keys(COLUMN_ALIASES).find(f => COLUMN_ALIASES[f].includes(normalized));
+    if (field && fields[field] === undefined && value !== '' && value !== null) fields[field] = value;
+  });
+
+  if (typeof fields.text !== 'string' || !fields.text.trim()) {
+    throw new Error(`${where}: missing post text (expected a text, content or post column)`);
+  }
+
+  const { id, text, ...options } = fields;
+  return {
+    id: id !== undefined ? String(id) : where,
+    source: where,
+    text,
+    options: toPostOptions(options, where)
+  };
+}
+
+function toPostOptions({ goal, media, tone, hasLink, link, postAt, language, poll, pollDuration, quote }, where) {
+  const options = {};
+
+  if (goal !== undefined) {
+    if (!WEIGHT_PROFILES[goal]) throw new Error(`${where}: unknown goal "${goal}"`);
+    options.goal = goal;
+  }
+  if (media !== undefined) {
+    if (!MEDIA_TYPES.includes(media)) throw new Error(`${where}: media must be one of ${MEDIA_TYPES.join(', ')}`);
+    options.mediaType = media;
+  }
+  if (tone !== undefined) {
+    const match = TONES.find(t => t.toLowerCase() === String(tone).toLowerCase());
+    if (!match) throw new Error(`${where}: tone must be one of ${TONES.join(', ')}`);
+    options.tone = match;
+  }
+  if (hasLink !== undefined) {
+    options.hasLink = typeof hasLink === 'boolean' ? hasLink : /^(true|yes|y|1|x)$/i.test(String(hasLink).trim());
+  } else if (link !== undefined) {
+    // A link column usually holds the URL itself, so anything but a "no" means there is one
+    options.hasLink = typeof link === 'boolean' ? link : !/^(false|no|n|0|none|-)$/i.test(String(link).trim());
+  }
+  if (postAt !== undefined) {
+    if (Number.isNaN(new Date(postAt).getTime())) throw new Error(`${where}: post time "${postAt}" is not a valid date`);
+    options.postAt = postAt;
+  }
+  if (language !== undefined) {
+    const code = String(language).trim().toLowerCase();
+    if (code !== 'auto' && !LANGUAGES[code]) throw new Error(`${where}: language must be one of ${Object.keys(LANGUAGES).join(', ')} or auto`);
+    options.language = code;
+  }
+  if (poll !== undefined) {
+    const pollOptions = Array.isArray(poll) ? poll.map(String) : String(poll).split('|');
+    options.poll = { options: pollOptions.map(option => option.trim()).filter(Boolean) };
+  }
+  if (pollDuration !== undefined) {
+    const minutes = parsePollDuration(pollDuration);
+    if (minutes === null) throw new Error(`${where}: poll duration "${pollDuration}" must be minutes or like 30m, 6h, 1d`);
+    options.pollDuration = minutes;
+  }
+  if (quote !== undefined) {
+    options.quote = { text: String(quote) };
+  }
+
+  return options;
+}
+
+// ============================================
+// LINTING
+// ============================================
+
+function lintPost(post, { defaults, rules, history, campaign, style, minScore, failOn }) {
+  // Poll options and duration can come from different places: a calendar row's options with the flag's duration
+  const { pollDuration, ...postOptions } = { ...defaults, ...post.options };
+  if (postOptions.poll && pollDuration !== undefined) postOptions.poll = { ...postOptions.poll, duration: pollDuration };
+  const options = { ...postOptions, rules, history, campaign, style };
+
+  const analysis = analyzePost(post.text, options);
+  const variants = generateOptimizedVariants(post.text, analysis, options);
+  const strategy = generatePostingStrategy(analysis, options);
+
+  const failures = [];
+  if (analysis.scores.overall < minScore) {
+    failures.push(`Score ${analysis.scores.overall} is under ${minScore}`);
+  }
+  analysis.warnings
+    .filter(w => SEVERITY_RANK[w.severity] >= SEVERITY_RANK[failOn])
+    .forEach(w => failures.push(`${w.severity}: ${w.message}${w.source ? ` (${w.source.pack}/${w.source.rule})` : ''}`));
+
+  const { rules: _rules, history: _history, ...reportedOptions } = options;
+  return {
+    id: post.id,
+    source: post.source,
+    options: reportedOptions,
+    status: failures.length ? 'fail' : 'pass',
+    failures,
+    analysis,
+    variants,
+    strategy
+  };
+}
+
+// ============================================
+// OUTPUT
+// ============================================
+
+function formatJson(reports, summary) {
+  return JSON.stringify({ schemaVersion: SCHEMA_VERSION, summary, posts: reports }, null, 2) + '\n';
+}
+
+function formatTable(reports, summary) {
+  const rows = reports.map(r => ({
+    id: r.id,
+    score: String(r.analysis.scores.overall),
+    weighted: String(r.analysis.scores.weighted),
+    chars: `${r.analysis.charCount}/280`,
+    lang: r.analysis.language.locale,
+    warnings: countSeverities(r.analysis.warnings),
+    status: r.status === 'pass' ? 'PASS' : 'FAIL',
+    preview: preview(r.analysis.text, 48)
+  }));
+
+  const columns = [
+    ['id', 'ID'], ['score', 'SCORE'], ['weighted', 'WEIGHTED'], ['chars', 'CHARS'], ['lang', 'LANG'],
+    ['warnings', 'H/M/L'], ['status', 'STATUS'], ['preview', 'POST']
+  ];
+  const widths = columns.map(([key, label]) => Math.max(label.length, ...rows.map(row => row[key].length)));
+  const line = cells => cells.map((cell, i) => i === cells.length - 1 ? cell : cell.padEnd(widths[i])).join('  ');
+
+  const out = [
+    line(columns.map(([, label]) => label)),
+    ...rows.map(row => line(columns.map(([key]) => row[key])))
+  ];
+
+  reports.filter(r => r.status === 'fail').forEach(r => {
+    out.push('', `${r.id} (${r.source})`);
+    r.failures.forEach(f => out.push(`  ✗ ${f}`));
+  });
+
+  out.push('', `${summary.passed}/${summary.total} passed (min score ${summary.minScore}, fail on ${summary.failOn})`);
+  return out.join('\n') + '\n';
+}
+
+function formatMarkdown(reports, summary) {
+  const out = [
+    '# Post Review',
+    '',
+    `${summary.passed}/${summary.total} passed · min score ${summary.minScore} · fail on ${summary.failOn}`,
+    '',
+    '| Post | Score | Weighted | Chars | Lang | H/M/L | Status |',
+    '|------|-------|----------|-------|------|-------|--------|',
+    ...reports.map(r => `| ${escapeCell(r.id)} | ${r.analysis.scores.overall} | ${r.analysis.scores.weighted} | ${r.analysis.charCount}/280 | ${r.analysis.language.locale} | ${countSeverities(r.analysis.warnings)} | ${r.status === 'pass' ? '✅ pass' : '❌ fail'} |`)
+  ];
+
+  reports.forEach(r => {
+    out.push('', `## ${r.id}`, '', '```', r.analysis.text, '```', '');
+
+    if (r.analysis.poll) {
+      out.push(`**Poll (${formatPollDuration(r.analysis.poll.duration)}):** ${r.analysis.poll.options.map(o => escapeCell(o.text)).join(' · ')}`, '');
+    }
+    if (r.analysis.quote) {
+      out.push('**Quoting:**', '', ...r.options.quote.text.split('\n').map(line => `> ${line}`), '');
+    }
+
+    if (r.failures.length) {
+      out.push('**Failed:**', '', ...r.failures.map(f => `- ${f}`), '');
+    }
+
+    if (r.analysis.warnings.length) {
+      out.push('**Warnings:**', '', ...r.analysis.warnings.map(w =>
+        `- **${w.severity}** ${w.message}${w.fix ? ` — ${w.fix}` : ''}${w.source ? ` \`${w.source.pack}/${w.source.rule}\`` : ''}`
+      ), '');
+    }
+
+    const recs = r.analysis.recommendations.filter(rec => rec.priority !== 'low');
+    if (recs.length) {
+      out.push('**Recommendations:**', '', ...recs.map(rec => `- ${rec.action} — ${rec.algorithmBenefit}`), '');
+    }
+
+    const [primary] = r.variants;
+    if (primary && primary.content !== r.analysis.text.trim()) {
+      out.push(`**${primary.type}:**`, '', '```', primary.content, '```', '');
+    }
+
+    out.push(`**Strategy:** ${r.strategy.format} post. ${r.strategy.formatReason}.${r.strategy.linkReason ? ` ${r.strategy.linkReason}.` : ''}`);
+  });
+
+  return out.join('\n') + '\n';
+}
+
+function countSeverities(warnings) {
+  return ['high', 'medium', 'low'].map(s => warnings.filter(w => w.severity === s).length).join('/');
+}
+
+function preview(text, length) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > length ? flat.slice(0, length - 1) + '…' : flat;
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, error => {
+  process.stderr.write(`x-post-lint: ${error.stack || error.message}\n`);
+  process.exitCode = EXIT_USAGE;
+});
@@ -7,6 +7,27 @@
  * and provides scoring and recommendations grounded in the official spec.
  */
 
+import { countCharacters, findUrls } from './char-count.js';
+import { splitThread, scoreThread } from './thread-builder.js';
+import { CAMPAIGN_RULES, validateCampaignPost } from './campaign-rules.js';
+import { generateDynamicTips } from './dynamic-tips.js';
+import { DEFAULT_RULE_SET, localizeRuleSet } from './rule-packs.js';
+import { planFixes, applyFixes } from './auto-fix.js';
+import { buildCorpus, checkDuplicates } from './similarity.js';
+import { LANGUAGES, detectLanguage, segmentWords, segmentSentences } from './language.js';
+import { MAX_IMAGES, MAX_VIDEO_SECONDS, MIN_VIDEO_SECONDS, MIN_IMAGE_WIDTH, assessMedia, formatDuration } from './media.js';
+import { checkStyle } from './style-guide.js';
+import { findPlaceholders } from './presets.js';
+import { POLL_MIN_OPTIONS, POLL_MAX_OPTIONS, POLL_OPTION_MAX_LENGTH, POLL_MIN_MINUTES, POLL_MAX_MINUTES, assessPoll, assessQuote, formatPollDuration } from './post-types.js';
+
+export { CAMPAIGN_RULES, validateCampaignPost, generateDynamicTips };
+
+/**
+ * Version of the analyzePost result schema
+ * Bump the major version when fields are renamed or removed
+ */
+export const SCHEMA_VERSION = '1.7.0';
+
 // ============================================
 // X ALGORITHM KNOWLEDGE BASE
 // Source: xai-org/x-algorithm README.md & phoenix/README.md
@@ -134,68 +155,209 @@ export const X_ALGORITHM_SPEC = {
 };
 
 // ============================================
-// ANALYSIS PATTERNS
-// Derived from algorithm understanding
+// WEIGHTED SCORER PROFILES
+// Weights for Final Score = Σ (weight_i × P(action_i))
 // ============================================
 
-const PATTERNS = {
-  // Patterns that boost P(reply)
-  replyBoosters: [
-    { pattern: /\?/, weight: 12, reason: 'Questions trigger reply behavior' },
-    { pattern: /\b(what do you think|thoughts\?|agree\?|disagree\?)\b/i, weight: 8, reason: 'Direct conversation invitations' },
-    { pattern: /\b(hot take|unpopular opinion)\b/i, weight: 6, reason: 'Debate-starting language' }
-  ],
+/**
+ * All 15 Phoenix action ids, positive first
+ */
+export const ACTION_IDS = [
+  ...X_ALGORITHM_SPEC.predictions.positive,
+  ...X_ALGORITHM_SPEC.predictions.negative
+].map(p => p.id);
+
+// Negative actions share the same penalties in every built-in profile
+const NEGATIVE_WEIGHTS = {
+  'P(not_interested)': -2,
+  'P(block_author)': -4,
+  'P(mute_author)': -3,
+  'P(report)': -6
+};
 
-  // Patterns that boost P(click) / P(profile_click)
-  clickBoosters: [
-    { pattern: /\b(check out|try|join|see|discover|explore|grab|get|claim|learn more)\b/i, weight: 8, reason: 'Call-to-action verbs' },
-    { pattern: /\b(link in bio|link below)\b/i, weight: 5, reason: 'Link reference' }
-  ],
+/**
+ * Built-in weight profiles, keyed by the `goal` option
+ */
+export const WEIGHT_PROFILES = {
+  awareness: {
+    name: 'Awareness',
+    description: 'Favors reposts, shares and dwell to widen distribution',
+    weights: {
+      'P(favorite)': 1, 'P(reply)': 1, 'P(repost)': 2, 'P(quote)': 1, 'P(click)': 0.3,
+      'P(profile_click)': 0.5, 'P(video_view)': 0.8, 'P(photo_expand)': 0.8, 'P(share)': 2,
+      'P(dwell)': 1.5, 'P(follow_author)': 0.5,
+      ...NEGATIVE_WEIGHTS
+    }
+  },
+  traffic: {
+    name: 'Traffic',
+    description: 'Favors link and profile clicks',
+    weights: {
+      'P(favorite)': 0.5, 'P(reply)': 0.8, 'P(repost)': 1, 'P(quote)': 0.5, 'P(click)': 3,
+      'P(profile_click)': 1, 'P(video_view)': 0.3, 'P(photo_expand)': 0.3, 'P(share)': 1.5,
+      'P(dwell)': 1, 'P(follow_author)': 0.5,
+      ...NEGATIVE_WEIGHTS
+    }
+  },
+  follows: {
+    name: 'Follows',
+    description: 'Favors follow intent and profile visits',
+    weights: {
+      'P(favorite)': 0.8, 'P(reply)': 1.5, 'P(repost)': 1, 'P(quote)': 1, 'P(click)': 0.3,
+      'P(profile_click)': 2, 'P(video_view)': 0.5, 'P(photo_expand)': 0.5, 'P(share)': 0.5,
+      'P(dwell)': 1, 'P(follow_author)': 3,
+      ...NEGATIVE_WEIGHTS
+    }
+  },
+  engagement: {
+    name: 'Engagement',
+    description: 'Favors replies, quotes and likes',
+    weights: {
+      'P(favorite)': 1, 'P(reply)': 2, 'P(repost)': 1.5, 'P(quote)': 1.5, 'P(click)': 0.5,
+      'P(profile_click)': 0.5, 'P(video_view)': 0.5, 'P(photo_expand)': 0.5, 'P(share)': 1,
+      'P(dwell)': 1, 'P(follow_author)': 1,
+      ...NEGATIVE_WEIGHTS
+    }
+  }
+};
 
-  // Patterns that boost P(favorite)
-  favoriteBoosters: [
-    { pattern: /\b(excited|huge|incredible|amazing|finally|love)\b/i, weight: 7, reason: 'Emotional resonance' },
-    { pattern: /[\u{1F300}-\u{1F9FF}]/u, weight: 4, reason: 'Emoji engagement' }
-  ],
+const DEFAULT_PROFILE = 'awareness';
 
-  // Patterns that boost P(repost) / P(share)
-  shareBoosters: [
-    { pattern: /\b(thread|breakdown|guide|tips|how to)\b/i, weight: 8, reason: 'Shareable educational content' },
-    { pattern: /\b(announcement|introducing|launching|releasing)\b/i, weight: 6, reason: 'News-worthy content' }
-  ],
+/**
+ * Register a custom weight profile
+ * @param {string} id - Profile id, usable as `goal` or `weightProfile`
+ * @param {Object} profile - { name, description, weights }
+ * @returns {Object} The registered profile
+ */
+export function registerWeightProfile(id, profile = {}) {
+  const weights = validateWeights(profile.weights);
+  WEIGHT_PROFILES[id] = {
+    name: profile.name || id,
+    description: profile.description || 'Custom profile',
+    weights: { ...WEIGHT_PROFILES[DEFAULT_PROFILE].weights, ...weights }
+  };
+  return WEIGHT_PROFILES[id];
+}
 
-  // Patterns that boost P(follow_author)
-  followBoosters: [
-    { pattern: /\b(we|our|community|fam|frens)\b/i, weight: 6, reason: 'Community language' },
-    { pattern: /\bgm\b/i, weight: 4, reason: 'GM culture participation' },
-    { pattern: /\b(building|shipping|working on)\b/i, weight: 5, reason: 'Builder credibility' }
-  ],
+/**
+ * Resolve the weight profile for a set of analysis options
+ * `weightProfile` (id or inline profile) wins over `goal`
+ * @param {Object} options - Analysis options
+ * @returns {Object} { id, name, description, weights }
+ */
+export function resolveWeightProfile(options = {}) {
+  const { weightProfile, goal } = options;
+  const baseId = WEIGHT_PROFILES[goal] ? goal : DEFAULT_PROFILE;
 
-  // Patterns that trigger negative signals
-  negativeTriggers: [
-    { pattern: /\b(buy now|limited time|act now|dont miss)\b/i, weight: -15, signal: 'P(not_interested)', reason: 'Hard sell language' },
-    { pattern: /\b(100x|guaranteed|free money|get rich)\b/i, weight: -20, signal: 'P(report)', reason: 'Scam-associated language' },
-    { pattern: /\b(like if|rt if|retweet to|follow for|drop a)\b/i, weight: -12, signal: 'P(not_interested)', reason: 'Engagement bait' }
-  ],
+  if (typeof weightProfile === 'string') {
+    if (!WEIGHT_PROFILES[weightProfile]) {
+      throw new Error(`Unknown weight profile: ${weightProfile}`);
+    }
+    return { id: weightProfile, ...WEIGHT_PROFILES[weightProfile] };
+  }
 
-  // Patterns that risk MutedKeywordFilter
-  mutedRiskPatterns: [
-    { pattern: /\b(airdrop|whitelist|presale)\b/i, risk: 'high', reason: 'Commonly muted crypto terms' },
-    { pattern: /\b(mint price|floor price|paper hands|diamond hands)\b/i, risk: 'medium', reason: 'NFT jargon' }
-  ],
+  if (weightProfile && typeof weightProfile === 'object') {
+    return {
+      id: weightProfile.id || 'custom',
+      name: weightProfile.name || 'Custom',
+      description: weightProfile.description || `Custom overrides on ${WEIGHT_PROFILES[baseId].name}`,
+      weights: { ...WEIGHT_PROFILES[baseId].weights, ...validateWeights(weightProfile.weights) }
+    };
+  }
+
+  return { id: baseId, ...WEIGHT_PROFILES[baseId] };
+}
+
+function validateWeights(weights = {}) {
+  Object.entries(weights).forEach(([id, weight]) => {
+    if (!ACTION_IDS.includes(id)) {
+      throw new Error(`Unknown action in weight profile: ${id}`);
+    }
+    if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+      throw new Error(`Weight for ${id} must be a finite number`);
+    }
+  });
+  return weights;
+}
+
+/**
+ * Weighted Scorer
+ * Combines predictions with Σ (weight_i × P(action_i)); negative weights subtract
+ * @param {Object} predictions - Action id -> probability (0-100)
+ * @param {Object} profile - Resolved weight profile
+ * @returns {Object} { score, raw, max, contributions }
+ */
+export function computeWeightedScore(predictions, profile) {
+  let raw = 0;
+  let max = 0;
+
+  const contributions = ACTION_IDS.map(id => {
+    const weight = profile.weights[id] || 0;
+    const probability = (predictions[id] || 0) / 100;
+    const contribution = weight * probability;
+    raw += contribution;
+    // Actions the post cannot earn (e.g. P(video_view) without video) don't raise the ceiling
+    if (weight > 0 && probability > 0) max += weight;
+    return { id, weight, probability, contribution: Math.round(contribution * 1000) / 1000 };
+  });
+
+  return {
+    score: max > 0 ? Math.max(0, Math.min(100, Math.round((raw / max) * 100))) : 0,
+    raw: Math.round(raw * 1000) / 1000,
+    max,
+    contributions
+  };
+}
 
-  // Spam indicators
-  spamIndicators: [
-    { check: (text) => (text.match(/#\w+/g) || []).length > 3, weight: -8, reason: 'Excessive hashtags' },
-    { check: (text) => (text.match(/[A-Z]/g) || []).length / Math.max(text.length, 1) > 0.5, weight: -10, reason: 'Excessive caps' },
-    { check: (text) => {
-      const words = text.split(/\s+/);
+// ============================================
+// ANALYSIS PATTERNS
+// Regex rules come from rule packs (see rule-packs.js); these checks stay in code
+// ============================================
+
+// Factors produced by engine code rather than a pack rule
+const ENGINE_PACK = 'builtin';
+
+// Spam indicators (drive P(mute_author)), with thresholds from the rule set limits
+// `spans` locates what tripped the indicator
+const SPAM_INDICATORS = [
+  {
+    id: 'excessive-hashtags', limit: 'maxHashtags', weight: -8, reason: 'Excessive hashtags',
+    check: (text, max) => (text.match(/#\w+/g) || []).length > max,
+    spans: text => regexSpans(text, /#\w+/g)
+  },
+  {
+    id: 'excessive-caps', limit: 'maxCapsRatio', weight: -10, reason: 'Excessive caps',
+    check: (text, max) => (text.match(/[A-Z]/g) || []).length / Math.max(text.length, 1) > max,
+    spans: text => regexSpans(text, /\b[A-Z]{2,}\b/g)
+  },
+  {
+    id: 'word-repetition', limit: 'maxWordRepeats', weight: -8, reason: 'Word repetition',
+    check: (text, max, cache) => {
+      const words = segmentWords(text, undefined, cache);
       const freq = {};
-      words.forEach(w => freq[w.toLowerCase()] = (freq[w.toLowerCase()] || 0) + 1);
-      return Math.max(...Object.values(freq)) > 3 && words.length > 10;
-    }, weight: -8, reason: 'Word repetition' }
-  ]
-};
+      words.forEach(({ word }) => freq[word.toLowerCase()] = (freq[word.toLowerCase()] || 0) + 1);
+      return words.length > 10 && Math.max(...Object.values(freq)) > max;
+    },
+    spans: (text, max, cache) => {
+      const words = segmentWords(text, undefined, cache);
+      const freq = {};
+      words.forEach(({ word }) => freq[word.toLowerCase()] = (freq[word.toLowerCase()] || 0) + 1);
+      return words.filter(({ word }) => freq[word.toLowerCase()] > max).map(({ word, start, end }) => ({ start, end, text: word }));
+    }
+  }
+];
+
+// Link shorteners hide the destination, which readers and VFFilter distrust
+const LINK_SHORTENERS = [
+  'bit.ly', 't.co', 'tinyurl.com', 'ow.ly', 'buff.ly', 'goo.gl', 'is.gd', 'rebrand.ly', 'cutt.ly', 'shorturl.at'
+];
+
+// Peak engagement windows (Eastern time)
+const PEAK_WINDOWS = [
+  { start: 7, end: 9, time: '7-9am EST', reason: 'Peak morning engagement for US audiences' },
+  { start: 12, end: 13, time: '12-1pm EST', reason: 'Lunch break scrolling peak' },
+  { start: 18, end: 20, time: '6-8pm EST', reason: 'Evening wind-down peak' }
+];
 
 // ============================================
 // ANALYSIS FUNCTIONS
@@ -205,13 +367,43 @@ const PATTERNS = {
  * Analyze a post against X algorithm factors
  * @param {string} text - The post text
  * @param {Object} options - Analysis options
- * @returns {Object} Analysis results
+ *   { goal, mediaType, media, poll, quote, tone, targetAudience, hasLink, postAt, weightProfile, campaign, style, rules, history, language, segmentCache }
+ *   `rules` is a compiled rule set from compileRuleSet (defaults to the built-in packs)
+ *   `tone` also picks the style guide's per-tone rules
+ *   `history` is past posts ({ id, text, date }) or a corpus from buildCorpus, checked for near-duplicates
+ *   `language` is a language code that skips detection for the locale pack ('auto' or unset detects)
+ *   `media` is attachment metadata ({ kind, width, height, duration, altText, name }, see media.js);
+ *   when present it replaces `mediaType`
+ *   `poll` makes it a poll post: { options: [text], duration } with duration in minutes (see post-types.js)
+ *   `quote` makes it a quote post: { text, author? } of the quoted post; the draft is our commentary
+ *   `segmentCache` (from createSegmentCache) keeps the word, character and emoji segmentation of
+ *   unchanged lines between calls - the bulk of the work on long drafts
+ * @returns {Object} Analysis results (see SCHEMA_VERSION)
  */
 export function analyzePost(text, options = {}) {
+  // The draft's language picks the locale pack layered over the core rules
+  const language = resolveLanguage(text, options.language);
+  const rules = localizeRuleSet(options.rules || DEFAULT_RULE_SET, language.locale);
+
+  // Weighted the way X counts: URLs are 23, emoji and CJK are 2
+  const characters = countCharacters(text, { cache: options.segmentCache });
+
   const results = {
+    schemaVersion: SCHEMA_VERSION,
     text,
-    charCount: text.length,
-    wordCount: text.split(/\s+/).filter(w => w).length,
+    charCount: characters.weightedLength,
+    characters,
+    wordCount: segmentWords(text, language.locale, options.segmentCache).length,
+    language: {
+      locale: language.locale,
+      name: language.name,
+      detected: language.detected,
+      confidence: language.confidence,
+      languages: language.languages,
+      mixed: language.mixed,
+      packs: rules.localePacks.map(pack => pack.id)
+    },
+    rulePacks: rules.packs,
     scores: {},
     predictions: {},
     factors: [],
@@ -220,19 +412,51 @@ export function analyzePost(text, options = {}) {
   };
 
   // Analyze for each prediction type
-  analyzePredictions(text, results);
+  analyzePredictions(text, rules, results);
 
   // Analyze content quality
-  analyzeContentQuality(text, results);
+  analyzeContentQuality(text, rules, results);
+
+  // Flag drafts that switch languages
+  analyzeLanguage(language, results);
+
+  // Flag preset placeholders nobody filled in
+  analyzePlaceholders(text, results);
 
   // Analyze for negative signals
-  analyzeNegativeSignals(text, results);
+  analyzeNegativeSignals(text, rules, options, results);
 
   // Analyze format
-  analyzeFormat(text, options, results);
+  analyzeFormat(results.charCount, options, results);
+
+  // Quote posts are judged on what the commentary adds
+  if (options.quote?.text?.trim()) {
+    analyzeQuote(text, options, results);
+  }
+
+  // Analyze links in the text
+  analyzeLinks(text, options, results);
+
+  // Analyze timing
+  analyzeTiming(text, options, rules, results);
+
+  // Compare against past posts when there are any
+  if (options.history) {
+    analyzeHistory(text, options, results);
+  }
+
+  // Validate against campaign rules when a pack provides them (pass campaign: false to skip)
+  if (options.campaign !== false && rules.campaign) {
+    analyzeCampaign(text, options, rules, results);
+  }
+
+  // Check the brand style guide when a pack provides one (pass style: false to skip)
+  if (options.style !== false && rules.style) {
+    analyzeStyle(text, options, rules, results);
+  }
 
   // Calculate overall score
-  calculateOverallScore(results);
+  calculateOverallScore(results, options);
 
   // Generate recommendations
   generateRecommendations(results, options);
@@ -240,165 +464,589 @@ export function analyzePost(text, options = {}) {
   return results;
 }
 
-function analyzePredictions(text, results) {
+function analyzePredictions(text, rules, results) {
   const predictions = {};
+  const { patterns } = rules;
 
-  // P(reply) analysis
-  let replyScore = 30; // baseline
-  PATTERNS.replyBoosters.forEach(({ pattern, weight, reason }) => {
-    if (pattern.test(text)) {
-      replyScore += weight;
-      results.factors.push({ signal: 'P(reply)', impact: `+${weight}`, reason });
-    }
-  });
-  predictions['P(reply)'] = Math.min(100, replyScore);
-
-  // P(favorite) analysis
-  let favoriteScore = 40;
-  PATTERNS.favoriteBoosters.forEach(({ pattern, weight, reason }) => {
-    if (pattern.test(text)) {
-      favoriteScore += weight;
-      results.factors.push({ signal: 'P(favorite)', impact: `+${weight}`, reason });
-    }
-  });
-  predictions['P(favorite)'] = Math.min(100, favoriteScore);
+  predictions['P(reply)'] = scorePatterns(text, patterns.replyBoosters, 30, 'P(reply)', results);
+  predictions['P(favorite)'] = scorePatterns(text, patterns.favoriteBoosters, 40, 'P(favorite)', results);
 
   // P(click) / P(profile_click) analysis
-  let clickScore = 25;
-  PATTERNS.clickBoosters.forEach(({ pattern, weight, reason }) => {
-    if (pattern.test(text)) {
-      clickScore += weight;
-      results.factors.push({ signal: 'P(click)', impact: `+${weight}`, reason });
-    }
-  });
-  predictions['P(click)'] = Math.min(100, clickScore);
-
-  // P(repost) / P(share) analysis
-  let shareScore = 20;
-  PATTERNS.shareBoosters.forEach(({ pattern, weight, reason }) => {
-    if (pattern.test(text)) {
-      shareScore += weight;
-      results.factors.push({ signal: 'P(repost)', impact: `+${weight}`, reason });
-    }
-  });
-  predictions['P(repost)'] = Math.min(100, shareScore);
-
-  // P(follow_author) analysis
-  let followScore = 25;
-  PATTERNS.followBoosters.forEach(({ pattern, weight, reason }) => {
-    if (pattern.test(text)) {
-      followScore += weight;
-      results.factors.push({ signal: 'P(follow_author)', impact: `+${weight}`, reason });
-    }
-  });
-  predictions['P(follow_author)'] = Math.min(100, followScore);
+  predictions['P(click)'] = scorePatterns(text, patterns.clickBoosters, 25, 'P(click)', results);
+  predictions['P(profile_click)'] = scorePatterns(text, patterns.profileClickBoosters, 20, 'P(profile_click)', results);
+
+  // P(repost) / P(share) analysis - share boosters drive both, external shares are rarer
+  predictions['P(repost)'] = scorePatterns(text, patterns.shareBoosters, 20, 'P(repost)', results);
+  predictions['P(share)'] = Math.min(100, 15 + (predictions['P(repost)'] - 20) / 2);
+
+  predictions['P(quote)'] = scorePatterns(text, patterns.quoteBoosters, 10, 'P(quote)', results);
+  predictions['P(dwell)'] = scorePatterns(text, patterns.dwellBoosters, 30, 'P(dwell)', results);
+  predictions['P(follow_author)'] = scorePatterns(text, patterns.followBoosters, 25, 'P(follow_author)', results);
 
   results.predictions = predictions;
 }
 
-function analyzeContentQuality(text, results) {
+function scorePatterns(text, boosters, baseline, signal, results) {
+  let score = baseline;
+  matchRules(text, boosters).forEach(rule => {
+    score += rule.weight;
+    results.factors.push({ signal, impact: formatImpact(rule.weight), reason: rule.reason, source: ruleSource(rule), spans: ruleSpans(text, rule) });
+  });
+  return Math.min(100, score);
+}
+
+function analyzeContentQuality(text, rules, results) {
   let qualityScore = 60;
 
-  // Information density
-  if (/\b(new|update|launch|feature|announcing|introducing)\b/i.test(text)) {
-    qualityScore += 10;
-    results.factors.push({ signal: 'Content value', impact: '+10', reason: 'Informational content' });
-  }
+  // Information density, specificity and hook strength (hook-scoped rules see the first 120 chars)
+  matchRules(text, rules.patterns.qualityBoosters).forEach(rule => {
+    qualityScore += rule.weight;
+    results.factors.push({ signal: rule.signal, impact: formatImpact(rule.weight), reason: rule.reason, source: ruleSource(rule), spans: ruleSpans(text, rule) });
+  });
 
-  // Specificity
-  if (/\d+/.test(text)) {
-    qualityScore += 8;
-    results.factors.push({ signal: 'Specificity', impact: '+8', reason: 'Contains specific numbers/data' });
-  }
+  results.scores.contentQuality = Math.max(0, Math.min(100, qualityScore));
+}
 
-  // Hook strength (first 120 chars)
-  const hook = text.substring(0, 120);
-  if (/^(NEW|BREAKING|HUGE|FINALLY|JUST|INTRODUCING)/i.test(hook)) {
-    qualityScore += 8;
-    results.factors.push({ signal: 'Hook strength', impact: '+8', reason: 'Strong opening word' });
-  }
+function resolveLanguage(text, locale) {
+  const detected = detectLanguage(text);
+  if (!locale || locale === 'auto') return detected;
+  return { ...detected, locale, name: LANGUAGES[locale]?.name || locale, detected: false };
+}
 
-  results.scores.contentQuality = Math.max(0, Math.min(100, qualityScore));
+function analyzeLanguage(language, results) {
+  if (!language.mixed) return;
+
+  // Each language's audience only reads part of the post, so fewer viewers engage with all of it
+  const [main, second] = language.languages;
+  const source = engineSource('mixed-language');
+  const spans = language.segments
+    .filter(s => s.locale !== language.locale)
+    .map(({ start, end, text }) => ({ start, end, text }));
+  results.scores.contentQuality = Math.max(0, results.scores.contentQuality - 10);
+  results.factors.push({ signal: 'Content value', impact: '-10', reason: `Mixes ${main.name} and ${second.name}`, source, spans });
+  results.warnings.push({
+    type: 'language',
+    severity: 'medium',
+    message: `Mixes ${main.name} (${Math.round(main.share * 100)}%) and ${second.name} (${Math.round(second.share * 100)}%) - each audience only reads part of it`,
+    fix: 'Keep one language per post and put the translation in a reply or its own post',
+    source,
+    spans
+  });
+}
+
+function analyzePlaceholders(text, results) {
+  const spans = findPlaceholders(text).map(({ start, end, text: placeholder }) => ({ start, end, text: placeholder }));
+  if (!spans.length) return;
+
+  const source = engineSource('unfilled-placeholder');
+  const names = [...new Set(spans.map(s => s.text))];
+  results.scores.contentQuality = Math.max(0, results.scores.contentQuality - 20);
+  results.factors.push({ signal: 'Content value', impact: '-20', reason: 'Unfilled template placeholder', source, spans });
+  results.warnings.push({
+    type: 'placeholder',
+    severity: 'high',
+    message: `${names.join(', ')} ${names.length === 1 ? 'is' : 'are'} still in the post - the preset wasn't filled in`,
+    fix: 'Fill in the preset form, or replace the placeholder by hand',
+    source,
+    spans
+  });
 }
 
-function analyzeNegativeSignals(text, results) {
+function analyzeNegativeSignals(text, rules, options, results) {
   let safetyScore = 100;
 
+  // Baselines for the negative Phoenix actions
+  const negatives = {
+    'P(not_interested)': 10,
+    'P(block_author)': 2,
+    'P(mute_author)': 5,
+    'P(report)': 1
+  };
+
   // Check negative triggers
-  PATTERNS.negativeTriggers.forEach(({ pattern, weight, signal, reason }) => {
-    if (pattern.test(text)) {
-      safetyScore += weight; // weight is negative
-      results.factors.push({ signal, impact: `${weight}`, reason });
-      results.warnings.push({ type: signal, message: reason });
-    }
+  matchRules(text, rules.patterns.negativeTriggers).forEach(rule => {
+    const { weight, signal, reason } = rule;
+    const source = ruleSource(rule);
+    const spans = ruleSpans(text, rule);
+    safetyScore += weight; // weight is negative
+    negatives[signal] -= weight;
+    results.factors.push({ signal, impact: `${weight}`, reason, source, spans });
+    results.warnings.push({ type: signal, severity: 'high', message: reason, source, spans });
   });
 
   // Check spam indicators
-  PATTERNS.spamIndicators.forEach(({ check, weight, reason }) => {
-    if (check(text)) {
-      safetyScore += weight;
-      results.factors.push({ signal: 'Spam risk', impact: `${weight}`, reason });
-      results.warnings.push({ type: 'spam', message: reason });
-    }
+  SPAM_INDICATORS.forEach(({ id, limit, check, spans: findSpans, weight, reason }) => {
+    if (rules.limits[limit] === undefined || !check(text, rules.limits[limit], options.segmentCache)) return;
+    const source = { pack: rules.limitSources[limit], rule: id };
+    const spans = findSpans(text, rules.limits[limit], options.segmentCache);
+    safetyScore += weight;
+    negatives['P(mute_author)'] -= weight;
+    results.factors.push({ signal: 'Spam risk', impact: `${weight}`, reason, source, spans });
+    results.warnings.push({ type: 'spam', severity: 'medium', message: reason, source, spans });
   });
 
   // Check muted risk patterns
-  PATTERNS.mutedRiskPatterns.forEach(({ pattern, risk, reason }) => {
-    if (pattern.test(text)) {
-      results.warnings.push({ type: 'MutedKeywordFilter risk', risk, message: reason });
-    }
+  matchRules(text, rules.patterns.mutedRiskPatterns).forEach(rule => {
+    const { risk, reason } = rule;
+    negatives['P(not_interested)'] += risk === 'high' ? 8 : 4;
+    results.warnings.push({ type: 'MutedKeywordFilter risk', severity: risk, risk, message: reason, source: ruleSource(rule), spans: ruleSpans(text, rule) });
+  });
+
+  Object.entries(negatives).forEach(([id, value]) => {
+    results.predictions[id] = Math.min(100, value);
   });
 
   results.scores.safety = Math.max(0, safetyScore);
 }
 
-function analyzeFormat(text, options, results) {
+function analyzeFormat(charCount, options, results) {
   let formatScore = 50;
 
   const { mediaType = 'none' } = options;
 
   // Length optimization
-  if (text.length >= 100 && text.length <= 200) {
+  if (results.characters.overflowOffset !== -1) {
+    const { overflowOffset } = results.characters;
+    const overflow = [{ start: overflowOffset, end: results.text.length, text: results.text.slice(overflowOffset) }];
+    formatScore -= 20;
+    results.warnings.push({ type: 'length', severity: 'high', message: `Over the 280 character limit by ${-results.characters.remaining} - X will reject it`, source: engineSource('length-limit'), spans: overflow });
+  } else if (charCount >= 100 && charCount <= 200) {
     formatScore += 10;
-    results.factors.push({ signal: 'Length', impact: '+10', reason: 'Optimal length (100-200 chars)' });
-  } else if (text.length < 50) {
+    results.factors.push({ signal: 'Length', impact: '+10', reason: 'Optimal length (100-200 chars)', source: engineSource('optimal-length'), spans: [] });
+  } else if (charCount < 50) {
     formatScore -= 5;
-    results.warnings.push({ type: 'length', message: 'Very short - may lack context' });
+    results.warnings.push({ type: 'length', severity: 'low', message: 'Very short - may lack context', source: engineSource('short-post'), spans: [] });
   }
 
-  // Media type
-  if (mediaType === 'video') {
+  // Media type - media actions can only happen when media is attached
+  results.predictions['P(video_view)'] = 0;
+  results.predictions['P(photo_expand)'] = 0;
+  // A poll takes the place of media
+  if (options.poll) {
+    formatScore += analyzePoll(assessPoll(options.poll, results.text), options, results);
+  } else if (options.media?.length) {
+    formatScore += analyzeMedia(assessMedia(options.media), results);
+  } else if (mediaType === 'video') {
     formatScore += 20;
-    results.factors.push({ signal: 'P(video_view)', impact: '+20', reason: 'Video content' });
+    results.predictions['P(video_view)'] = 60;
+    results.factors.push({ signal: 'P(video_view)', impact: '+20', reason: 'Video content', source: engineSource('video'), spans: [] });
   } else if (mediaType === 'image') {
     formatScore += 15;
-    results.factors.push({ signal: 'P(photo_expand)', impact: '+15', reason: 'Image content' });
+    results.predictions['P(photo_expand)'] = 50;
+    results.factors.push({ signal: 'P(photo_expand)', impact: '+15', reason: 'Image content', source: engineSource('image'), spans: [] });
   } else if (mediaType === 'thread') {
     formatScore += 10;
-    results.factors.push({ signal: 'P(dwell)', impact: '+10', reason: 'Thread format' });
+    results.predictions['P(dwell)'] = Math.min(100, results.predictions['P(dwell)'] + 10);
+    results.factors.push({ signal: 'P(dwell)', impact: '+10', reason: 'Thread format', source: engineSource('thread'), spans: [] });
   }
 
-  results.scores.format = Math.min(100, formatScore);
+  results.scores.format = Math.max(0, Math.min(100, formatScore));
 }
 
-function calculateOverallScore(results) {
+// Attached files: estimates from their real properties instead of the flat media bonus
+// Returns the format score change
+function analyzeMedia(media, results) {
+  results.media = media;
+  Object.assign(results.predictions, media.predictions);
+  let formatScore = 0;
+
+  const video = media.items.find(item => item.kind === 'video');
+  if (media.type === 'video') {
+    formatScore += 20;
+    const detail = video.duration ? ` (${formatDuration(video.duration)}, ~${Math.round(video.completion * 100)}% watch to the end)` : '';
+    results.factors.push({ signal: 'P(video_view)', impact: '+20', reason: `Video content${detail}`, source: engineSource('video'), spans: [] });
+  } else if (media.type === 'gif') {
+    formatScore += 15;
+    results.factors.push({ signal: 'P(video_view)', impact: '+15', reason: 'GIF autoplays in the timeline', source: engineSource('gif'), spans: [] });
+  } else {
+    formatScore += 15;
+    const count = Math.min(media.count, MAX_IMAGES);
+    results.factors.push({ signal: 'P(photo_expand)', impact: '+15', reason: count > 1 ? `Image content (${count} images)` : 'Image content', source: engineSource('image'), spans: [] });
+  }
+
+  const warn = (id, severity, message, fix) => results.warnings.push({ type: 'media', severity, message, fix, source: engineSource(id), spans: [] });
+  media.issues.forEach(issue => {
+    switch (issue.id) {
+      case 'mixed-media':
+        warn('mixed-media', 'high', 'A post carries one video or GIF, or up to 4 images - not both', 'Keep the video or GIF and move the images to a reply');
+        break;
+      case 'too-many-images':
+        warn('too-many-images', 'high', `${issue.count} images attached - X allows ${MAX_IMAGES}`, 'Pick the strongest four, or split them across a thread');
+        break;
+      case 'crop':
+        formatScore -= 5;
+        warn('crop', 'medium', `The timeline preview shows only ${Math.round(issue.visible * 100)}% of ${describeItems(issue.items)}`, 'Crop to the preview shape yourself, or keep the subject in the center');
+        break;
+      case 'missing-alt':
+        warn('missing-alt', 'medium', issue.of > 1 ? `${issue.count} of ${issue.of} images ${issue.count === 1 ? 'has' : 'have'} no alt text - screen reader users miss ${issue.count === 1 ? 'it' : 'them'}` : 'The image has no alt text - screen reader users miss it', 'Describe what the image shows in its alt text');
+        break;
+      case 'low-resolution':
+        formatScore -= 5;
+        warn('low-resolution', 'low', `${describeItems(issue.items)} is only ${issue.width}px wide and will look soft when expanded`, `Export at ${MIN_IMAGE_WIDTH}px wide or more`);
+        break;
+      case 'video-too-long':
+        formatScore -= 10;
+        warn('video-too-long', 'high', `${formatDuration(issue.duration)} video - most accounts can post up to ${formatDuration(MAX_VIDEO_SECONDS)}`, 'Cut it down, and put the payoff in the first seconds');
+        break;
+      case 'video-too-short':
+        formatScore -= 5;
+        warn('video-too-short', 'medium', `${issue.duration}s video - a view counts after ${MIN_VIDEO_SECONDS} seconds, so it barely registers`, 'Make it longer, or post it as a GIF');
+        break;
+    }
+  });
+
+  return formatScore;
+}
+
+function describeItems(names) {
+  return names.length === 1 ? names[0] : `${names.length} images`;
+}
+
+// Polls: X's limits, then option balance and clarity
+// Returns the format score change
+function analyzePoll(poll, options, results) {
+  results.poll = poll;
+  applySignals(poll.signals, 'poll', results);
+  let formatScore = 10;
+
+  const warn = (id, severity, message, fix) => results.warnings.push({ type: 'poll', severity, message, fix, source: engineSource(id), spans: [] });
+  if (options.media?.length || options.mediaType === 'image' || options.mediaType === 'video') {
+    formatScore -= 20;
+    warn('poll-with-media', 'high', 'A post carries a poll or media - not both', 'Move the media to a reply, or run the poll in its own post');
+  }
+  if (options.quote?.text?.trim()) {
+    formatScore -= 20;
+    warn('poll-in-quote', 'high', 'Quote posts can\'t carry a poll', 'Post the poll on its own and quote the post in a reply');
+  }
+
+  poll.issues.forEach(issue => {
+    switch (issue.id) {
+      case 'too-few-options':
+        formatScore -= 20;
+        warn('too-few-options', 'high', `${issue.count} poll option${issue.count === 1 ? '' : 's'} filled in - polls need at least ${POLL_MIN_OPTIONS}`, 'Add the other answer people could pick');
+        break;
+      case 'too-many-options':
+        formatScore -= 20;
+        warn('too-many-options', 'high', `${issue.count} poll options - X allows ${POLL_MAX_OPTIONS}`, 'Merge or cut the weakest options');
+        break;
+      case 'option-too-long':
+        formatScore -= 10;
+        warn('option-too-long', 'high', `"${issue.option}" is ${issue.length} characters - poll options take ${POLL_OPTION_MAX_LENGTH}`, 'Shorten the option and put the detail in the post');
+        break;
+      case 'duplicate-options':
+        formatScore -= 10;
+        warn('duplicate-options', 'high', `"${issue.options[0]}" is in the poll twice`, 'Make every option a different answer');
+        break;
+      case 'duration-out-of-range':
+        formatScore -= 10;
+        warn('duration-out-of-range', 'high', `Polls run ${formatPollDuration(POLL_MIN_MINUTES)} to ${formatPollDuration(POLL_MAX_MINUTES)} - ${Number.isFinite(issue.duration) ? formatPollDuration(issue.duration) : 'this duration'} won't post`, 'Pick a duration inside the range');
+        break;
+      case 'no-question':
+        formatScore -= 10;
+        warn('no-question', 'medium', 'The post doesn\'t ask anything - voters have to guess what the options answer', 'End the post with the question the options answer');
+        break;
+      case 'overlapping-options':
+        formatScore -= 5;
+        warn('overlapping-options', 'medium', `"${issue.options[0]}" and "${issue.options[1]}" overlap - people who agree with both split their votes`, 'Make the options exclusive');
+        break;
+      case 'lopsided-options':
+        formatScore -= 5;
+        warn('lopsided-options', 'medium', `"${issue.options[0]}" is far more detailed than "${issue.options[1]}" - it reads as the favored answer`, 'Word the options at the same length and detail');
+        break;
+      case 'open-option-no-prompt':
+        warn('open-option-no-prompt', 'low', `People who vote "${issue.option}" have nowhere to say what they meant`, 'Ask them to reply with theirs');
+        break;
+      case 'short-duration':
+        warn('short-duration', 'low', `Closes after ${formatPollDuration(issue.duration)} - most followers won't see it before it ends`, 'Run it for a day so every time zone gets a vote');
+        break;
+    }
+  });
+
+  return formatScore;
+}
+
+function analyzeQuote(text, options, results) {
+  const quote = assessQuote(text, options.quote);
+  results.quote = { author: options.quote.author || null, ...quote };
+  applySignals(quote.signals, 'quote-post', results);
+
+  const source = engineSource('quote-commentary');
+  const percent = value => `${Math.round(value * 100)}%`;
+  const penalize = (points, reason, spans) => {
+    results.scores.contentQuality = Math.max(0, results.scores.contentQuality - points);
+    results.factors.push({ signal: 'Content value', impact: `-${points}`, reason, source, spans });
+  };
+
+  switch (quote.verdict) {
+    case 'echo':
+      penalize(15, 'Commentary echoes the quoted post', quote.sharedPhrases);
+      results.warnings.push({ type: 'quote', severity: 'high', message: `Repeats the quoted post (${percent(quote.similarity)} the same) - it reads like a repost`, fix: 'Say what you think about it, or what it means for your audience', source, spans: quote.sharedPhrases });
+      break;
+    case 'thin':
+      penalize(10, 'Commentary is too thin to add anything', []);
+      results.warnings.push({ type: 'quote', severity: 'medium', message: `${quote.words ? `${quote.words} word${quote.words === 1 ? '' : 's'} of commentary` : 'No commentary of its own'} on top of the quote - a repost would do the same`, fix: 'Add a take, a number or a question about it', source, spans: [] });
+      break;
+    case 'low-novelty':
+      penalize(5, 'Commentary mostly reuses the quoted post\'s words', quote.sharedPhrases);
+      results.warnings.push({ type: 'quote', severity: 'medium', message: `Only ${percent(quote.novelty)} of the commentary is new - the rest comes from the quoted post`, fix: 'Bring something the quoted post doesn\'t say', source, spans: quote.sharedPhrases });
+      break;
+    default:
+      if (quote.adds.length) {
+        results.scores.contentQuality = Math.min(100, results.scores.contentQuality + 5);
+        results.factors.push({ signal: 'Content value', impact: '+5', reason: `Commentary adds ${listAnd(quote.adds.map(add => QUOTE_ADDS[add]))}`, source, spans: [] });
+      }
+  }
+}
+
+const QUOTE_ADDS = { question: 'a question', reasoning: 'reasoning', take: 'a take', numbers: 'numbers' };
+
+// Prediction changes from post-type assessments, clamped to 0-100
+function applySignals(signals, rule, results) {
+  signals.forEach(({ signal, weight, reason }) => {
+    results.predictions[signal] = Math.max(0, Math.min(100, (results.predictions[signal] || 0) + weight));
+    results.factors.push({ signal, impact: formatImpact(weight), reason, source: engineSource(rule), spans: [] });
+  });
+}
+
+function listAnd(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+}
+
+function analyzeLinks(text, options, results) {
+  let linkScore = 100;
+
+  const urls = findUrls(text).map(({ url, start }) => {
+    const domain = url.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split(/[/?#]/)[0].toLowerCase();
+    return { url, domain, start, isShortener: LINK_SHORTENERS.includes(domain) };
+  });
+  const urlSpan = ({ url, start }) => ({ start, end: start + url.length, text: url });
+  const urlSpans = urls.map(urlSpan);
+
+  if (urls.length) {
+    linkScore -= 30;
+    results.factors.push({ signal: 'External link', impact: '-30', reason: 'External links in the main post reduce reach', source: engineSource('external-link'), spans: urlSpans });
+    results.predictions['P(click)'] = Math.min(100, results.predictions['P(click)'] + 10);
+
+    // Link-first posts give the feed nothing to engage with before the click-out
+    const leadingText = text.slice(0, urls[0].start).trim();
+    if (leadingText.length < 20) {
+      linkScore -= 15;
+      results.factors.push({ signal: 'Link placement', impact: '-15', reason: 'Post leads with the link', source: engineSource('link-placement'), spans: urlSpans.slice(0, 1) });
+      results.warnings.push({ type: 'link', severity: 'medium', message: 'Link-first post - lead with the hook and move the link to a reply', source: engineSource('link-placement'), spans: urlSpans.slice(0, 1) });
+    } else if (!text.slice(urls[urls.length - 1].start + urls[urls.length - 1].url.length).trim()) {
+      linkScore += 5;
+      results.factors.push({ signal: 'Link placement', impact: '+5', reason: 'Link placed after the hook', source: engineSource('link-placement'), spans: urlSpans.slice(-1) });
+    }
+
+    if (urls.length > 1) {
+      const penalty = (urls.length - 1) * 10;
+      linkScore -= penalty;
+      results.factors.push({ signal: 'External link', impact: `-${penalty}`, reason: `${urls.length} links in one post`, source: engineSource('multiple-links'), spans: urlSpans });
+    }
+
+    urls.filter(u => u.isShortener).forEach(link => {
+      const { domain } = link;
+      linkScore -= 10;
+      results.predictions['P(report)'] = Math.min(100, results.predictions['P(report)'] + 3);
+      results.factors.push({ signal: 'P(report)', impact: '-10', reason: `Shortened link (${domain}) hides the destination`, source: engineSource('link-shortener'), spans: [urlSpan(link)] });
+      results.warnings.push({ type: 'link', severity: 'medium', message: `Shortened link ${domain} - use the full URL`, source: engineSource('link-shortener'), spans: [urlSpan(link)] });
+    });
+  } else if (options.hasLink) {
+    // Link planned but not in the text yet
+    linkScore -= 30;
+    results.factors.push({ signal: 'External link', impact: '-30', reason: 'External links in the main post reduce reach', source: engineSource('external-link'), spans: [] });
+  }
+
+  results.links = { urls, count: urls.length };
+  results.scores.linkHandling = Math.max(0, Math.min(100, linkScore));
+}
+
+function analyzeTiming(text, options, rules, results) {
+  let timingScore = 60;
+
+  matchRules(text, rules.patterns.timeSensitive).forEach(rule => {
+    timingScore += rule.weight;
+    results.factors.push({ signal: 'Timing', impact: formatImpact(rule.weight), reason: rule.reason, source: ruleSource(rule), spans: ruleSpans(text, rule) });
+  });
+
+  const gmRule = matchRules(text, rules.patterns.gmPatterns)[0];
+  const isGM = options.tone === 'GM' || Boolean(gmRule);
+  const gmSource = gmRule ? ruleSource(gmRule) : engineSource('gm-tone');
+  const gmSpans = gmRule ? ruleSpans(text, gmRule) : [];
+  const hour = options.postAt ? easternHour(options.postAt) : null;
+
+  if (isGM) {
+    if (hour === null || (hour >= 5 && hour < 11)) {
+      timingScore += 10;
+      results.factors.push({ signal: 'Timing', impact: '+10', reason: 'GM post format fits the morning', source: gmSource, spans: gmSpans });
+    } else {
+      timingScore -= 15;
+      results.factors.push({ signal: 'Timing', impact: '-15', reason: 'GM post scheduled outside the morning', source: gmSource, spans: gmSpans });
+      results.warnings.push({ type: 'timing', severity: 'low', message: 'GM post scheduled outside 5-11am EST', source: gmSource, spans: gmSpans });
+    }
+  }
+
+  if (hour !== null) {
+    const window = PEAK_WINDOWS.find(w => hour >= w.start && hour < w.end);
+    if (window) {
+      timingScore += 15;
+      results.factors.push({ signal: 'Timing', impact: '+15', reason: `Planned in a peak window (${window.time})`, source: engineSource('peak-window'), spans: [] });
+    } else {
+      timingScore -= 5;
+      results.factors.push({ signal: 'Timing', impact: '-5', reason: 'Planned outside peak engagement windows', source: engineSource('peak-window'), spans: [] });
+    }
+  }
+
+  results.scores.timing = Math.max(0, Math.min(100, timingScore));
+}
+
+function analyzeHistory(text, options, results) {
+  const corpus = Array.isArray(options.history) ? buildCorpus(options.history) : options.history;
+  const check = checkDuplicates(text, corpus, { now: options.postAt ? new Date(options.postAt) : new Date() });
+  results.duplicates = check;
+  if (!check.duplicate || !check.recent) return;
+
+  // DropDuplicatesFilter and AuthorDiversity both hold back an account repeating itself
+  const { duplicate } = check;
+  const source = engineSource('near-duplicate');
+  const spans = duplicate.sharedPhrases;
+  const when = duplicate.date ? ` from ${duplicate.date.slice(0, 10)}` : '';
+  results.scores.safety = Math.max(0, results.scores.safety - 20);
+  results.predictions['P(not_interested)'] = Math.min(100, results.predictions['P(not_interested)'] + 10);
+  results.factors.push({ signal: 'P(not_interested)', impact: '-20', reason: 'Near-duplicate of a recent post', source, spans });
+  results.warnings.push({
+    type: 'duplicate',
+    severity: 'high',
+    message: `${Math.round(duplicate.similarity * 100)}% similar to a post${when} - dedup filters and AuthorDiversity will hold it back`,
+    fix: 'Rework the hook and wording, or give the idea more time before reposting it',
+    source,
+    spans
+  });
+}
+
+function analyzeCampaign(text, options, rules, results) {
+  const validation = validateCampaignPost(text, { ...options, rules });
+  let campaignScore = 100;
+
+  validation.warnings.forEach(w => {
+    if (w.severity === 'high') campaignScore -= 25;
+    else if (w.severity === 'medium') campaignScore -= 15;
+    results.warnings.push(w);
+  });
+
+  const source = rule => ({ pack: rules.campaignPack, rule });
+  if (validation.isTier1) {
+    campaignScore += 15;
+    results.factors.push({ signal: 'Tier 1 Content', impact: '+15', reason: 'Anchor drop - standalone viable', source: source('content-tier-1'), spans: validation.tierSpans.tier1 });
+  }
+  if (validation.isTier2 && !validation.isTier1) {
+    campaignScore -= 10;
+    results.factors.push({ signal: 'Tier 2 Content', impact: '-10', reason: 'Supporting item - needs anchor context', source: source('content-tier-2'), spans: validation.tierSpans.tier2 });
+  }
+
+  results.campaign = validation;
+  results.scores.campaignStrategy = Math.max(0, Math.min(100, campaignScore));
+}
+
+function analyzeStyle(text, options, rules, results) {
+  const check = checkStyle(text, rules.style, { tone: options.tone, cache: options.segmentCache });
+
+  check.violations.forEach(v => {
+    results.warnings.push({
+      type: 'style',
+      severity: v.severity,
+      message: v.message,
+      fix: v.fix,
+      source: { pack: rules.stylePack, rule: v.rule },
+      spans: v.spans
+    });
+  });
+
+  results.style = { pack: rules.stylePack, ...check };
+  results.scores.style = check.score;
+}
+
+// Rules that match the text; hook-scoped rules only see the first 120 characters
+function matchRules(text, rules = []) {
+  const hook = text.substring(0, 120);
+  return rules.filter(rule => rule.regex.test(rule.scope === 'hook' ? hook : text));
+}
+
+// Where a rule matched, as { start, end, text } offsets into the post
+function ruleSpans(text, rule) {
+  return regexSpans(rule.scope === 'hook' ? text.substring(0, 120) : text, rule.regex);
+}
+
+function regexSpans(text, regex) {
+  const global = regex.global ? regex : new RegExp(regex.source, regex.flags + 'g');
+  return [...text.matchAll(global)]
+    .filter(match => match[0])
+    .map(match => ({ start: match.index, end: match.index + match[0].length, text: match[0] }));
+}
+
+function ruleSource(rule) {
+  return { pack: rule.pack, rule: rule.id };
+}
+
+function engineSource(rule) {
+  return { pack: ENGINE_PACK, rule };
+}
+
+function formatImpact(weight) {
+  return weight > 0 ? `+${weight}` : `${weight}`;
+}
+
+function easternHour(postAt) {
+  const date = postAt instanceof Date ? postAt : new Date(postAt);
+  if (Number.isNaN(date.getTime())) return null;
+  return Number(new Intl.DateTimeFormat('en-US', {
+    hour: 'numeric', hourCycle: 'h23', timeZone: 'America/New_York'
+  }).format(date));
+}
+
+function calculateOverallScore(results, options) {
   // Weighted combination based on algorithm importance
   const weights = {
-    predictions: 0.5,  // Core ML predictions are most important
-    contentQuality: 0.2,
-    format: 0.15,
+    predictions: 0.4,  // Core ML predictions are most important
+    contentQuality: 0.15,
+    format: 0.1,
+    linkHandling: 0.1,
+    timing: 0.1,
     safety: 0.15
   };
 
-  // Average of predictions
-  const predictionValues = Object.values(results.predictions);
-  const avgPrediction = predictionValues.reduce((a, b) => a + b, 0) / predictionValues.length;
+  // Campaign fit and brand style take a share of every other domain when they were checked
+  if (results.scores.campaignStrategy !== undefined) {
+    Object.keys(weights).forEach(key => { weights[key] *= 0.85; });
+    weights.campaignStrategy = 0.15;
+  }
+  if (results.scores.style !== undefined) {
+    Object.keys(weights).forEach(key => { weights[key] *= 0.9; });
+    weights.style = 0.1;
+  }
+
+  // Weighted Scorer over all Phoenix predictions, using the goal's profile
+  const profile = resolveWeightProfile(options);
+  const weighted = computeWeightedScore(results.predictions, profile);
+
+  results.scores.weighted = weighted.score;
+  results.scoring = {
+    formula: X_ALGORITHM_SPEC.scoringFormula,
+    profile: { id: profile.id, name: profile.name, description: profile.description },
+    raw: weighted.raw,
+    max: weighted.max,
+    contributions: weighted.contributions
+  };
 
   results.scores.overall = Math.round(
-    avgPrediction * weights.predictions +
-    (results.scores.contentQuality || 50) * weights.contentQuality +
-    (results.scores.format || 50) * weights.format +
-    (results.scores.safety || 100) * weights.safety
+    weighted.score * weights.predictions +
+    (results.scores.contentQuality ?? 50) * weights.contentQuality +
+    (results.scores.format ?? 50) * weights.format +
+    (results.scores.linkHandling ?? 100) * weights.linkHandling +
+    (results.scores.timing ?? 60) * weights.timing +
+    (results.scores.safety ?? 100) * weights.safety +
+    (results.scores.campaignStrategy ?? 0) * (weights.campaignStrategy ?? 0) +
+    (results.scores.style ?? 0) * (weights.style ?? 0)
   );
 }
 
@@ -406,7 +1054,7 @@ function generateRecommendations(results, options) {
   const recs = [];
 
   // Low reply score
-  if (results.predictions['P(reply)'] < 50 && !/\?/.test(results.text)) {
+  if (results.predictions['P(reply)'] < 50 && !/[?？]/.test(results.text)) {
     recs.push({
       priority: 'high',
       action: 'Add a question',
@@ -435,8 +1083,18 @@ function generateRecommendations(results, options) {
     });
   }
 
+  // Link in the main post
+  if (results.links.count > 0 || options.hasLink) {
+    recs.push({
+      priority: 'high',
+      action: 'Move the link to the first reply',
+      algorithmBenefit: 'Keeps the main post on-platform so it isn\'t deprioritized for click-outs',
+      example: 'Post the hook, then reply with "Full details: <link>"'
+    });
+  }
+
   // Format improvements
-  if (results.text.length > 250 && options.mediaType !== 'thread') {
+  if (results.charCount > 250 && options.mediaType !== 'thread') {
     recs.push({
       priority: 'low',
       action: 'Consider thread format',
@@ -455,6 +1113,11 @@ function generateRecommendations(results, options) {
     });
   }
 
+  // Campaign suggestions
+  results.campaign?.suggestions.forEach(s => {
+    recs.push({ priority: 'low', action: s.message, algorithmBenefit: s.recommendation });
+  });
+
   results.recommendations = recs;
 }
 
@@ -472,18 +1135,29 @@ function generateRecommendations(results, options) {
 export function generateOptimizedVariants(text, analysis, options = {}) {
   const variants = [];
 
-  // Primary optimized version
-  let primary = text.trim();
+  // Primary optimized version starts from the auto-fixed text
+  const fixes = planFixes(text, analysis, options);
+  const fixed = applyFixes(text, fixes);
+  const changes = fixes.filter(f => fixed.applied.includes(f.id)).map(f => f.description);
+  let primary = fixed.text;
 
   // Add question if missing and low P(reply)
-  if (analysis.predictions['P(reply)'] < 50 && !text.includes('?')) {
+  if (analysis.predictions['P(reply)'] < 50 && !/[?？]/.test(primary)) {
     primary += '\n\nThoughts?';
+    changes.push('Added question');
+  }
+
+  // GM posts open with the greeting
+  if (options.tone === 'GM' && !/\bgm\b/i.test(primary)) {
+    primary = 'gm frens\n\n' + primary;
+    changes.push('Added GM greeting');
   }
 
   variants.push({
     type: 'Primary Optimized',
     content: primary,
-    changes: getChanges(text, primary),
+    ...(fixed.reply && { reply: fixed.reply }),
+    changes: changes.length ? changes : ['No fixes needed'],
     expectedImpact: 'Balanced optimization for engagement'
   });
 
@@ -497,9 +1171,10 @@ export function generateOptimizedVariants(text, analysis, options = {}) {
   });
 
   // Short punchy variant
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim());
+  const sentences = segmentSentences(text, analysis.language?.locale);
   if (sentences.length > 1) {
-    const shortVariant = sentences[0].trim() + '.\n\nMore soon 👀';
+    const hook = sentences[0].text;
+    const shortVariant = (/[.!?。！？]$/.test(hook) ? hook : hook + '.') + '\n\nMore soon 👀';
     variants.push({
       type: 'Short & Punchy',
       content: shortVariant,
@@ -508,32 +1183,77 @@ export function generateOptimizedVariants(text, analysis, options = {}) {
     });
   }
 
-  // Thread opener variant (if long)
-  if (text.length > 150) {
-    const threadOpener = '🧵 ' + sentences[0].trim() + '\n\n(1/' + Math.ceil(sentences.length / 2) + ')';
-    variants.push({
-      type: 'Thread Opener',
-      content: threadOpener,
-      changes: ['Reformatted as thread', 'Added thread markers'],
-      expectedImpact: 'Increases P(click), P(dwell) for long-form'
-    });
+  // Thread variant (if long enough to need more than one tweet)
+  if (analysis.charCount > 150) {
+    const thread = buildThread(text, options);
+    if (thread.tweets.length > 1) {
+      variants.push({
+        type: 'Thread',
+        content: thread.tweets.map(t => t.text).join('\n\n'),
+        tweets: thread.tweets,
+        threadScore: thread.score,
+        changes: [`Split into ${thread.tweets.length} tweets`, 'Added thread markers'],
+        expectedImpact: 'Increases P(click), P(dwell) for long-form'
+      });
+    }
   }
 
   return variants;
 }
 
-function getChanges(original, modified) {
-  const changes = [];
-  if (modified.includes('?') && !original.includes('?')) {
-    changes.push('Added question');
-  }
-  if (modified.length > original.length + 10) {
-    changes.push('Added engagement hook');
-  }
-  if (changes.length === 0) {
-    changes.push('Structure optimized');
-  }
-  return changes;
+/**
+ * Auto-fix a post and re-score the result
+ * @param {string} text - Post text
+ * @param {Object} options - Analysis options plus { accepted } - ids of the edits to
+ *   apply (defaults to every planned edit)
+ * @returns {Object} { original, text, reply, edits, applied, segments, before, after }
+ *   where `before` and `after` are the analyses of the original and fixed text
+ */
+export function autoFixPost(text, options = {}) {
+  const { accepted, ...analysisOptions } = options;
+  const before = analyzePost(text, analysisOptions);
+  const edits = planFixes(text, before, analysisOptions);
+  const fixed = applyFixes(text, edits, accepted);
+  return {
+    original: text,
+    ...fixed,
+    edits,
+    before,
+    after: analyzePost(fixed.text, analysisOptions)
+  };
+}
+
+// The "(i/N)" counter splitThread appends to numbered tweets
+const THREAD_COUNTER_PATTERN = / \(\d+\/\d+\)$/;
+
+/**
+ * Build a scored thread from a long draft
+ * @param {string} text - Full draft text
+ * @param {Object} options - Analysis options plus { maxLength, numbering, cache }
+ *   `cache` is a Map kept between calls with the same options: tweets whose text is
+ *   unchanged reuse their analysis even when the thread's count changes, so editing one
+ *   paragraph re-scores only its tweets
+ * @returns {Object} { tweets, score, hookScore, bodyScore, warnings }
+ */
+export function buildThread(text, options = {}) {
+  const { maxLength, numbering, cache, ...analysisOptions } = options;
+  const bodyOptions = { ...analysisOptions, mediaType: 'none', media: undefined, poll: undefined, quote: undefined, campaign: false };
+
+  const analyze = (tweet) => {
+    // Keyed without the "(i/N)" counter, which changes for every tweet when one is added or
+    // removed; its width stays in the key since it counts towards the length
+    const counter = numbering === false ? '' : (tweet.text.match(THREAD_COUNTER_PATTERN)?.[0] || '');
+    const key = `${tweet.isHook ? 'hook' : 'body'}:${counter.length}:${tweet.text.slice(0, tweet.text.length - counter.length)}`;
+    if (cache?.has(key)) return { ...cache.get(key), text: tweet.text };
+    // Media, polls, quotes and campaign fit belong to the hook; the rest of the thread is plain text
+    const analysis = analyzePost(tweet.text, tweet.isHook ? analysisOptions : bodyOptions);
+    cache?.set(key, analysis);
+    return analysis;
+  };
+
+  const tweets = splitThread(text, { maxLength, numbering }).map(tweet => ({ ...tweet, analysis: analyze(tweet) }));
+
+  return { tweets, ...scoreThread(tweets) };
 }
 
 /**
@@ -543,7 +1263,9 @@ function getChanges(original, modified) {
  * @returns {Object} Strategy recommendations
  */
 export function generatePostingStrategy(analysis, options = {}) {
-  const { hasLink, mediaType, goal } = options;
+  const { hasLink, goal } = options;
+  // Attached files say what the post really carries
+  const mediaType = analysis.media?.type === 'video' ? 'video' : options.mediaType;
 
   const strategy = {
     format: 'single',
@@ -555,7 +1277,13 @@ export function generatePostingStrategy(analysis, options = {}) {
   };
 
   // Format recommendation
-  if (analysis.text?.length > 200 && mediaType !== 'thread') {
+  if (analysis.poll) {
+    strategy.format = 'poll';
+    strategy.formatReason = `Poll open for ${formatPollDuration(analysis.poll.duration)} - votes and replies come from the question`;
+  } else if (analysis.quote) {
+    strategy.format = 'quote';
+    strategy.formatReason = 'Quote post - the commentary carries it, the quoted post gives context';
+  } else if (analysis.charCount > 200 && mediaType !== 'thread') {
     strategy.format = 'thread';
     strategy.formatReason = 'Content length suggests thread format for better engagement';
   } else if (mediaType === 'video') {
@@ -567,7 +1295,7 @@ export function generatePostingStrategy(analysis, options = {}) {
   }
 
   // Link strategy
-  if (hasLink) {
+  if (hasLink || analysis.links?.count > 0) {
     if (goal === 'traffic') {
       strategy.linkStrategy = 'reply-link';
       strategy.linkReason = 'Put link in first reply to maximize main post reach while still driving clicks';
@@ -578,11 +1306,7 @@ export function generatePostingStrategy(analysis, options = {}) {
   }
 
   // Timing recommendations
-  strategy.timing = [
-    { time: '7-9am EST', reason: 'Peak morning engagement for US audiences' },
-    { time: '12-1pm EST', reason: 'Lunch break scrolling peak' },
-    { time: '6-8pm EST', reason: 'Evening wind-down peak' }
-  ];
+  strategy.timing = PEAK_WINDOWS.map(({ time, reason }) => ({ time, reason }));
 
   // Follow-up engagement
   strategy.followUp = [
@@ -590,6 +1314,9 @@ export function generatePostingStrategy(analysis, options = {}) {
     { timing: '30 min', action: 'Quote tweet with additional context', reason: 'Creates second entry point' },
     { timing: '2-4 hours', action: 'Share related follow-up', reason: 'Maintains topic momentum' }
   ];
+  if (analysis.poll) {
+    strategy.followUp.push({ timing: 'When it closes', action: 'Quote the poll with the results', reason: 'Voters come back to see how their pick did' });
+  }
 
   return strategy;
 }
@@ -599,8 +1326,19 @@ export function generatePostingStrategy(analysis, options = {}) {
 // ============================================
 
 export default {
+  SCHEMA_VERSION,
   X_ALGORITHM_SPEC,
+  CAMPAIGN_RULES,
+  ACTION_IDS,
+  WEIGHT_PROFILES,
+  registerWeightProfile,
+  resolveWeightProfile,
+  computeWeightedScore,
   analyzePost,
+  validateCampaignPost,
+  generateDynamicTips,
   generateOptimizedVariants,
+  autoFixPost,
+  buildThread,
   generatePostingStrategy
 };
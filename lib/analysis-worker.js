@@ -0,0 +1,56 @@
+/**
+ * Analysis Worker
+ *
+ * Dedicated Web Worker entry for live analysis (see live-analysis.js).
+ * Load it as a module worker:
+ *   new Worker('./lib/analysis-worker.js', { type: 'module' })
+ *
+ * Messages in:  { type: 'configure', config }
+ *               { type: 'analyze', id, text, options, variants }
+ *               { type: 'tips', id, text, context }
+ *               { type: 'cancel', id }
+ * Messages out: { type: 'result', id, result } or { type: 'error', id, message }
+ */
+
+import { createAnalysisSession, run } from './live-analysis.js';
+
+const session = createAnalysisSession();
+
+// Requests wait a tick so cancels that arrive while the worker is busy drop them before they run
+const queue = new Map();
+let scheduled = false;
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'configure':
+      session.configure(data.config);
+      break;
+    case 'cancel':
+      queue.delete(data.id);
+      break;
+    default:
+      queue.set(data.id, data);
+      if (!scheduled) {
+        scheduled = true;
+        setTimeout(drain, 0);
+      }
+  }
+};
+
+// One request per tick, so cancels sent during a long analysis reach the queue before the next one
+function drain() {
+  // A cancel can empty the queue between scheduling and the drain
+  if (!queue.size) {
+    scheduled = false;
+    return;
+  }
+  const [id, { type, ...payload }] = queue.entries().next().value;
+  queue.delete(id);
+  try {
+    self.postMessage({ type: 'result', id, result: run(session, type, payload) });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+  if (queue.size) setTimeout(drain, 0);
+  else scheduled = false;
+}
@@ -0,0 +1,452 @@
+/**
+ * Analytics Calibration
+ *
+ * Imports X analytics CSV exports, matches posts back to saved drafts and
+ * compares predicted scores with real engagement. A ridge regression over
+ * the rule features then suggests calibrated weights, shrunk toward the
+ * current ones so sparse data only nudges them.
+ */
+
+import { analyzePost, resolveWeightProfile, ACTION_IDS } from './algorithm-engine.js';
+import { DEFAULT_RULE_SET, RULE_GROUPS } from './rule-packs.js';
+import { parseCsv } from './csv.js';
+
+// ============================================
+// IMPORT
+// ============================================
+
+// Column names across the account analytics and older tweet activity exports,
+// compared lowercase with everything but letters and digits removed
+const METRIC_ALIASES = {
+  postId: ['postid', 'tweetid', 'id'],
+  date: ['date', 'time', 'createdat', 'posted'],
+  text: ['posttext', 'tweettext', 'text'],
+  permalink: ['postlink', 'tweetpermalink', 'permalink'],
+  impressions: ['impressions'],
+  engagements: ['engagements'],
+  likes: ['likes', 'favorites'],
+  replies: ['replies'],
+  reposts: ['reposts', 'retweets'],
+  quotes: ['quotes', 'quoteposts', 'quotetweets'],
+  bookmarks: ['bookmarks'],
+  shares: ['shares'],
+  profileClicks: ['profilevisits', 'userprofileclicks', 'profileclicks'],
+  linkClicks: ['urlclicks', 'linkclicks'],
+  follows: ['newfollows', 'follows'],
+  detailExpands: ['detailexpands'],
+  mediaViews: ['mediaviews']
+};
+
+const TEXT_FIELDS = ['postId', 'date', 'text', 'permalink'];
+
+// Engagement metrics each positive rule group predicts
+export const GROUP_METRICS = {
+  replyBoosters: 'replies',
+  favoriteBoosters: 'likes',
+  clickBoosters: 'linkClicks',
+  profileClickBoosters: 'profileClicks',
+  shareBoosters: 'reposts',
+  quoteBoosters: 'quotes',
+  dwellBoosters: 'detailExpands',
+  followBoosters: 'follows'
+};
+
+const ENGAGEMENT_METRICS = ['likes', 'replies', 'reposts', 'quotes', 'bookmarks', 'shares', 'profileClicks', 'linkClicks', 'follows', 'detailExpands'];
+
+/**
+ * Parse an X analytics CSV export
+ * @param {string} text - CSV text
+ * @returns {Array} { postId, date, text, permalink, impressions, likes, replies, ... }
+ */
+export function parseAnalyticsCsv(text) {
+  const records = parseCsv(text);
+  if (!records.length) throw new Error('The analytics export has no rows');
+
+  const columns = {};
+  Object.keys(records[0]).forEach(column => {
+    const normalized = column.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const field = Object.keys(METRIC_ALIASES).find(f => METRIC_ALIASES[f].includes(normalized));
+    if (field && !columns[field]) columns[field] = column;
+  });
+
+  if (!columns.impressions) throw new Error('The analytics export has no Impressions column');
+  if (!columns.text && !columns.postId) throw new Error('The analytics export needs a post text or post id column');
+
+  return records
+    .map(record => {
+      const row = {};
+      Object.entries(columns).forEach(([field, column]) => {
+        row[field] = TEXT_FIELDS.includes(field) ? record[column].trim() : toNumber(record[column]);
+      });
+      return row;
+    })
+    .filter(row => row.impressions > 0);
+}
+
+function toNumber(value) {
+  const number = Number(String(value).replace(/[,\s%]/g, ''));
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Engagement rate of an analytics row, in percent of impressions
+ * Uses the export's Engagements total when present, else sums the known metrics
+ * @param {Object} row - Parsed analytics row
+ * @param {string} metric - Optional single metric instead of all engagements
+ * @returns {number} Rate (0-100)
+ */
+export function engagementRate(row, metric) {
+  if (!row.impressions) return 0;
+  const count = metric
+    ? row[metric] || 0
+    : row.engagements ?? ENGAGEMENT_METRICS.reduce((sum, key) => sum + (row[key] || 0), 0);
+  return (count / row.impressions) * 100;
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * Match analytics rows to saved drafts by text similarity
+ * X rewrites links to t.co, so URLs are ignored when comparing
+ * @param {Array} rows - Parsed analytics rows
+ * @param {Array} drafts - { id, text, options? }
+ * @param {Object} options - { threshold } minimum similarity (0-1, default 0.6)
+ * @returns {Array} { row, draft, similarity }; draft is null when nothing matched
+ */
+export function matchDrafts(rows, drafts, options = {}) {
+  const { threshold = 0.6 } = options;
+  const prepared = drafts.map(draft => ({ draft, tokens: tokenize(draft.text) }));
+  const used = new Set();
+
+  return rows.map(row => {
+    const tokens = tokenize(row.text || '');
+    let best = null;
+    prepared.forEach(candidate => {
+      if (used.has(candidate.draft.id)) return;
+      const similarity = jaccard(tokens, candidate.tokens);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { draft: candidate.draft, similarity };
+      }
+    });
+    if (best) used.add(best.draft.id);
+    return { row, draft: best?.draft || null, similarity: best ? Math.round(best.similarity * 100) / 100 : 0 };
+  });
+}
+
+function tokenize(text) {
+  return new Set(
+    text
+      .replace(/https?:\/\/\S+/gi, ' ')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}#@\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+  );
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach(token => { if (b.has(token)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Analyze every matched post into a calibration sample
+ * Matched drafts are analyzed with their own options; unmatched rows use their exported text
+ * @param {Array} matches - Result of matchDrafts
+ * @param {Object} options - Analysis options applied to every post (e.g. { rules, goal })
+ * @returns {Array} { id, text, draftId, analysis, metrics, rate }
+ */
+export function buildSamples(matches, options = {}) {
+  return matches
+    .filter(({ row, draft }) => draft || row.text)
+    .map(({ row, draft }, i) => {
+      const text = draft ? draft.text : row.text;
+      return {
+        id: row.postId || draft?.id || `row-${i + 1}`,
+        text,
+        draftId: draft?.id || null,
+        analysis: analyzePost(text, { ...options, ...draft?.options, rules: options.rules }),
+        metrics: row,
+        rate: engagementRate(row)
+      };
+    });
+}
+
+// ============================================
+// COMPARISON
+// ============================================
+
+/**
+ * Compare predicted scores with actual engagement rates
+ * @param {Array} samples - Result of buildSamples
+ * @returns {Object} { points, overall, weighted } with Pearson and Spearman correlations
+ */
+export function compareResults(samples) {
+  const points = samples.map(s => ({
+    id: s.id,
+    text: s.text,
+    overall: s.analysis.scores.overall,
+    weighted: s.analysis.scores.weighted,
+    rate: Math.round(s.rate * 100) / 100
+  }));
+  const rates = points.map(p => p.rate);
+
+  const correlations = key => {
+    const scores = points.map(p => p[key]);
+    return { pearson: round(pearson(scores, rates), 3), spearman: round(pearson(ranks(scores), ranks(rates)), 3) };
+  };
+
+  return { points, n: points.length, overall: correlations('overall'), weighted: correlations('weighted') };
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+// Average ranks, so ties share a rank
+function ranks(values) {
+  const order = values.map((value, i) => ({ value, i })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    for (let k = start; k <= end; k++) result[order[k].i] = (start + end) / 2 + 1;
+    start = end + 1;
+  }
+  return result;
+}
+
+// ============================================
+// CALIBRATION
+// ============================================
+
+/**
+ * Ridge regression shrunk toward a prior: minimizes ||y - a - Xb||² + λ||b - prior||²
+ * The intercept is not penalized
+ * @param {Array} X - Rows of feature values
+ * @param {Array} y - Targets
+ * @param {Object} options - { lambda, prior }
+ * @returns {Object} { coefficients, intercept, r2 }
+ */
+export function ridgeRegression(X, y, options = {}) {
+  const n = X.length;
+  const k = X[0]?.length || 0;
+  const { lambda = 1, prior = new Array(k).fill(0) } = options;
+
+  const xMeans = Array.from({ length: k }, (_, j) => mean(X.map(row => row[j])));
+  const yMean = mean(y);
+  const Xc = X.map(row => row.map((v, j) => v - xMeans[j]));
+  const yc = y.map(v => v - yMean);
+
+  // (XᵀX + λI) b = Xᵀy + λ·prior
+  const A = Array.from({ length: k }, (_, i) =>
+    Array.from({ length: k }, (_, j) => Xc.reduce((sum, row) => sum + row[i] * row[j], 0) + (i === j ? lambda : 0))
+  );
+  const rhs = Array.from({ length: k }, (_, i) => Xc.reduce((sum, row, r) => sum + row[i] * yc[r], 0) + lambda * prior[i]);
+
+  const coefficients = solve(A, rhs);
+  const intercept = yMean - coefficients.reduce((sum, b, j) => sum + b * xMeans[j], 0);
+
+  const predicted = X.map(row => intercept + row.reduce((sum, v, j) => sum + v * coefficients[j], 0));
+  const ssRes = y.reduce((sum, v, i) => sum + (v - predicted[i]) ** 2, 0);
+  const ssTot = yc.reduce((sum, v) => sum + v ** 2, 0);
+
+  return { coefficients, intercept, r2: n > 1 && ssTot ? 1 - ssRes / ssTot : null };
+}
+
+// Gaussian elimination with partial pivoting
+function solve(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) throw new Error('Calibration matrix is singular - raise lambda');
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[row][c] -= factor * m[col][c];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let c = row + 1; c < n; c++) sum -= m[row][c] * x[c];
+    x[row] = sum / m[row][row];
+  }
+  return x;
+}
+
+/**
+ * Suggest calibrated weights from real results
+ *
+ * Rule weights: for each booster group, the rate of its metric (replies for
+ * replyBoosters, likes for favoriteBoosters...) is regressed on which of the
+ * group's rules fired. Rates are rescaled so their mean matches the mean
+ * prediction, keeping weights in prediction points.
+ *
+ * Profile weights: the overall engagement rate is regressed on the positive
+ * Phoenix predictions, starting from the current profile's weights.
+ *
+ * @param {Array} samples - Result of buildSamples
+ * @param {Object} options - { rules, lambda, minSamples, goal, weightProfile }
+ * @returns {Object} { samples, groups, pack, profile }
+ */
+export function calibrateWeights(samples, options = {}) {
+  const { lambda = 4, minSamples = 8 } = options;
+  const rules = options.rules || DEFAULT_RULE_SET;
+
+  if (samples.length < minSamples) {
+    throw new Error(`Need at least ${minSamples} posts with analytics to calibrate, got ${samples.length}`);
+  }
+
+  const groups = Object.entries(GROUP_METRICS)
+    .map(([group, metric]) => calibrateGroup(samples, group, metric, rules.patterns[group] || [], lambda))
+    .filter(Boolean);
+
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  // Overrides for the rules whose weight moved, stacked above every other pack
+  const pack = {
+    id: `calibrated-${stamp}`,
+    name: `Calibrated ${stamp}`,
+    version: '1.0.0',
+    priority: Math.max(0, ...rules.packs.map(p => p.priority)) + 10,
+    description: `Rule weights fitted to ${samples.length} posts`,
+    patterns: {}
+  };
+  groups.forEach(({ group, rules: calibrated }) => {
+    const overrides = calibrated.filter(c => c.calibrated !== c.current).map(c => {
+      const rule = rules.patterns[group].find(r => r.id === c.id);
+      return {
+        id: c.id,
+        pattern: rule.regex.source,
+        ...(rule.regex.flags && { flags: rule.regex.flags }),
+        weight: c.calibrated,
+        ...(rule.scope !== 'text' && { scope: rule.scope }),
+        reason: rule.reason,
+        ...(rule.replacements && { replacements: rule.replacements }),
+        ...(rule.strip && { strip: true })
+      };
+    });
+    if (overrides.length) pack.patterns[group] = overrides;
+  });
+
+  return {
+    samples: samples.length,
+    groups,
+    pack,
+    profile: calibrateProfile(samples, options, lambda, stamp)
+  };
+}
+
+function calibrateGroup(samples, group, metric, groupRules, lambda) {
+  if (!groupRules.length) return null;
+  // Exports from accounts without the metric (e.g. no quotes column) carry no signal
+  if (!samples.some(s => s.metrics[metric] !== undefined)) return null;
+
+  const signal = RULE_GROUPS[group].signal;
+  const fired = sample => new Set(
+    sample.analysis.factors.filter(f => f.signal === signal && f.source).map(f => `${f.source.pack}/${f.source.rule}`)
+  );
+
+  const X = samples.map(sample => {
+    const hits = fired(sample);
+    return groupRules.map(rule => hits.has(`${rule.pack}/${rule.id}`) ? 1 : 0);
+  });
+  const predictions = samples.map(s => s.analysis.predictions[signal]);
+  const rates = samples.map(s => engagementRate(s.metrics, metric));
+
+  const scale = mean(rates) > 0 ? mean(predictions) / mean(rates) : 0;
+  if (!scale) return null;
+
+  const fit = ridgeRegression(X, rates.map(r => r * scale), { lambda, prior: groupRules.map(r => r.weight) });
+
+  return {
+    group,
+    signal,
+    metric,
+    r2: round(fit.r2, 3),
+    rules: groupRules.map((rule, j) => {
+      const count = X.filter(row => row[j]).length;
+      return {
+        id: rule.id,
+        pack: rule.pack,
+        reason: rule.reason,
+        fired: count,
+        current: rule.weight,
+        // Rules that never (or always) fired carry no information - keep their weight
+        calibrated: count === 0 || count === samples.length ? rule.weight : Math.max(0, Math.round(fit.coefficients[j]))
+      };
+    })
+  };
+}
+
+function calibrateProfile(samples, options, lambda, stamp) {
+  const base = resolveWeightProfile(options);
+  // Recalibrating a calibrated profile replaces it rather than stacking prefixes
+  const baseId = base.id.replace(/^calibrated-/, '');
+  const baseName = base.name.replace(/^Calibrated /, '');
+  const actions = ACTION_IDS.filter(id => base.weights[id] > 0);
+
+  const X = samples.map(s => actions.map(id => (s.analysis.predictions[id] || 0) / 100));
+  const raw = X.map(row => actions.reduce((sum, id, j) => sum + base.weights[id] * row[j], 0));
+  const rates = samples.map(s => s.rate);
+
+  const scale = mean(rates) > 0 ? mean(raw) / mean(rates) : 0;
+  if (!scale) return null;
+
+  const fit = ridgeRegression(X, rates.map(r => r * scale), { lambda, prior: actions.map(id => base.weights[id]) });
+
+  const weights = { ...base.weights };
+  actions.forEach((id, j) => { weights[id] = Math.max(0, round(fit.coefficients[j], 1)); });
+
+  return {
+    id: `calibrated-${baseId}`,
+    name: `Calibrated ${baseName}`,
+    description: `${baseName} weights fitted to ${samples.length} posts on ${stamp}`,
+    weights,
+    base: baseId,
+    r2: round(fit.r2, 3)
+  };
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function round(value, digits) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  GROUP_METRICS,
+  parseAnalyticsCsv,
+  engagementRate,
+  matchDrafts,
+  buildSamples,
+  compareResults,
+  ridgeRegression,
+  calibrateWeights
+};
@@ -0,0 +1,414 @@
+/**
+ * Auto-Fix
+ *
+ * Rule-driven rewrites for the warnings analyzePost raises: muted-keyword
+ * substitutions, stripped bait and hard-sell clauses, hashtags trimmed to
+ * the most relevant, links moved to the first reply, drip-feed phrasing
+ * swapped for an approved opening, style guide spellings and terms, and
+ * shouted text brought down to sentence case.
+ *
+ * Every fix is one edit that lists the warnings it resolves, so edits can
+ * be accepted or rejected one by one before the text is re-scored.
+ */
+
+import { findUrls } from './char-count.js';
+import { DEFAULT_RULE_SET, localizeRuleSet } from './rule-packs.js';
+
+// Hashtags kept when a post has too many
+const KEEP_HASHTAGS = 2;
+
+// Words too common to tie an approved opening to a draft's topic
+const TOPIC_STOPWORDS = new Set(['this', 'that', 'what', 'when', 'where', 'with', 'been', 'have', 'here', 'there',
+  'were', 'meant', 'some', 'things', 'from', 'into', 'your', 'their', 'about', 'just']);
+
+// ============================================
+// PLANNING
+// ============================================
+
+/**
+ * Plan fixes for the warnings an analysis raised
+ * @param {string} text - Post text that was analyzed
+ * @param {Object} analysis - analyzePost result for the text
+ * @param {Object} options - Analysis options ({ rules })
+ * @returns {Array} Edits: { id, kind, description, resolves, changes, reply? }
+ *   resolves - [{ type, message, source }] warnings (or factors) the edit addresses
+ *   changes  - [{ start, end, before, after }] ranges of the original text
+ *   reply    - Text for the first reply, when the edit moves content there
+ */
+export function planFixes(text, analysis, options = {}) {
+  // The same locale rules the analysis ran with, so their fixes apply too
+  const rules = localizeRuleSet(options.rules || DEFAULT_RULE_SET, analysis.language?.locale);
+  const warningsFrom = (pack, rule) => analysis.warnings.filter(w => w.source?.pack === pack && w.source?.rule === rule);
+
+  const edits = [
+    fixLinks(text, analysis),
+    ...rules.patterns.negativeTriggers.filter(rule => rule.strip).map(rule => fixStrip(text, rule, warningsFrom(rule.pack, rule.id))),
+    fixDripFeed(text, analysis, rules),
+    ...rules.patterns.mutedRiskPatterns.filter(rule => rule.replacements).map(rule => fixReplacements(text, rule, warningsFrom(rule.pack, rule.id))),
+    ...styleRules(analysis).map(rule => fixStyle(text, analysis, rule, warningsFrom(analysis.style.pack, rule))),
+    fixHashtags(text, rules, warningsFrom(rules.limitSources.maxHashtags, 'excessive-hashtags')),
+    fixCaps(text, warningsFrom(rules.limitSources.maxCapsRatio, 'excessive-caps'))
+  ];
+
+  return edits.filter(edit => edit && edit.changes.length);
+}
+
+// Move every URL out of the post; the reply carries them
+function fixLinks(text, analysis) {
+  const urls = findUrls(text);
+  if (!urls.length) return null;
+
+  const resolves = [
+    ...analysis.factors
+      .filter(f => f.source?.rule === 'external-link' || f.source?.rule === 'multiple-links')
+      .map(f => ({ type: f.signal, message: f.reason, source: f.source })),
+    ...analysis.warnings.filter(w => w.type === 'link')
+  ];
+
+  return {
+    id: 'move-links',
+    kind: 'link',
+    description: `Moved ${urls.length === 1 ? 'the link' : `${urls.length} links`} to the first reply`,
+    resolves: resolves.map(describe),
+    changes: urls.map(({ start, end, url }) => {
+      // A label left hanging ("Play now:") loses its colon or arrow with the link
+      const label = text.slice(0, start).match(/\s*(?:[:→👉]|->)?\s*$/u);
+      return removal(text, start - label[0].length, end);
+    }),
+    reply: urls.map(u => u.url).join('\n')
+  };
+}
+
+// Remove the clause around bait or hard-sell phrasing; a post that is nothing but bait gets no edit,
+// since cutting the phrase alone leaves a fragment ("Like if you agree" -> "you agree")
+function fixStrip(text, rule, warnings) {
+  if (!warnings.length) return null;
+
+  const changes = [];
+  for (const match of text.matchAll(globalRegex(rule.regex))) {
+    const clause = clauseAround(text, match.index, match.index + match[0].length);
+    const change = removal(text, clause.start, clause.end);
+    if (!changes.some(c => overlaps(c, change))) changes.push(change);
+  }
+  if (!hasWords(remainder(text, changes))) return null;
+
+  return {
+    id: `strip-${ruleKey(rule)}`,
+    kind: 'strip',
+    description: `Removed ${rule.reason.toLowerCase()}`,
+    resolves: warnings.map(describe),
+    changes
+  };
+}
+
+// Drip-feed phrasing comes out; the first one opening a sentence becomes an approved opening
+// about something the draft mentions, and the others are only suggested
+function fixDripFeed(text, analysis, rules) {
+  const warnings = analysis.warnings.filter(w => w.type === 'disallowed_phrase');
+  if (!warnings.length) return null;
+
+  const lower = text.toLowerCase();
+  const found = [];
+  // Longest phrases first, so "Item #1" wins over "Item #"
+  [...rules.phrases.disallowed]
+    .sort((a, b) => b.value.length - a.value.length)
+    .forEach(({ value }) => {
+      const phrase = value.toLowerCase();
+      for (let at = lower.indexOf(phrase); at !== -1; at = lower.indexOf(phrase, at + phrase.length)) {
+        // Take the number and punctuation that follow: "Item #1: "
+        const tail = text.slice(at + phrase.length).match(/^\d*\s*[:\-–—.!]?/)[0];
+        const range = { start: at, end: at + phrase.length + tail.length };
+        if (!found.some(f => overlaps(f, range))) found.push(range);
+      }
+    });
+  found.sort((a, b) => a.start - b.start);
+
+  const openings = (rules.campaign?.approvedOpenings || []).filter(o => !lower.includes(o.toLowerCase()));
+  const draftWords = new Set(topicWords(remainder(text, found)));
+  const opening = openings.find(o => topicWords(o).some(word => draftWords.has(word)));
+  let opened = !opening;
+
+  const changes = found.map(({ start, end }) => {
+    if (!isSentenceStart(text, start)) return removal(text, start, end);
+    // The rest of the sentence starts it now, after the opening when there is one
+    const rest = text.slice(end).match(/^[ \t]*([a-z]?)/);
+    const to = end + rest[0].length;
+    const lead = !opened ? `${opening}${to < text.length ? ' ' : ''}` : '';
+    opened = true;
+    return { start, end: to, before: text.slice(start, to), after: `${lead}${rest[1].toUpperCase()}` };
+  });
+
+  return {
+    id: 'replace-drip-feed',
+    kind: 'campaign',
+    description: opened && opening
+      ? `Replaced drip-feed phrasing with "${opening}"`
+      : `Removed drip-feed phrasing${!opening && openings.length ? ' - open with one of the approved lines instead' : ''}`,
+    resolves: warnings.map(describe),
+    changes
+  };
+}
+
+// Swap muted terms using the rule's replacements, keeping the original casing
+function fixReplacements(text, rule, warnings) {
+  if (!warnings.length) return null;
+
+  const changes = [];
+  for (const match of text.matchAll(globalRegex(rule.regex))) {
+    const replacement = rule.replacements[match[0].toLowerCase()];
+    if (replacement === undefined) continue;
+    changes.push(replacement
+      ? { start: match.index, end: match.index + match[0].length, before: match[0], after: matchCase(match[0], replacement) }
+      : removal(text, match.index, match.index + match[0].length));
+  }
+
+  const swaps = [...new Set(changes.map(c => c.after ? `"${c.before}" → "${c.after}"` : `"${c.before.trim()}" removed`))];
+  return {
+    id: `replace-${ruleKey(rule)}`,
+    kind: 'muted',
+    description: `Swapped muted terms: ${swaps.join(', ')}`,
+    resolves: warnings.map(describe),
+    changes
+  };
+}
+
+// Style guide rules the analysis flagged, one edit each
+function styleRules(analysis) {
+  return [...new Set((analysis.style?.violations || []).map(v => v.rule))];
+}
+
+// Swap in the style guide's spelling or term, drop off-policy emoji, and add a missing sign-off
+function fixStyle(text, analysis, rule, warnings) {
+  if (!warnings.length) return null;
+
+  const changes = [];
+  analysis.style.violations
+    .filter(v => v.rule === rule && v.replacement !== null)
+    .forEach(v => {
+      if (rule === 'sign-off') {
+        // Before trailing hashtags, links and emoji, after the last sentence
+        const at = text.length - text.match(/(?:\s|#\w+|https?:\/\/\S+|\p{Extended_Pictographic}|\uFE0F|\u200D)*$/u)[0].length;
+        changes.push({ start: at, end: at, before: '', after: `${at ? '\n\n' : ''}${v.replacement}` });
+        return;
+      }
+      v.spans.forEach(span => {
+        if (!v.replacement) {
+          // An emoji run into the next word or emoji goes on its own
+          changes.push(/^\S/.test(text.slice(span.end))
+            ? { start: span.start, end: span.end, before: span.text, after: '' }
+            : removal(text, span.start, span.end));
+          return;
+        }
+        // Canonical names keep their own casing; other terms open a sentence capitalized
+        const after = rule === 'canonical-spelling' || !isSentenceStart(text, span.start)
+          ? v.replacement
+          : v.replacement[0].toUpperCase() + v.replacement.slice(1);
+        changes.push({ start: span.start, end: span.end, before: span.text, after });
+      });
+    });
+
+  const swaps = [...new Set(changes.map(c => c.before ? (c.after ? `"${c.before}" → "${c.after}"` : `"${c.before.trim()}" removed`) : `added "${c.after.trim()}"`))];
+  return {
+    id: `style-${rule}`,
+    kind: 'style',
+    description: `Style guide: ${swaps.join(', ')}`,
+    resolves: warnings.map(describe),
+    changes
+  };
+}
+
+// Keep the hashtags that echo the post's own words, and never a muted one over a clean one;
+// inline tags lose only their #
+function fixHashtags(text, rules, warnings) {
+  if (!warnings.length) return null;
+
+  // "#1" isn't a hashtag on X, only tags with a letter are weighed
+  const tags = [...text.matchAll(/#(\w*[a-z]\w*)/gi)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    tag: match[0],
+    words: match[1].split(/(?<=[a-z])(?=[A-Z])|_/).map(w => w.toLowerCase()).filter(w => w.length > 2)
+  }));
+  const body = text.replace(/#\w+/g, ' ').toLowerCase();
+  tags.forEach(t => {
+    t.relevance = t.words.filter(w => body.includes(w)).length;
+    t.muted = rules.patterns.mutedRiskPatterns.some(rule => rule.regex.test(t.tag));
+  });
+
+  const keep = new Set([...tags]
+    .sort((a, b) => b.relevance - a.relevance || a.muted - b.muted || a.start - b.start)
+    .slice(0, KEEP_HASHTAGS));
+  const changes = tags.filter(t => !keep.has(t)).map(t => {
+    // A tag mid-sentence is part of the wording
+    const inline = /^[ \t]+[^\s#]/.test(text.slice(t.end)) && /[^\s#\w]*\w[^\s#]*[ \t]*$/.test(text.slice(0, t.start)) &&
+      !/#\w+[ \t]*$/.test(text.slice(0, t.start));
+    return inline
+      ? { start: t.start, end: t.start + 1, before: '#', after: '' }
+      : removal(text, t.start, t.end);
+  });
+
+  return {
+    id: 'trim-hashtags',
+    kind: 'spam',
+    description: `Trimmed hashtags to ${[...keep].sort((a, b) => a.start - b.start).map(t => t.tag).join(' ')}`,
+    resolves: warnings.map(describe),
+    changes
+  };
+}
+
+// Lower-case shouted words; a short all-caps word on its own is an acronym and stays
+function fixCaps(text, warnings) {
+  if (!warnings.length) return null;
+
+  const words = [...text.matchAll(/\b[A-Z][A-Z'’]+\b/g)];
+  const joined = (a, b) => a && b && !/[a-z]/.test(text.slice(a.index + a[0].length, b.index));
+  const shouted = words.filter((m, i) => m[0].length > 3 || joined(words[i - 1], m) || joined(m, words[i + 1]));
+
+  return {
+    id: 'decaps',
+    kind: 'spam',
+    description: `Lower-cased ${shouted.length} shouted word${shouted.length === 1 ? '' : 's'}`,
+    resolves: warnings.map(describe),
+    changes: shouted.map(m => {
+      const lowered = m[0].toLowerCase();
+      return {
+        start: m.index,
+        end: m.index + m[0].length,
+        before: m[0],
+        after: isSentenceStart(text, m.index) ? lowered[0].toUpperCase() + lowered.slice(1) : lowered
+      };
+    })
+  };
+}
+
+// ============================================
+// APPLYING
+// ============================================
+
+/**
+ * Apply accepted edits
+ * Edits apply in plan order; a change overlapping one already applied is skipped
+ * @param {string} text - Original text
+ * @param {Array} edits - Result of planFixes
+ * @param {Array} accepted - Ids of the edits to apply (defaults to all)
+ * @returns {Object} { text, reply, applied, segments }
+ *   segments - Word-level diff of the original: { op: 'equal'|'delete'|'insert', text, edit }
+ */
+export function applyFixes(text, edits, accepted = edits.map(e => e.id)) {
+  const changes = [];
+  const applied = [];
+  const replies = [];
+
+  edits.forEach(edit => {
+    if (!accepted.includes(edit.id)) return;
+    const usable = edit.changes.filter(c => !changes.some(o => overlaps(c, o)));
+    if (!usable.length) return;
+    changes.push(...usable.map(c => ({ ...c, edit: edit.id })));
+    applied.push(edit.id);
+    if (edit.reply) replies.push(edit.reply);
+  });
+
+  changes.sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const segments = [];
+  let cursor = 0;
+  changes.forEach(change => {
+    if (change.start > cursor) segments.push({ op: 'equal', text: text.slice(cursor, change.start), edit: null });
+    if (change.before) segments.push({ op: 'delete', text: change.before, edit: change.edit });
+    if (change.after) segments.push({ op: 'insert', text: change.after, edit: change.edit });
+    cursor = change.end;
+  });
+  if (cursor < text.length) segments.push({ op: 'equal', text: text.slice(cursor), edit: null });
+
+  const result = segments.filter(s => s.op !== 'delete').map(s => s.text).join('');
+
+  return {
+    text: tidy(result),
+    reply: replies.join('\n') || null,
+    applied,
+    segments
+  };
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Delete a range with the whitespace before it, or after it at the start of a line,
+// so words neither run together nor double-space
+function removal(text, start, end) {
+  const lead = text.slice(0, start).match(/[ \t]*$/)[0].length;
+  const lineStart = /(^|\n)$/.test(text.slice(0, start - lead));
+  const from = lineStart ? start : start - lead;
+  const to = lineStart ? end + text.slice(end).match(/^[ \t]*/)[0].length : end;
+  return { start: from, end: to, before: text.slice(from, to), after: '' };
+}
+
+function clauseAround(text, start, end) {
+  const head = text.slice(0, start);
+  const boundary = Math.max(head.lastIndexOf('\n'), ...['.', '!', '?', '。', '！', '？'].map(p => head.lastIndexOf(p)));
+  // Links and hashtags trailing the clause are left for their own fixes
+  const tail = text.slice(end).match(/^(?:(?!https?:\/\/|#\w)[^.!?。！？\n])*[.!?。！？]*/)[0];
+  const from = boundary + 1 + head.slice(boundary + 1).match(/^\s*/)[0].length;
+  return { start: from, end: end + tail.replace(/\s+$/, '').length };
+}
+
+// The text left once the ranges are cut out
+function remainder(text, ranges) {
+  let rest = '';
+  let cursor = 0;
+  [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+    rest += text.slice(cursor, range.start) + ' ';
+    cursor = Math.max(cursor, range.end);
+  });
+  return rest + text.slice(cursor);
+}
+
+function hasWords(text) {
+  return /[\p{L}\p{N}]/u.test(text.replace(/https?:\/\/\S+|#\w+/g, ''));
+}
+
+// Words that say what a line is about; short and function words say nothing
+function topicWords(text) {
+  return (text.toLowerCase().match(/\p{L}{4,}/gu) || []).filter(word => !TOPIC_STOPWORDS.has(word));
+}
+
+function isSentenceStart(text, index) {
+  return /(^|[.!?。！？\n])\s*$/.test(text.slice(0, index));
+}
+
+function matchCase(original, replacement) {
+  if (original === original.toUpperCase() && /[A-Z]/.test(original)) return replacement.toUpperCase();
+  if (/^[A-Z]/.test(original)) return replacement[0].toUpperCase() + replacement.slice(1);
+  return replacement;
+}
+
+// Locale rules share ids with the core ones, so their edits carry the locale
+function ruleKey(rule) {
+  return rule.locale ? `${rule.id}-${rule.locale}` : rule.id;
+}
+
+function globalRegex(regex) {
+  return new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : regex.flags + 'g');
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+function describe({ type, message, source }) {
+  return { type, message, source };
+}
+
+function tidy(text) {
+  return text
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+export default {
+  planFixes,
+  applyFixes
+};
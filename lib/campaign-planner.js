@@ -0,0 +1,532 @@
+/**
+ * Campaign Planner
+ *
+ * Checks a set of dated posts against the campaign rules as a whole:
+ * cadence, the weekly pattern, Tier 2 posts without an anchor week and
+ * format rotation. Maps each week to its campaign arc phase, suggests
+ * posts for open slots and exports the plan as iCalendar or CSV.
+ * Days are campaign days in Eastern time, matching the 5pm EST event sync.
+ */
+
+import { validateCampaignPost } from './campaign-rules.js';
+import { DEFAULT_RULE_SET } from './rule-packs.js';
+import { toCsv } from './csv.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const CAMPAIGN_TIME_ZONE = 'America/New_York';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Heuristics for posts planned without an explicit format, checked in order
+const FORMAT_PATTERNS = [
+  { id: 'prediction', pattern: /\b(guess|predict|what drops next|next drop)\b/i },
+  { id: 'comparison', pattern: /\b(which (one|would)|this or that|vs\.?|pick one)\b/i },
+  { id: 'mechanics', pattern: /\b(stats?|silhouettes?|mechanics?|damage|abilit(y|ies)|cooldowns?)\b/i },
+  { id: 'lore', pattern: /\b(lore|legend|story|tale|ancient)\b/i },
+  { id: 'question', pattern: /\?/ }
+];
+
+// Formats that fit a weekly slot's role, when the rule set uses these slot names
+const SLOT_FORMAT_HINTS = {
+  community: ['prediction', 'comparison', 'question'],
+  deepCut: ['lore', 'mechanics']
+};
+
+// Event length for calendar exports
+const EVENT_MINUTES = 30;
+
+// ============================================
+// PLANNING
+// ============================================
+
+/**
+ * Check a set of dated posts against the campaign rules
+ * @param {Array} posts - { id?, date, text, format?, title? }; date is 'YYYY-MM-DD', ISO datetime or Date
+ * @param {Object} options - { rules, startDate, weeks, from }
+ *   startDate - Campaign start; week 1 starts on its Monday (never later than the earliest post)
+ *   weeks - Plan at least this many weeks (defaults to the weeks the posts cover)
+ *   from - Only suggest fill-ins on or after this day
+ * @returns {Object} { startDate, posts, weeks, issues, suggestions, valid }
+ */
+export function planCampaign(posts, options = {}) {
+  const rules = options.rules || DEFAULT_RULE_SET;
+  const campaign = rules.campaign;
+  if (!campaign) {
+    throw new Error('The rule set has no campaign rules - enable a pack with a campaign section');
+  }
+
+  const formatIds = (campaign.formatTypes || []).map(f => f.id);
+
+  const planned = posts
+    .map((post, i) => {
+      const day = toDayKey(post.date);
+      if (!day) throw new Error(`Post ${post.id ?? i + 1} has an invalid date: ${post.date}`);
+      const validation = validateCampaignPost(post.text || '', { rules });
+      return {
+        id: post.id !== undefined ? String(post.id) : `post-${i + 1}`,
+        date: post.date instanceof Date ? post.date.toISOString() : String(post.date),
+        day,
+        weekday: weekdayOf(day),
+        text: post.text || '',
+        title: post.title,
+        format: post.format || detectFormat(post.text || '', formatIds),
+        tier: validation.isTier1 ? 1 : validation.isTier2 ? 2 : null,
+        warnings: validation.warnings
+      };
+    })
+    .sort((a, b) => a.day.localeCompare(b.day) || a.date.localeCompare(b.date));
+
+  const startKey = [options.startDate && toDayKey(options.startDate), planned[0]?.day].filter(Boolean).sort()[0];
+  if (!startKey) {
+    return { startDate: null, posts: [], weeks: [], issues: [], suggestions: [], valid: true };
+  }
+  const firstMonday = mondayOf(startKey);
+
+  planned.forEach(post => {
+    post.week = Math.floor(daysBetween(firstMonday, post.day) / 7) + 1;
+    post.slot = slotOf(post.weekday, campaign.cadence?.weeklyPattern);
+  });
+
+  const lastWeek = Math.max(options.weeks || 0, ...planned.map(p => p.week), 1);
+  const phases = parseArc(campaign.campaignArc || []);
+
+  const weeks = [];
+  for (let index = 1; index <= lastWeek; index++) {
+    const start = addDays(firstMonday, (index - 1) * 7);
+    const weekPosts = planned.filter(p => p.week === index);
+    weeks.push({
+      index,
+      start,
+      end: addDays(start, 6),
+      phase: phases.find(p => index >= p.from && index <= p.to)?.phase || null,
+      postIds: weekPosts.map(p => p.id),
+      hasAnchor: weekPosts.some(p => p.tier === 1)
+    });
+  }
+
+  const issues = [
+    ...checkCadence(planned, weeks, campaign.cadence || {}),
+    ...checkTiers(planned, weeks),
+    ...checkFormats(planned, campaign.formatTypes || [])
+  ];
+
+  const suggestions = suggestFillIns(planned, weeks, campaign, {
+    from: options.from ? toDayKey(options.from) : null
+  });
+
+  return {
+    startDate: firstMonday,
+    posts: planned,
+    weeks,
+    issues,
+    suggestions,
+    valid: !issues.some(i => i.severity === 'high')
+  };
+}
+
+function checkCadence(posts, weeks, cadence) {
+  const issues = [];
+  const { maxPostsPerWeek, minDaysBetweenPosts, weeklyPattern } = cadence;
+
+  if (maxPostsPerWeek !== undefined) {
+    weeks.filter(w => w.postIds.length > maxPostsPerWeek).forEach(w => {
+      issues.push({
+        type: 'cadence_weekly',
+        severity: 'high',
+        week: w.index,
+        postIds: w.postIds,
+        message: `Week ${w.index} has ${w.postIds.length} posts - max ${maxPostsPerWeek} per week`,
+        fix: 'Merge the weaker posts into the anchor reveal or move them to a quieter week'
+      });
+    });
+  }
+
+  if (minDaysBetweenPosts !== undefined) {
+    posts.slice(1).forEach((post, i) => {
+      const previous = posts[i];
+      const gap = daysBetween(previous.day, post.day);
+      if (gap < minDaysBetweenPosts) {
+        issues.push({
+          type: 'cadence_gap',
+          severity: 'medium',
+          week: post.week,
+          postIds: [previous.id, post.id],
+          message: gap === 0
+            ? `${label(previous)} and ${label(post)} are on the same day`
+            : `${label(post)} is ${gap} day${gap === 1 ? '' : 's'} after ${label(previous)} - leave at least ${minDaysBetweenPosts}`,
+          fix: `Space posts ${minDaysBetweenPosts}+ days apart`
+        });
+      }
+    });
+  }
+
+  if (weeklyPattern) {
+    posts.filter(p => !p.slot).forEach(post => {
+      issues.push({
+        type: 'off_pattern',
+        severity: 'low',
+        week: post.week,
+        postIds: [post.id],
+        message: `${label(post)} is on a ${post.weekday}, outside the weekly pattern`,
+        fix: `Move it to ${Object.values(weeklyPattern).flatMap(s => s.days).join(', ')}`
+      });
+    });
+  }
+
+  return issues;
+}
+
+function checkTiers(posts, weeks) {
+  return posts
+    .filter(p => p.tier === 2 && !weeks[p.week - 1].hasAnchor)
+    .map(post => ({
+      type: 'orphaned_tier2',
+      severity: 'high',
+      week: post.week,
+      postIds: [post.id],
+      message: `${label(post)} is a Tier 2 post in week ${post.week}, which has no Tier 1 anchor`,
+      fix: 'Move it into an anchor week or fold it into a set reveal'
+    }));
+}
+
+function checkFormats(posts, formatTypes) {
+  const names = Object.fromEntries(formatTypes.map(f => [f.id, f.name]));
+  const issues = [];
+  posts.slice(1).forEach((post, i) => {
+    const previous = posts[i];
+    if (!post.format || post.format !== previous.format) return;
+    issues.push({
+      type: 'repeated_format',
+      severity: 'medium',
+      week: post.week,
+      postIds: [previous.id, post.id],
+      message: `${label(previous)} and ${label(post)} are both ${names[post.format] || post.format} posts`,
+      fix: 'Rotate formats so consecutive posts feel different'
+    });
+  });
+  return issues;
+}
+
+function label(post) {
+  return post.title ? `"${post.title}"` : post.id;
+}
+
+function suggestFillIns(posts, weeks, campaign, { from }) {
+  const { weeklyPattern = {}, maxPostsPerWeek = Infinity, minDaysBetweenPosts = 0 } = campaign.cadence || {};
+  const formatIds = (campaign.formatTypes || []).map(f => f.id);
+  const openings = campaign.approvedOpenings || [];
+  const tier1 = campaign.contentTiers?.tier1;
+
+  // Suggestions count as planned, so they respect cadence against each other too
+  const taken = posts.map(p => ({ day: p.day, format: p.format }));
+  const suggestions = [];
+
+  weeks.forEach(week => {
+    let count = week.postIds.length;
+
+    Object.entries(weeklyPattern).forEach(([slot, { days, role, optional }]) => {
+      if (count >= maxPostsPerWeek) return;
+
+      const slotDays = days.map(day => addDays(week.start, (WEEKDAYS.indexOf(day) + 6) % 7)).sort();
+      if (posts.some(p => slotDays.includes(p.day))) return;
+
+      const day = slotDays.find(d =>
+        (!from || d >= from) &&
+        taken.every(t => Math.abs(daysBetween(t.day, d)) >= minDaysBetweenPosts)
+      );
+      if (!day) return;
+
+      const format = leastRecentFormat(
+        taken.filter(t => t.day < day),
+        SLOT_FORMAT_HINTS[slot]?.filter(id => formatIds.includes(id)).length
+          ? SLOT_FORMAT_HINTS[slot].filter(id => formatIds.includes(id))
+          : formatIds
+      );
+
+      suggestions.push({
+        day,
+        weekday: weekdayOf(day),
+        week: week.index,
+        slot,
+        role,
+        optional: Boolean(optional),
+        format,
+        tier: slot === 'anchor' && !week.hasAnchor && tier1 ? 1 : null,
+        hint: slot === 'anchor' && !week.hasAnchor && tier1
+          ? `Tier 1 anchor: ${tier1.types.slice(0, 3).join(', ')}`
+          : week.phase ? `Arc focus: ${week.phase.focus}` : null,
+        opening: openings.length ? openings[suggestions.length % openings.length] : null,
+        time: campaign.timing?.primaryPost || null
+      });
+      taken.push({ day, format });
+      count++;
+    });
+  });
+
+  return suggestions.sort((a, b) => a.day.localeCompare(b.day));
+}
+
+function leastRecentFormat(history, candidates) {
+  if (!candidates.length) return null;
+  const lastUsed = id => {
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].format === id) return i;
+    }
+    return -1;
+  };
+  return candidates.reduce((best, id) => lastUsed(id) < lastUsed(best) ? id : best);
+}
+
+/**
+ * Guess a post's rotation format from its text
+ * @param {string} text - The post text
+ * @param {Array} formatIds - Format ids the rule set rotates through
+ * @returns {string|null} Format id
+ */
+export function detectFormat(text, formatIds) {
+  const match = FORMAT_PATTERNS.find(({ id, pattern }) => formatIds.includes(id) && pattern.test(text));
+  if (match) return match.id;
+  return formatIds.includes('statement') ? 'statement' : formatIds[0] || null;
+}
+
+// '1-3' -> weeks 1 to 3; 'ongoing' covers every week after the last range
+function parseArc(arc) {
+  let last = 0;
+  return arc.map(phase => {
+    const range = phase.weeks.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (range) {
+      const from = Number(range[1]);
+      const to = Number(range[2] || range[1]);
+      last = Math.max(last, to);
+      return { from, to, phase };
+    }
+    return { from: last + 1, to: Infinity, phase };
+  });
+}
+
+function slotOf(weekday, weeklyPattern = {}) {
+  return Object.keys(weeklyPattern).find(slot => weeklyPattern[slot].days.includes(weekday)) || null;
+}
+
+// ============================================
+// DATES
+// Day keys are 'YYYY-MM-DD' campaign days
+// ============================================
+
+/**
+ * Campaign day of a date
+ * Date-only strings are taken as-is; datetimes are converted to Eastern time
+ * @param {string|Date} date - 'YYYY-MM-DD', ISO datetime or Date
+ * @returns {string|null} 'YYYY-MM-DD', or null when the date is invalid
+ */
+export function toDayKey(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date.trim())) {
+    return Number.isNaN(Date.parse(date.trim())) ? null : date.trim();
+  }
+  const parsed = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(parsed.getTime())) return null;
+
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    year: 'numeric', month: '2-digit', day: '2-digit', timeZone: CAMPAIGN_TIME_ZONE
+  }).formatToParts(parsed).map(({ type, value }) => [type, value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+function dayToUtc(day) {
+  const [y, m, d] = day.split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+}
+
+function addDays(day, days) {
+  return new Date(dayToUtc(day) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((dayToUtc(to) - dayToUtc(from)) / DAY_MS);
+}
+
+function weekdayOf(day) {
+  return WEEKDAYS[new Date(dayToUtc(day)).getUTCDay()];
+}
+
+function mondayOf(day) {
+  return addDays(day, -((new Date(dayToUtc(day)).getUTCDay() + 6) % 7));
+}
+
+// '5pm EST' / '17:30' -> { hour, minute }
+function parseClock(text) {
+  const match = String(text || '').match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i);
+  if (!match) return { hour: 17, minute: 0 };
+  let hour = Number(match[1]) % 24;
+  if (match[3]?.toLowerCase() === 'pm' && hour < 12) hour += 12;
+  if (match[3]?.toLowerCase() === 'am' && hour === 12) hour = 0;
+  return { hour, minute: Number(match[2] || 0) };
+}
+
+// Eastern wall-clock time on a campaign day, as a UTC Date
+function easternTime(day, { hour, minute }) {
+  const guess = dayToUtc(day) + (hour * 60 + minute) * 60 * 1000;
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+    hourCycle: 'h23', timeZone: CAMPAIGN_TIME_ZONE
+  }).formatToParts(new Date(guess)).map(({ type, value }) => [type, value]));
+  const asEastern = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return new Date(guess - (asEastern - guess));
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Export a plan as an iCalendar (.ics) file
+ * Posts without a time are placed at the campaign's primary post time
+ * @param {Object} plan - Result of planCampaign
+ * @param {Object} options - { rules, includeSuggestions, now, name }
+ * @returns {string} iCalendar text
+ */
+export function toICalendar(plan, options = {}) {
+  const { includeSuggestions = true, now = new Date(), name = 'Campaign Plan' } = options;
+  const campaign = (options.rules || DEFAULT_RULE_SET).campaign || {};
+  const clock = parseClock(campaign.timing?.primaryPost);
+  const stamp = icsDate(now);
+
+  const startOf = (date, day) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(date) ? easternTime(day, clock) : new Date(date);
+
+  const events = plan.posts.map(post => [
+    'BEGIN:VEVENT',
+    `UID:${post.id}-${post.day}@x-post-optimizer`,
+    `DTSTAMP:${stamp}`,
+    ...eventTimes(startOf(post.date, post.day)),
+    `SUMMARY:${icsText(post.title || eventTitle(post, campaign))}`,
+    `DESCRIPTION:${icsText(post.text)}`,
+    'STATUS:CONFIRMED',
+    'END:VEVENT'
+  ]);
+
+  if (includeSuggestions) {
+    plan.suggestions.forEach(s => {
+      events.push([
+        'BEGIN:VEVENT',
+        `UID:suggested-${s.slot}-${s.day}@x-post-optimizer`,
+        `DTSTAMP:${stamp}`,
+        ...eventTimes(easternTime(s.day, clock)),
+        `SUMMARY:${icsText(`Open slot: ${s.role}`)}`,
+        `DESCRIPTION:${icsText([s.hint, s.format && `Format: ${s.format}`, s.opening && `Opening: ${s.opening}`].filter(Boolean).join('\n'))}`,
+        'STATUS:TENTATIVE',
+        'END:VEVENT'
+      ]);
+    });
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Critters Quest//X Post Optimizer//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsText(name)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Export a plan as CSV, one row per post or suggested slot
+ * @param {Object} plan - Result of planCampaign
+ * @param {Object} options - { includeSuggestions }
+ * @returns {string} CSV text
+ */
+export function toCalendarCsv(plan, options = {}) {
+  const { includeSuggestions = true } = options;
+  const phaseOf = week => plan.weeks[week - 1]?.phase?.focus || '';
+
+  const rows = [
+    ...plan.posts.map(post => ({
+      date: post.day,
+      weekday: post.weekday,
+      week: post.week,
+      phase: phaseOf(post.week),
+      status: 'scheduled',
+      slot: post.slot || '',
+      tier: post.tier || '',
+      format: post.format || '',
+      id: post.id,
+      text: post.text,
+      issues: plan.issues.filter(i => i.postIds.includes(post.id)).map(i => i.message).join('; ')
+    })),
+    ...(includeSuggestions ? plan.suggestions.map(s => ({
+      date: s.day,
+      weekday: s.weekday,
+      week: s.week,
+      phase: phaseOf(s.week),
+      status: s.optional ? 'suggested (optional)' : 'suggested',
+      slot: s.slot,
+      tier: s.tier || '',
+      format: s.format || '',
+      id: '',
+      text: s.opening || '',
+      issues: ''
+    })) : [])
+  ].sort((a, b) => a.date.localeCompare(b.date));
+
+  return toCsv(rows, ['date', 'weekday', 'week', 'phase', 'status', 'slot', 'tier', 'format', 'id', 'text', 'issues']);
+}
+
+function eventTitle(post, campaign) {
+  const slot = post.slot ? campaign.cadence?.weeklyPattern?.[post.slot]?.role : null;
+  const format = (campaign.formatTypes || []).find(f => f.id === post.format)?.name;
+  return [slot || 'Post', post.tier ? `Tier ${post.tier}` : null, format].filter(Boolean).join(' · ');
+}
+
+function eventTimes(start) {
+  const end = new Date(start.getTime() + EVENT_MINUTES * 60 * 1000);
+  return [`DTSTART:${icsDate(start)}`, `DTEND:${icsDate(end)}`];
+}
+
+function icsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines over 75 octets continue on the next line after a space (RFC 5545 3.1)
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+export default {
+  CAMPAIGN_TIME_ZONE,
+  planCampaign,
+  detectFormat,
+  toDayKey,
+  toICalendar,
+  toCalendarCsv
+};
@@ -0,0 +1,121 @@
+/**
+ * Campaign Rules
+ *
+ * Validates posts against the campaign rules of a compiled rule set:
+ * disallowed drip-feed phrasing, engagement triggers and content tiers.
+ * The Critters Quest item reveal campaign ships as a built-in pack
+ * (rule-packs/critters-quest.js).
+ */
+
+import { DEFAULT_RULE_SET } from './rule-packs.js';
+
+// ============================================
+// CAMPAIGN STRATEGY SYSTEM
+// Item Reveal Campaign Rules & Constraints
+// ============================================
+
+/**
+ * Campaign rules of the built-in packs, with the disallowed phrases alongside
+ */
+export const CAMPAIGN_RULES = {
+  ...DEFAULT_RULE_SET.campaign,
+  disallowedPhrases: DEFAULT_RULE_SET.phrases.disallowed.map(p => p.value)
+};
+
+/**
+ * Validate a single post against the campaign rules
+ * @param {string} content - The post text
+ * @param {Object} options - Analysis options
+ * @returns {Object} { warnings, suggestions, isTier1, isTier2, tierSpans }
+ *   tierSpans - { tier1, tier2 } where the tier types were mentioned
+ */
+export function validateCampaignPost(content, options = {}) {
+  const rules = options.rules || DEFAULT_RULE_SET;
+  const campaign = rules.campaign || {};
+  const source = rule => ({ pack: rules.campaignPack, rule });
+  const warnings = [];
+  const suggestions = [];
+
+  // Check for disallowed phrases
+  rules.phrases.disallowed.forEach(({ value: phrase, pack }) => {
+    const spans = phraseSpans(content, phrase);
+    if (spans.length) {
+      warnings.push({
+        type: 'disallowed_phrase',
+        severity: 'high',
+        message: `Avoid "${phrase}" - signals drip-feed, reduces reach`,
+        fix: 'Use value-anchoring language instead',
+        source: { pack, rule: 'disallowed-phrase' },
+        spans
+      });
+    }
+  });
+
+  // Check for engagement trigger - a poll is one
+  const hasEngagementTrigger =
+    Boolean(options.poll?.options?.some(option => String(option ?? '').trim())) ||
+    /[?？]/.test(content) ||
+    /which|what|how|who|guess|predict|choose|pick|vote/i.test(content) ||
+    /tomorrow|next|coming soon/i.test(content);
+
+  if (campaign.engagementTriggers?.length && !hasEngagementTrigger) {
+    warnings.push({
+      type: 'missing_engagement',
+      severity: 'medium',
+      message: 'No engagement trigger detected',
+      fix: `Add a ${listOr(campaign.engagementTriggers.slice(0, 4))}`,
+      source: source('engagement-trigger'),
+      spans: []
+    });
+  }
+
+  // Check content tier
+  const { tier1, tier2 } = campaign.contentTiers || {};
+  const tierSpans = {
+    tier1: (tier1?.types || []).flatMap(t => phraseSpans(content, t)),
+    tier2: (tier2?.types || []).flatMap(t => phraseSpans(content, t))
+  };
+  const isTier1 = tierSpans.tier1.length > 0;
+  const isTier2 = tierSpans.tier2.length > 0;
+
+  if (isTier2 && !isTier1) {
+    suggestions.push({
+      type: 'tier_warning',
+      message: `This appears to be a Tier 2 item (${tier2.types.slice(0, 3).join('/')})`,
+      recommendation: 'Consider pairing with an Anchor drop or framing within a larger set reveal'
+    });
+  }
+
+  // Suggest timing
+  if (campaign.timing?.primaryPost) {
+    suggestions.push({
+      type: 'timing',
+      message: `Optimal posting: ${campaign.timing.primaryPost}`,
+      recommendation: campaign.timing.followUp
+        ? `Follow up ${campaign.timing.followUp} with detail or lore reply`
+        : 'Follow up with detail or lore reply'
+    });
+  }
+
+  return { warnings, suggestions, isTier1, isTier2, tierSpans };
+}
+
+// Case-insensitive occurrences of a phrase, as { start, end, text }
+function phraseSpans(content, phrase) {
+  const contentLower = content.toLowerCase();
+  const phraseLower = phrase.toLowerCase();
+  const spans = [];
+  for (let at = contentLower.indexOf(phraseLower); at !== -1; at = contentLower.indexOf(phraseLower, at + phraseLower.length)) {
+    spans.push({ start: at, end: at + phrase.length, text: content.slice(at, at + phrase.length) });
+  }
+  return spans;
+}
+
+function listOr(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')}, or ${items[items.length - 1]}` : items[0];
+}
+
+export default {
+  CAMPAIGN_RULES,
+  validateCampaignPost
+};
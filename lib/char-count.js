@@ -0,0 +1,153 @@
+/**
+ * X Character Counting
+ *
+ * Weighted length rules from X's twitter-text (config v3):
+ * - Text is NFC-normalized before counting
+ * - Code points in the Latin / general punctuation ranges weigh 1
+ * - Everything else (CJK, most other scripts) weighs 2
+ * - Every emoji, including ZWJ sequences and modifiers, weighs 2
+ * - Every URL weighs 23, whatever its real length
+ */
+
+import { segmentLines } from './segment-cache.js';
+
+// ============================================
+// CONFIG
+// ============================================
+
+export const MAX_WEIGHTED_LENGTH = 280;
+
+export const TRANSFORMED_URL_LENGTH = 23;
+
+const SCALE = 100;
+const DEFAULT_WEIGHT = 200;
+const EMOJI_WEIGHT = 200;
+
+// Ranges (inclusive) that weigh 100 instead of the default
+const LIGHT_RANGES = [
+  [0, 4351],
+  [8192, 8205],
+  [8208, 8223],
+  [8242, 8247]
+];
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"]+|\bwww\.[^\s<>"]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|gg|xyz|app|dev|co|quest|me|ly|ai|to|tv|fm|so|link)\b(?:\/[^\s<>"]*)?/gi;
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+// ============================================
+// COUNTING
+// ============================================
+
+/**
+ * Count a post the way X does
+ * @param {string} text - The post text
+ * @param {Object} options - { maxLength, cache } where `cache` is a segment cache
+ *   (see segment-cache.js) that keeps the weights of unchanged lines
+ * @returns {Object} { weightedLength, remaining, valid, overflowOffset, urls }
+ *   overflowOffset is the index in `text` of the first character past the limit, or -1;
+ *   like the url offsets it points into the text as given, not its normalized form
+ */
+export function countCharacters(text = '', options = {}) {
+  const { maxLength = MAX_WEIGHTED_LENGTH, cache = null } = options;
+  const limit = maxLength * SCALE;
+
+  let weight = 0;
+  let overflowOffset = -1;
+
+  const add = (amount, offset) => {
+    weight += amount;
+    if (overflowOffset === -1 && weight > limit) overflowOffset = offset;
+  };
+
+  const urls = findUrls(text);
+  let next = 0;
+
+  // A URL counts once where it starts, whatever is inside it
+  segmentLines(text, cache, 'weights', weighCharacters).forEach(({ index, weight: amount }) => {
+    while (next < urls.length && urls[next].end <= index) {
+      add(TRANSFORMED_URL_LENGTH * SCALE, urls[next].start);
+      next++;
+    }
+    if (next < urls.length && index >= urls[next].start) return;
+    add(amount, index);
+  });
+  urls.slice(next).forEach(url => add(TRANSFORMED_URL_LENGTH * SCALE, url.start));
+
+  const weightedLength = Math.ceil(weight / SCALE);
+
+  return {
+    weightedLength,
+    remaining: maxLength - weightedLength,
+    valid: text.trim().length > 0 && weightedLength <= maxLength,
+    overflowOffset,
+    urls
+  };
+}
+
+/**
+ * Shortcut for the weighted length only
+ * @param {string} text - The post text
+ * @returns {number} Weighted length
+ */
+export function weightedLength(text) {
+  return countCharacters(text).weightedLength;
+}
+
+/**
+ * Find URLs X would shorten to t.co links
+ * @param {string} text - The post text
+ * @returns {Array} { url, start, end }
+ */
+export function findUrls(text) {
+  const urls = [];
+  for (const match of text.matchAll(URL_PATTERN)) {
+    // Trailing punctuation belongs to the sentence, not the link
+    const url = match[0].replace(/[.,!?;:)\]'"]+$/, '');
+    urls.push({ url, start: match.index, end: match.index + url.length });
+  }
+  return urls;
+}
+
+// The weight of every character as { index, weight }. Each cluster is weighed in its NFC form,
+// so offsets stay in the original text; a cluster that normalizes to something else overflows as a whole
+function weighCharacters(text) {
+  const weights = [];
+  for (const { cluster, index } of graphemes(text)) {
+    if (EMOJI_PATTERN.test(cluster)) {
+      weights.push({ index, weight: EMOJI_WEIGHT });
+      continue;
+    }
+    const normalized = cluster.normalize('NFC');
+    let offset = index;
+    for (const char of normalized) {
+      weights.push({ index: offset, weight: codePointWeight(char.codePointAt(0)) });
+      if (normalized === cluster) offset += char.length;
+    }
+  }
+  return weights;
+}
+
+function graphemes(text) {
+  if (segmenter) {
+    return Array.from(segmenter.segment(text), ({ segment, index }) => ({ cluster: segment, index }));
+  }
+  // Without Intl.Segmenter, fall back to code points with their combining marks
+  return Array.from(text.matchAll(/\P{M}\p{M}*|\p{M}+/gu), m => ({ cluster: m[0], index: m.index }));
+}
+
+function codePointWeight(codePoint) {
+  return LIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? SCALE : DEFAULT_WEIGHT;
+}
+
+export default {
+  MAX_WEIGHTED_LENGTH,
+  TRANSFORMED_URL_LENGTH,
+  countCharacters,
+  weightedLength,
+  findUrls
+};
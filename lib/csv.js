@@ -0,0 +1,107 @@
+/**
+ * CSV
+ *
+ * RFC 4180 parsing and serialization for content calendars and exports:
+ * quoted fields, escaped quotes, embedded newlines, CRLF or LF rows.
+ */
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array} Rows, each an array of strings
+ */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  // Byte-order marks from spreadsheet exports are not part of the first header
+  if (text.charCodeAt(0) === 0xfeff) i = 1;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error('CSV ends inside a quoted field');
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no record
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV text
+ * @returns {Array} One object per record, keyed by the trimmed header names
+ */
+export function parseCsv(text) {
+  const [header, ...records] = parseCsvRows(text);
+  if (!header) return [];
+
+  const keys = header.map(h => h.trim());
+  return records.map(record => Object.fromEntries(keys.map((key, i) => [key, record[i] ?? ''])));
+}
+
+// ============================================
+// SERIALIZATION
+// ============================================
+
+/**
+ * Serialize objects to CSV
+ * @param {Array} rows - Objects to write
+ * @param {Array} columns - Column keys, in order (defaults to the keys of the first row)
+ * @returns {string} CSV text with a header row, CRLF line endings
+ */
+export function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  const lines = [columns, ...rows.map(row => columns.map(key => row[key]))];
+  return lines.map(line => line.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default {
+  parseCsvRows,
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,255 @@
+/**
+ * Draft Generator
+ *
+ * Asks the model for drafts as JSON matching DRAFT_SCHEMA instead of
+ * scraping them out of prose. Replies are validated; malformed ones are
+ * repaired locally where possible and otherwise sent back to the model with
+ * the validation errors. Every draft comes back scored by the local engine.
+ */
+
+import { analyzePost, X_ALGORITHM_SPEC } from './algorithm-engine.js';
+import { complete } from './llm.js';
+
+// ============================================
+// SCHEMA
+// ============================================
+
+const TARGET_SIGNALS = X_ALGORITHM_SPEC.predictions.positive.map(p => p.id);
+
+/**
+ * JSON schema for a drafting reply, passed to the provider as { name, schema }
+ */
+export const DRAFT_SCHEMA = {
+  name: 'post_drafts',
+  schema: {
+    type: 'object',
+    properties: {
+      message: { type: 'string', description: 'Conversational reply to show in the chat' },
+      drafts: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 5,
+        items: {
+          type: 'object',
+          properties: {
+            angle: { type: 'string', minLength: 1, description: 'Short name for the angle, e.g. "Curiosity teaser"' },
+            content: { type: 'string', minLength: 1, description: 'The post text, ready to publish' },
+            targetSignals: {
+              type: 'array',
+              items: { type: 'string', enum: TARGET_SIGNALS },
+              description: 'Phoenix actions the draft is built to drive'
+            },
+            rationale: { type: 'string', minLength: 1, description: 'Why this draft should perform' }
+          },
+          required: ['angle', 'content', 'targetSignals', 'rationale'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['message', 'drafts'],
+    additionalProperties: false
+  }
+};
+
+const FORMAT_INSTRUCTIONS = `Reply with a single JSON object and nothing else, matching this JSON schema:
+${JSON.stringify(DRAFT_SCHEMA.schema)}
+Put your conversational answer in "message" and 1-5 post drafts in "drafts" - starting points if the user is still exploring the idea.`;
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validate a value against a JSON schema
+ * Supports the subset DRAFT_SCHEMA uses: type, properties, required,
+ * additionalProperties, items, enum, minItems, maxItems, minLength
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @returns {Object} { valid, errors }
+ */
+export function validateSchema(value, schema) {
+  const errors = [];
+  const check = (v, s, p) => {
+    if (s.enum && !s.enum.includes(v)) {
+      errors.push(`${p} must be one of ${s.enum.join(', ')}`);
+      return;
+    }
+    switch (s.type) {
+      case 'object':
+        if (!v || typeof v !== 'object' || Array.isArray(v)) {
+          errors.push(`${p} must be an object`);
+          return;
+        }
+        (s.required || []).forEach(key => {
+          if (!(key in v)) errors.push(`${p}.${key} is required`);
+        });
+        Object.entries(v).forEach(([key, sub]) => {
+          if (s.properties?.[key]) check(sub, s.properties[key], `${p}.${key}`);
+          else if (s.additionalProperties === false) errors.push(`${p}.${key} is not allowed`);
+        });
+        break;
+      case 'array':
+        if (!Array.isArray(v)) {
+          errors.push(`${p} must be an array`);
+          return;
+        }
+        if (s.minItems !== undefined && v.length < s.minItems) errors.push(`${p} needs at least ${s.minItems} items`);
+        if (s.maxItems !== undefined && v.length > s.maxItems) errors.push(`${p} allows at most ${s.maxItems} items`);
+        if (s.items) v.forEach((item, i) => check(item, s.items, `${p}[${i}]`));
+        break;
+      case 'string':
+        if (typeof v !== 'string') errors.push(`${p} must be a string`);
+        else if (s.minLength !== undefined && v.trim().length < s.minLength) errors.push(`${p} must not be empty`);
+        break;
+      case 'number':
+        if (typeof v !== 'number' || !Number.isFinite(v)) errors.push(`${p} must be a number`);
+        break;
+      case 'boolean':
+        if (typeof v !== 'boolean') errors.push(`${p} must be a boolean`);
+        break;
+    }
+  };
+  check(value, schema, '$');
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Parse and validate a drafting reply
+ * Tolerates code fences, text around the JSON object and trailing commas;
+ * signals outside the schema are dropped rather than failing the reply
+ * @param {string} text - Raw model reply
+ * @returns {Object} { message, drafts }
+ * @throws {Error} With an `errors` array when the reply can't be used
+ */
+export function parseDraftResponse(text) {
+  let value;
+  try {
+    value = parseJson(extractJson(text));
+  } catch (error) {
+    throw invalid([`Reply is not valid JSON: ${error.message}`]);
+  }
+
+  if (value && Array.isArray(value.drafts)) {
+    value.drafts.forEach(draft => {
+      if (draft && Array.isArray(draft.targetSignals)) {
+        draft.targetSignals = draft.targetSignals.filter(signal => TARGET_SIGNALS.includes(signal));
+      }
+    });
+  }
+
+  const { valid, errors } = validateSchema(value, DRAFT_SCHEMA.schema);
+  if (!valid) throw invalid(errors);
+  return value;
+}
+
+function extractJson(text) {
+  const unfenced = text.replace(/```(?:json)?\s*([\s\S]*?)```/i, '$1');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  return start === -1 || end < start ? unfenced : unfenced.slice(start, end + 1);
+}
+
+// Models often leave trailing commas; only when the reply doesn't parse are they stripped
+function parseJson(json) {
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    try {
+      return JSON.parse(stripTrailingCommas(json));
+    } catch {
+      throw error;
+    }
+  }
+}
+
+// Drops commas right before } or ], leaving string contents as they are
+function stripTrailingCommas(json) {
+  let out = '';
+  let inString = false;
+  for (let i = 0; i < json.length; i++) {
+    const char = json[i];
+    if (inString) {
+      if (char === '\\') {
+        out += char + (json[++i] ?? '');
+        continue;
+      }
+      if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === ',') {
+      let next = i + 1;
+      while (/\s/.test(json[next] ?? '')) next++;
+      if (json[next] === '}' || json[next] === ']') continue;
+    }
+    out += char;
+  }
+  return out;
+}
+
+function invalid(errors) {
+  const error = new Error(`Malformed drafts: ${errors.slice(0, 3).join('; ')}`);
+  error.errors = errors;
+  return error;
+}
+
+// ============================================
+// GENERATION
+// ============================================
+
+/**
+ * Request drafts from the configured provider
+ * @param {Object} config - LLM config (see llm.js)
+ * @param {Array} messages - Conversation so far, ending with the user's turn
+ * @param {Object} options - { feature, signal, repairs (default 2), analysis, instructions } where
+ *   `analysis` holds the analyzePost options used to score each draft and `instructions` (e.g.
+ *   the brand style guide) go to complete() after the format instructions
+ * @returns {Promise<Object>} { message, drafts, attempts }
+ */
+export async function generateDrafts(config, messages, options = {}) {
+  const { feature = 'strategyBuilder', signal, repairs = 2 } = options;
+  const instructions = [FORMAT_INSTRUCTIONS, options.instructions].filter(Boolean).join('\n\n');
+  const conversation = [...messages];
+
+  for (let attempt = 1; ; attempt++) {
+    const reply = await complete(config, conversation, { feature, signal, schema: DRAFT_SCHEMA, instructions });
+    try {
+      const { message, drafts } = parseDraftResponse(reply);
+      return { message, drafts: scoreDrafts(drafts, options.analysis), attempts: attempt };
+    } catch (error) {
+      if (!error.errors || attempt > repairs) throw error;
+      // Show the model its own reply and what was wrong with it
+      conversation.push(
+        { role: 'assistant', content: reply },
+        { role: 'user', content: `That reply didn't match the schema:\n- ${error.errors.join('\n- ')}\nSend the corrected JSON object only.` }
+      );
+    }
+  }
+}
+
+/**
+ * Score drafts with the local engine
+ * @param {Array} drafts - { angle, content, targetSignals, rationale }
+ * @param {Object} options - analyzePost options (rules, goal, mediaType...)
+ * @returns {Array} Drafts with `analysis` (scores, warnings and campaign validation)
+ */
+export function scoreDrafts(drafts, options = {}) {
+  return drafts.map(draft => ({ ...draft, analysis: analyzePost(draft.content.trim(), options) }));
+}
+
+/**
+ * Plain-text form of a reply, kept in the chat history so later turns have context
+ * @param {Object} reply - { message, drafts }
+ * @returns {string}
+ */
+export function draftsToText({ message, drafts }) {
+  return [message, ...drafts.map((d, i) => `Draft ${i + 1} (${d.angle}): "${d.content}"`)].filter(Boolean).join('\n\n');
+}
+
+export default {
+  DRAFT_SCHEMA,
+  validateSchema,
+  parseDraftResponse,
+  generateDrafts,
+  scoreDrafts,
+  draftsToText
+};
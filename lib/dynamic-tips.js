@@ -0,0 +1,151 @@
+/**
+ * Dynamic Tips
+ *
+ * Fast keyword checks that drive the composer's "Do This" / "Fix This"
+ * sidebar while the user types.
+ */
+
+import { countCharacters, MAX_WEIGHTED_LENGTH } from './char-count.js';
+import { DEFAULT_RULE_SET, localizeRuleSet } from './rule-packs.js';
+import { detectLanguage } from './language.js';
+
+/**
+ * Generate live composer tips for a draft
+ * @param {string} content - The draft text
+ * @param {Object} context - { hasLink, mediaType, rules, language }
+ * @returns {Object} { doThis, avoidThis, insights, score }
+ */
+export function generateDynamicTips(content, context = {}) {
+  const text = (content || '').toLowerCase();
+  const language = detectLanguage(content || '');
+  const locale = context.language && context.language !== 'auto' ? context.language : language.locale;
+  const { phrases, limits, patterns, localePacks } = localizeRuleSet(context.rules || DEFAULT_RULE_SET, locale);
+  const matchesRule = (group, id) => patterns[group].some(rule => (!id || rule.id === id) && rule.regex.test(content || ''));
+  const hasQuestion = /[?？]/.test(text);
+  const hasCommunityLanguage = matchesRule('followBoosters', 'community-language');
+  const findPhrases = list => list.map(p => p.value).filter(phrase => text.includes(phrase.toLowerCase()));
+  const maxHashtags = limits.maxHashtags ?? 3;
+  const doThis = [];
+  const avoidThis = [];
+  const insights = [];
+
+  // Check for questions
+  if (!hasQuestion) {
+    doThis.push({ tip: 'Add a question', impact: '+12% replies', priority: 1 });
+  } else {
+    insights.push({ tip: 'Question detected ✓', impact: 'Boosts P(reply)', type: 'positive' });
+  }
+
+  // Check for links
+  if (text.includes('http') || text.includes('www.') || text.includes('.com') || text.includes('.io') || context.hasLink) {
+    avoidThis.push({ tip: 'Link in main post', impact: '-30% reach', priority: 1 });
+    doThis.push({ tip: 'Move link to reply', impact: 'Recovers reach', priority: 1 });
+  }
+
+  // Check for hashtags
+  const hashtagCount = (text.match(/#/g) || []).length;
+  if (hashtagCount > maxHashtags) {
+    avoidThis.push({ tip: `${hashtagCount} hashtags (spam signal)`, impact: 'Triggers filter', priority: 1 });
+    doThis.push({ tip: 'Use 1-2 hashtags max', impact: 'Avoid spam filter', priority: 1 });
+  } else if (hashtagCount === 0 && text.length > 20) {
+    doThis.push({ tip: 'Add 1-2 relevant hashtags', impact: '+discoverability', priority: 3 });
+  } else if (hashtagCount > 0) {
+    insights.push({ tip: `${hashtagCount} hashtag${hashtagCount > 1 ? 's' : ''} ✓`, impact: 'Good range', type: 'positive' });
+  }
+
+  // Check length (X weighted: links count 23, emoji and CJK count 2)
+  const charCount = countCharacters(content || '').weightedLength;
+  if (charCount > MAX_WEIGHTED_LENGTH) {
+    avoidThis.push({ tip: `${charCount} chars (over limit)`, impact: 'Cannot post', priority: 1 });
+    doThis.push({ tip: 'Trim to 280 characters', impact: 'Required', priority: 1 });
+  } else if (charCount > 200 && charCount <= 280) {
+    insights.push({ tip: 'Longer post', impact: 'OK but shorter often better', type: 'neutral' });
+  } else if (charCount >= 100 && charCount <= 200) {
+    insights.push({ tip: 'Optimal length ✓', impact: '100-200 chars ideal', type: 'positive' });
+  } else if (charCount > 0 && charCount < 100) {
+    doThis.push({ tip: 'Consider adding detail', impact: 'More context helps', priority: 3 });
+  }
+
+  // Check for spam words
+  const foundSpam = findPhrases(phrases.spam);
+  if (foundSpam.length > 0) {
+    avoidThis.push({ tip: `"${foundSpam[0]}" (spam trigger)`, impact: 'Reduces reach', priority: 1 });
+  }
+
+  // Check for engagement bait
+  const foundBait = findPhrases(phrases.engagementBait);
+  if (foundBait.length > 0) {
+    avoidThis.push({ tip: 'Engagement bait detected', impact: 'Algorithm penalty', priority: 1 });
+    doThis.push({ tip: 'Use genuine CTA instead', impact: 'Better engagement', priority: 2 });
+  }
+
+  // Check for community language
+  if (hasCommunityLanguage) {
+    insights.push({ tip: 'Community language ✓', impact: '+8% P(follow)', type: 'positive' });
+  } else {
+    doThis.push({ tip: 'Use "we/our" language', impact: '+8% follows', priority: 2 });
+  }
+
+  // Check for media mentions
+  if (context.mediaType === 'image' || text.includes('image') || text.includes('photo') || text.includes('pic')) {
+    insights.push({ tip: 'Image planned ✓', impact: '+15% engagement', type: 'positive' });
+  } else if (context.mediaType === 'video' || text.includes('video')) {
+    insights.push({ tip: 'Video planned ✓', impact: '+20% engagement', type: 'positive' });
+  } else if (context.mediaType === 'none' || !context.mediaType) {
+    doThis.push({ tip: 'Add image or video', impact: '+15-20% reach', priority: 2 });
+  }
+
+  // Check for drip-feed language (campaign specific)
+  const foundDrip = findPhrases(phrases.dripFeed);
+  if (foundDrip.length > 0) {
+    avoidThis.push({ tip: 'Drip-feed language detected', impact: 'Feels repetitive', priority: 2 });
+    doThis.push({ tip: 'Make each post standalone', impact: 'Better reception', priority: 2 });
+  }
+
+  // Check for mystery/curiosity
+  const foundMystery = findPhrases(phrases.curiosity);
+  if (foundMystery.length > 0) {
+    insights.push({ tip: 'Curiosity hook ✓', impact: '+P(dwell) time', type: 'positive' });
+  } else if (text.length > 50) {
+    doThis.push({ tip: 'Add curiosity/mystery', impact: '+dwell time', priority: 3 });
+  }
+
+  // Check for timing mentions
+  if (matchesRule('gmPatterns')) {
+    insights.push({ tip: 'GM post format', impact: 'Best early morning', type: 'neutral' });
+  }
+
+  // Check the language
+  if (language.mixed) {
+    const [main, second] = language.languages;
+    avoidThis.push({ tip: `Mixes ${main.name} and ${second.name}`, impact: 'Splits the audience', priority: 2 });
+    doThis.push({ tip: 'One language per post', impact: 'Translation in a reply', priority: 2 });
+  }
+  if (localePacks.length > 0) {
+    insights.push({ tip: `${localePacks.map(pack => pack.name).join(', ')} rules ✓`, impact: 'Locale pack applied', type: 'neutral' });
+  }
+
+  // Sort by priority
+  doThis.sort((a, b) => a.priority - b.priority);
+  avoidThis.sort((a, b) => a.priority - b.priority);
+
+  return {
+    doThis: doThis.slice(0, 5),
+    avoidThis: avoidThis.slice(0, 5),
+    insights: insights.slice(0, 4),
+    score: {
+      hasQuestion,
+      hasLink: text.includes('http') || context.hasLink,
+      hashtagCount,
+      charCount,
+      hasMedia: context.mediaType && context.mediaType !== 'none',
+      hasCommunityLanguage,
+      hasSpam: foundSpam.length > 0 || foundBait.length > 0,
+      language: locale
+    }
+  };
+}
+
+export default {
+  generateDynamicTips
+};
@@ -0,0 +1,275 @@
+/**
+ * Variant Comparison & A/B Experiments
+ *
+ * Scores two to four drafts side by side as deltas against a baseline, and
+ * keeps a record of experiments: what the engine predicted for each variant
+ * when the experiment started, which variants were posted, and the results
+ * entered afterwards. Lift is measured against the baseline variant with a
+ * two-proportion z-test on engagement rate and a Poisson test on impressions.
+ */
+
+import { analyzePost, ACTION_IDS } from './algorithm-engine.js';
+import { engagementRate } from './analytics.js';
+
+export const MIN_VARIANTS = 2;
+export const MAX_VARIANTS = 4;
+
+// p-value under which a difference counts as significant
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+const SCORE_KEYS = ['overall', 'weighted', 'contentQuality', 'format', 'linkHandling', 'timing', 'safety', 'campaignStrategy', 'style'];
+
+// ============================================
+// COMPARISON
+// ============================================
+
+/**
+ * Analyze drafts and express each one as deltas against a baseline
+ * @param {Array} texts - Two to four draft texts
+ * @param {Object} options - analyzePost options
+ * @param {number} baseline - Index of the baseline draft
+ * @returns {Object} { baseline, columns } where each column is
+ *   { text, analysis, scoreDeltas, predictionDeltas, newWarnings, resolvedWarnings }
+ * @throws {Error} When there are fewer than two or more than four drafts, one is empty, or
+ *   there is no draft at the baseline index
+ */
+export function compareDrafts(texts, options = {}, baseline = 0) {
+  assertVariants(texts, baseline);
+  const analyses = texts.map(text => analyzePost(text, options));
+  const base = analyses[baseline];
+  const baseWarnings = new Set(base.warnings.map(warningKey));
+
+  return {
+    baseline,
+    columns: analyses.map((analysis, i) => {
+      const keys = new Set(analysis.warnings.map(warningKey));
+      return {
+        text: texts[i],
+        analysis,
+        scoreDeltas: Object.fromEntries(SCORE_KEYS
+          .filter(key => analysis.scores[key] !== undefined && base.scores[key] !== undefined)
+          .map(key => [key, analysis.scores[key] - base.scores[key]])),
+        predictionDeltas: Object.fromEntries(ACTION_IDS
+          .map(id => [id, round((analysis.predictions[id] || 0) - (base.predictions[id] || 0), 1)])),
+        newWarnings: i === baseline ? [] : analysis.warnings.filter(w => !baseWarnings.has(warningKey(w))),
+        resolvedWarnings: i === baseline ? [] : base.warnings.filter(w => !keys.has(warningKey(w)))
+      };
+    })
+  };
+}
+
+// Comparisons and experiments both take 2-4 non-empty drafts and a baseline among them
+function assertVariants(texts, baseline) {
+  if (!Array.isArray(texts) || texts.length < MIN_VARIANTS || texts.length > MAX_VARIANTS) {
+    throw new Error(`An experiment needs ${MIN_VARIANTS}-${MAX_VARIANTS} variants`);
+  }
+  if (texts.some(text => typeof text !== 'string' || !text.trim())) {
+    throw new Error('Every variant needs text');
+  }
+  if (!Number.isInteger(baseline) || baseline < 0 || baseline >= texts.length) {
+    throw new Error(`No variant at baseline index ${baseline}`);
+  }
+}
+
+function warningKey(w) {
+  return `${w.source ? `${w.source.pack}/${w.source.rule}` : w.type}:${w.message}`;
+}
+
+// ============================================
+// EXPERIMENT LOG
+// ============================================
+
+/**
+ * Start an experiment, recording the engine's predictions for every variant
+ * @param {Object} spec - { name, variants: [{ label?, text }], baseline = 0, options }
+ *   `options` are the analyzePost options the variants are scored with
+ * @returns {Object} Experiment { id, name, createdAt, goal, baseline, pick, variants }
+ *   pick - id of the variant the engine scored highest
+ * @throws {Error} When there are fewer than two or more than four variants, one has no text,
+ *   or there is no variant at the baseline index
+ */
+export function createExperiment({ name, variants, baseline = 0, options = {} }) {
+  assertVariants(Array.isArray(variants) ? variants.map(v => v?.text) : variants, baseline);
+
+  const scored = variants.map((v, i) => {
+    const { scores } = analyzePost(v.text, options);
+    const id = String.fromCharCode(65 + i);
+    return {
+      id,
+      label: v.label || `Variant ${id}`,
+      text: v.text,
+      predicted: { overall: scores.overall, weighted: scores.weighted },
+      postedAt: null,
+      results: null
+    };
+  });
+  const pick = scored.reduce((best, v) => v.predicted.overall > best.predicted.overall ? v : best);
+  const createdAt = new Date().toISOString();
+
+  return {
+    id: `exp-${Date.now().toString(36)}`,
+    name: name?.trim() || `Experiment ${createdAt.slice(0, 10)}`,
+    createdAt,
+    goal: options.goal || null,
+    baseline: scored[baseline].id,
+    pick: pick.id,
+    variants: scored
+  };
+}
+
+/**
+ * Mark a variant as posted
+ * @param {Object} experiment - Experiment from createExperiment
+ * @param {string} variantId - Variant id ('A', 'B'...)
+ * @param {Date|string|null} postedAt - When it went out; null clears it
+ * @returns {Object} Updated experiment
+ */
+export function recordPosted(experiment, variantId, postedAt = new Date()) {
+  const date = postedAt === null ? null : new Date(postedAt);
+  if (date && Number.isNaN(date.getTime())) throw new Error(`Invalid posting date: ${postedAt}`);
+  return updateVariant(experiment, variantId, { postedAt: date && date.toISOString() });
+}
+
+/**
+ * Enter the results a posted variant got
+ * @param {Object} experiment - Experiment from createExperiment
+ * @param {string} variantId - Variant id
+ * @param {Object|null} results - { impressions, engagements }; null clears them
+ * @returns {Object} Updated experiment
+ */
+export function recordResults(experiment, variantId, results) {
+  if (results === null) return updateVariant(experiment, variantId, { results: null });
+
+  const { impressions, engagements } = results;
+  if (!Number.isInteger(impressions) || impressions < 0) throw new Error('Impressions must be a whole number');
+  if (!Number.isInteger(engagements) || engagements < 0) throw new Error('Engagements must be a whole number');
+  if (engagements > impressions) throw new Error('Engagements cannot exceed impressions');
+  return updateVariant(experiment, variantId, { results: { impressions, engagements } });
+}
+
+function updateVariant(experiment, variantId, changes) {
+  if (!experiment.variants.some(v => v.id === variantId)) {
+    throw new Error(`Experiment "${experiment.name}" has no variant ${variantId}`);
+  }
+  return {
+    ...experiment,
+    variants: experiment.variants.map(v => v.id === variantId ? { ...v, ...changes } : v)
+  };
+}
+
+// ============================================
+// RESULTS
+// ============================================
+
+/**
+ * Lift and significance of every variant against the baseline
+ * @param {Object} experiment - Experiment with results entered
+ * @returns {Object} { baseline, variants, leader, pickMatched }
+ *   variants - { id, label, predicted, posted, impressions, engagements, rate,
+ *                lift: { impressions, rate }, tests: { impressions, engagement }, significant }
+ *   leader - id of the variant with the best engagement rate, once two have results
+ *   pickMatched - whether the engine's pick is the leader (null until there is one)
+ */
+export function summarizeExperiment(experiment) {
+  const base = experiment.variants.find(v => v.id === experiment.baseline);
+
+  const variants = experiment.variants.map(v => {
+    const summary = {
+      id: v.id,
+      label: v.label,
+      predicted: v.predicted,
+      posted: Boolean(v.postedAt),
+      impressions: v.results?.impressions ?? null,
+      engagements: v.results?.engagements ?? null,
+      rate: v.results ? round(engagementRate(v.results), 2) : null,
+      lift: null,
+      tests: null,
+      significant: false
+    };
+    if (v.id === base.id || !v.results || !base.results) return summary;
+
+    const tests = {
+      impressions: poissonTest(v.results.impressions, base.results.impressions),
+      engagement: twoProportionTest(v.results.engagements, v.results.impressions, base.results.engagements, base.results.impressions)
+    };
+    return {
+      ...summary,
+      lift: {
+        impressions: relativeChange(v.results.impressions, base.results.impressions),
+        rate: relativeChange(engagementRate(v.results), engagementRate(base.results))
+      },
+      tests,
+      significant: tests.engagement.p !== null && tests.engagement.p < SIGNIFICANCE_LEVEL
+    };
+  });
+
+  const withResults = variants.filter(v => v.rate !== null);
+  const leader = withResults.length >= MIN_VARIANTS
+    ? withResults.reduce((best, v) => v.rate > best.rate ? v : best).id
+    : null;
+
+  return {
+    baseline: base.id,
+    variants,
+    leader,
+    pickMatched: leader === null ? null : leader === experiment.pick
+  };
+}
+
+/**
+ * Two-proportion z-test (pooled), e.g. engagements out of impressions
+ * @returns {Object} { z, p } with a two-sided p-value; nulls when either side has no trials
+ */
+export function twoProportionTest(successesA, trialsA, successesB, trialsB) {
+  if (!trialsA || !trialsB) return { z: null, p: null };
+  const pooled = (successesA + successesB) / (trialsA + trialsB);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+  if (!se) return { z: 0, p: 1 };
+  const z = (successesA / trialsA - successesB / trialsB) / se;
+  return { z: round(z, 3), p: round(twoSided(z), 4) };
+}
+
+/**
+ * Compare two counts as Poisson rates over the same exposure, e.g. impressions
+ * Normal approximation of the conditional binomial test
+ * @returns {Object} { z, p } with a two-sided p-value
+ */
+export function poissonTest(countA, countB) {
+  if (countA + countB === 0) return { z: 0, p: 1 };
+  const z = (countA - countB) / Math.sqrt(countA + countB);
+  return { z: round(z, 3), p: round(twoSided(z), 4) };
+}
+
+function twoSided(z) {
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+// Abramowitz & Stegun 7.1.26, accurate to about 1e-7
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function relativeChange(value, base) {
+  return base ? round(((value - base) / base) * 100, 1) : null;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  MIN_VARIANTS,
+  MAX_VARIANTS,
+  SIGNIFICANCE_LEVEL,
+  compareDrafts,
+  createExperiment,
+  recordPosted,
+  recordResults,
+  summarizeExperiment,
+  twoProportionTest,
+  poissonTest
+};
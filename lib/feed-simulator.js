@@ -0,0 +1,432 @@
+/**
+ * Feed Simulator
+ *
+ * Runs a draft and a set of competing candidates through the home timeline
+ * pipeline from X_ALGORITHM_SPEC.pipelineStages: candidate sourcing, hydration,
+ * pre-scoring filters, the Phoenix / Weighted / Author Diversity / OON scorers,
+ * top-K selection and post-selection filters. Every stage records what it
+ * dropped and how it moved each score, so the trace shows where the draft lost
+ * ground.
+ *
+ * Stages are plain objects ({ id, stage, kind, description, run }); pass your
+ * own list as `stages` to remove, reorder or replace them.
+ */
+
+import { analyzePost, computeWeightedScore, resolveWeightProfile } from './algorithm-engine.js';
+
+// Author id of the draft and our own earlier posts
+export const OWN_AUTHOR = 'you';
+
+export const SIMULATION_DEFAULTS = {
+  maxAgeHours: 48,     // AgeFilter cut-off
+  topK: 10,            // Candidates kept by selection
+  diversityDecay: 0.5, // Author Diversity: each further post by an author keeps this share...
+  diversityFloor: 0.25, // ...of the score above the floor
+  oonFactor: 0.75      // OON Scorer multiplier for out-of-network candidates
+};
+
+// ============================================
+// STAGE HELPERS
+// ============================================
+
+// A filter that judges each candidate on its own; `reasonFor` returns why it drops, or null
+function candidateFilter(id, stage, description, reasonFor) {
+  return {
+    id,
+    stage,
+    kind: 'filter',
+    description,
+    run: (candidates, ctx) => splitDropped(candidates, c => reasonFor(c, ctx))
+  };
+}
+
+function splitDropped(candidates, reasonFor) {
+  const kept = [];
+  const dropped = [];
+  candidates.forEach(c => {
+    const reason = reasonFor(c);
+    if (reason) dropped.push({ id: c.id, reason });
+    else kept.push(c);
+  });
+  return { candidates: kept, dropped, changes: [] };
+}
+
+// A scorer maps each candidate to { score, note }; the stage records before and after
+function scorer(id, description, scoreAll) {
+  return {
+    id,
+    stage: 'Scoring',
+    kind: 'scorer',
+    description,
+    run: (candidates, ctx) => {
+      const results = scoreAll(candidates, ctx);
+      const changes = [];
+      const scored = candidates.map((c, i) => {
+        const { score, note, ...fields } = results[i];
+        changes.push({ id: c.id, before: c.score, after: round(score), note });
+        return { ...c, ...fields, score: round(score) };
+      });
+      return { candidates: scored, dropped: [], changes };
+    }
+  };
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+// ============================================
+// STAGES
+// ============================================
+
+const candidateSourcing = {
+  id: 'CandidateSourcing',
+  stage: 'Candidate Sourcing',
+  kind: 'source',
+  description: 'Thunder supplies in-network posts, Phoenix Retrieval the out-of-network ones',
+  run: (candidates, ctx) => ({
+    candidates: candidates.map(c => ({ ...c, source: ctx.viewer.follows.includes(c.author) ? 'in-network' : 'out-of-network' })),
+    dropped: [],
+    changes: candidates.map(c => ({
+      id: c.id, before: null, after: null,
+      note: ctx.viewer.follows.includes(c.author) ? 'Thunder (in-network)' : 'Phoenix Retrieval (out-of-network)'
+    }))
+  })
+};
+
+const candidateHydration = {
+  id: 'CandidateHydration',
+  stage: 'Candidate Hydration',
+  kind: 'hydrator',
+  description: 'Adds post data: the engine analysis of each candidate',
+  run: (candidates, ctx) => ({
+    candidates: candidates.map(c => ({
+      ...c,
+      analysis: c.analysis || (c.text ? analyzePost(c.text, { ...ctx.analysisOptions, mediaType: c.mediaType }) : null)
+    })),
+    dropped: [],
+    changes: []
+  })
+};
+
+const PRE_SCORING_FILTERS = [
+  {
+    id: 'DropDuplicatesFilter',
+    stage: 'Pre-Scoring Filters',
+    kind: 'filter',
+    description: 'Drops candidates sourced more than once',
+    run: (candidates) => {
+      const seen = new Set();
+      return splitDropped(candidates, c => {
+        if (seen.has(c.id)) return `${c.id} is already in the set`;
+        seen.add(c.id);
+        return null;
+      });
+    }
+  },
+  candidateFilter('CoreDataHydrationFilter', 'Pre-Scoring Filters', 'Drops candidates whose post data did not hydrate',
+    c => !c.analysis ? 'No post text to hydrate' : null),
+  candidateFilter('AgeFilter', 'Pre-Scoring Filters', 'Drops posts older than the age limit',
+    (c, ctx) => c.ageHours > ctx.settings.maxAgeHours ? `${c.ageHours}h old - over the ${ctx.settings.maxAgeHours}h limit` : null),
+  candidateFilter('SelfpostFilter', 'Pre-Scoring Filters', "Drops the viewer's own posts",
+    (c, ctx) => c.author === ctx.viewer.id ? "The viewer's own post" : null),
+  {
+    id: 'RepostDeduplicationFilter',
+    stage: 'Pre-Scoring Filters',
+    kind: 'filter',
+    description: 'Keeps one copy of a post and its reposts',
+    run: (candidates) => {
+      const seen = new Set();
+      return splitDropped(candidates, c => {
+        const original = c.repostOf || c.id;
+        if (seen.has(original)) return `Repost of ${original}, already in the set`;
+        seen.add(original);
+        return null;
+      });
+    }
+  },
+  candidateFilter('IneligibleSubscriptionFilter', 'Pre-Scoring Filters', 'Drops subscriber-only posts the viewer cannot see',
+    (c, ctx) => c.subscribersOnly && !ctx.viewer.subscriptions.includes(c.author) ? `Subscriber-only post from @${c.author}` : null),
+  candidateFilter('PreviouslySeenPostsFilter', 'Pre-Scoring Filters', 'Drops posts the viewer has already seen',
+    (c, ctx) => ctx.viewer.seenPostIds.includes(c.id) ? 'Already seen' : null),
+  candidateFilter('PreviouslyServedPostsFilter', 'Pre-Scoring Filters', 'Drops posts already served this session',
+    (c, ctx) => ctx.viewer.servedPostIds.includes(c.id) ? 'Already served' : null),
+  candidateFilter('MutedKeywordFilter', 'Pre-Scoring Filters', "Drops posts containing the viewer's muted keywords",
+    (c, ctx) => {
+      const muted = ctx.viewer.mutedKeywords.find(k => mutedPattern(k).test(c.text));
+      return muted ? `Contains muted keyword "${muted}"` : null;
+    }),
+  candidateFilter('AuthorSocialgraphFilter', 'Pre-Scoring Filters', 'Drops authors the viewer blocked or muted',
+    (c, ctx) => ctx.viewer.blockedAuthors.includes(c.author) ? `@${c.author} is blocked`
+      : ctx.viewer.mutedAuthors.includes(c.author) ? `@${c.author} is muted` : null)
+];
+
+function mutedPattern(keyword) {
+  const escaped = keyword.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu');
+}
+
+const SCORERS = [
+  scorer('PhoenixScorer', 'Predicts each engagement action for the candidate', candidates => candidates.map(c => {
+    const predictions = c.analysis.predictions;
+    const top = Object.entries(predictions).sort((a, b) => b[1] - a[1]).slice(0, 2);
+    return { score: null, predictions, note: top.map(([id, p]) => `${id} ${p}`).join(', ') };
+  })),
+  scorer('WeightedScorer', 'Σ (weight × P(action)) with the weight profile', (candidates, ctx) => candidates.map(c => {
+    const { raw } = computeWeightedScore(c.predictions, ctx.profile);
+    return { score: raw, note: ctx.profile.name };
+  })),
+  scorer('AuthorDiversityScorer', 'Attenuates each further post by the same author', (candidates, ctx) => {
+    const { diversityDecay: decay, diversityFloor: floor } = ctx.settings;
+    // Authors the viewer already saw recently start further down the decay
+    const positions = {};
+    ctx.viewer.recentAuthors.forEach(a => { positions[a] = (positions[a] || 0) + 1; });
+    const multipliers = new Map();
+    [...candidates].sort((a, b) => b.score - a.score).forEach(c => {
+      const position = positions[c.author] || 0;
+      positions[c.author] = position + 1;
+      multipliers.set(c.id, { position, multiplier: (1 - floor) * decay ** position + floor });
+    });
+    return candidates.map(c => {
+      const { position, multiplier } = multipliers.get(c.id);
+      return {
+        score: attenuate(c.score, multiplier),
+        note: position ? `Post ${position + 1} from @${c.author}: ×${multiplier.toFixed(2)}` : `First from @${c.author}`
+      };
+    });
+  }),
+  scorer('OONScorer', 'Discounts out-of-network candidates', (candidates, ctx) => candidates.map(c => (
+    c.source === 'out-of-network'
+      ? { score: attenuate(c.score, ctx.settings.oonFactor), note: `Out-of-network: ×${ctx.settings.oonFactor}` }
+      : { score: c.score, note: 'In-network' }
+  )))
+];
+
+// Weighted scores go negative when negative actions outweigh the rest; multiplying one of those
+// by a discount would lift it, so it's divided instead
+function attenuate(score, multiplier) {
+  return score < 0 ? score / multiplier : score * multiplier;
+}
+
+const topKSelection = {
+  id: 'TopKSelector',
+  stage: 'Selection',
+  kind: 'selector',
+  description: 'Sorts by final score and keeps the top K',
+  run: (candidates, ctx) => {
+    const ranked = [...candidates]
+      .sort((a, b) => b.score - a.score)
+      .map((c, i) => ({ ...c, rank: i + 1 }));
+    const { topK } = ctx.settings;
+    return {
+      candidates: ranked.slice(0, topK),
+      dropped: ranked.slice(topK).map(c => ({ id: c.id, reason: `Ranked ${c.rank} of ${ranked.length} - outside the top ${topK}` })),
+      changes: ranked.map(c => ({ id: c.id, before: c.score, after: c.score, note: `Rank ${c.rank}` }))
+    };
+  }
+};
+
+const POST_SELECTION_FILTERS = [
+  candidateFilter('VFFilter', 'Post-Selection Filters', 'Visibility filtering: drops spam and scam content',
+    c => {
+      const flagged = c.analysis.warnings.find(w => w.type === 'P(report)');
+      return flagged ? `Visibility filtered: ${flagged.message}` : null;
+    }),
+  {
+    id: 'DedupConversationFilter',
+    stage: 'Post-Selection Filters',
+    kind: 'filter',
+    description: 'Keeps the best-ranked post of each conversation',
+    run: (candidates) => {
+      const seen = new Map();
+      return splitDropped(candidates, c => {
+        if (!c.conversationId) return null;
+        if (seen.has(c.conversationId)) return `Same conversation as ${seen.get(c.conversationId)}`;
+        seen.set(c.conversationId, c.id);
+        return null;
+      });
+    }
+  }
+];
+
+/**
+ * The documented pipeline, in order
+ */
+export const DEFAULT_STAGES = [
+  candidateSourcing,
+  candidateHydration,
+  ...PRE_SCORING_FILTERS,
+  ...SCORERS,
+  topKSelection,
+  ...POST_SELECTION_FILTERS
+];
+
+// ============================================
+// SIMULATION
+// ============================================
+
+/**
+ * Run a draft and competing candidates through the pipeline
+ * @param {Object|string} draft - Draft text, or { text, mediaType, ageHours, conversationId }
+ * @param {Array} candidates - Competing posts { id, author, text, ageHours, mediaType, repostOf,
+ *   conversationId, subscribersOnly }
+ * @param {Object} viewer - { id, follows, mutedKeywords, blockedAuthors, mutedAuthors, seenPostIds,
+ *   servedPostIds, recentAuthors, subscriptions }; recentAuthors lists one entry per post the
+ *   viewer saw recently, so Author Diversity starts those authors further down its decay
+ * @param {Object} options - { stages, goal, weightProfile, rules } plus SIMULATION_DEFAULTS overrides
+ * @returns {Object} { trace, feed, draft }
+ *   trace - per stage { id, stage, kind, description, in, out, dropped, changes }
+ *   feed - final candidates in rank order
+ *   draft - { id, status: 'shown'|'dropped', droppedBy, rank, position, scores }
+ */
+export function simulateFeed(draft, candidates = [], viewer = {}, options = {}) {
+  const { stages = DEFAULT_STAGES, goal, weightProfile, rules, ...overrides } = options;
+  const settings = { ...SIMULATION_DEFAULTS, ...overrides };
+  const own = typeof draft === 'string' ? { text: draft } : draft;
+  const draftCandidate = { ageHours: 0, mediaType: 'none', ...own, id: 'draft', author: OWN_AUTHOR };
+
+  const ctx = {
+    viewer: {
+      id: 'viewer',
+      follows: [],
+      mutedKeywords: [],
+      blockedAuthors: [],
+      mutedAuthors: [],
+      seenPostIds: [],
+      servedPostIds: [],
+      recentAuthors: [],
+      subscriptions: [],
+      ...viewer
+    },
+    settings,
+    profile: resolveWeightProfile({ goal, weightProfile }),
+    analysisOptions: { rules, campaign: false }
+  };
+  ctx.viewer.mutedKeywords = ctx.viewer.mutedKeywords.filter(k => k.trim());
+
+  let current = [draftCandidate, ...candidates].map(c => ({ ageHours: 0, mediaType: 'none', ...c, score: null }));
+  const trace = [];
+  let droppedBy = null;
+  const scores = [];
+
+  stages.forEach(stage => {
+    const result = stage.run(current, ctx);
+    trace.push({
+      id: stage.id,
+      stage: stage.stage,
+      kind: stage.kind,
+      description: stage.description,
+      in: current.length,
+      out: result.candidates.length,
+      dropped: result.dropped,
+      changes: result.changes
+    });
+    const ours = result.dropped.find(d => d.id === 'draft');
+    if (ours && !droppedBy) droppedBy = { stage: stage.id, reason: ours.reason };
+    const change = result.changes.find(c => c.id === 'draft');
+    if (change && stage.kind === 'scorer') scores.push({ stage: stage.id, ...change });
+    current = result.candidates;
+  });
+
+  const position = current.findIndex(c => c.id === 'draft');
+  const ranked = trace.find(t => t.kind === 'selector')?.changes.find(c => c.id === 'draft');
+  return {
+    trace,
+    feed: current,
+    draft: {
+      id: 'draft',
+      status: position === -1 ? 'dropped' : 'shown',
+      droppedBy,
+      rank: ranked ? Number(ranked.note.replace('Rank ', '')) : null,
+      position: position === -1 ? null : position + 1,
+      scores
+    }
+  };
+}
+
+// ============================================
+// SYNTHETIC CANDIDATES
+// ============================================
+
+// Competing posts; each exercises a different part of the pipeline
+const COMPETITOR_TEMPLATES = [
+  { author: 'pixelpals', text: 'Our new co-op mode is live! Who are you teaming up with tonight?', mediaType: 'video' },
+  { author: 'questlog', text: 'Patch notes for 2.3: faster load times, 14 bug fixes and a new boss. Full notes below', mediaType: 'image' },
+  { author: 'indiedevdaily', text: 'Thread: how we doubled our wishlists in a month without paid ads 🧵', mediaType: 'thread' },
+  { author: 'gamenews', text: 'BREAKING: the summer showcase date is confirmed. What are you hoping to see?' },
+  { author: 'lorekeeper', text: 'The hidden story behind the northern ruins finally makes sense. Have you found the secret room?', mediaType: 'image' },
+  { author: 'memelord', text: 'me: one more run. also me at 4am: one more run', mediaType: 'image' },
+  { author: 'cryptoquest', text: 'Whitelist spots for our airdrop are open now - guaranteed 100x, buy now!' },
+  { author: 'speedrunner', text: 'New world record, 23:41. Route breakdown in the replies', mediaType: 'video' },
+  { author: 'pixelpals', text: 'Behind the scenes: sketching the new character roster. Which one should we finish first?', mediaType: 'image' },
+  { author: 'gamenews', text: 'Top 10 indie games of the month - check out the full list https://example.com/top10' },
+  { author: 'artbyjun', text: 'Fan art of the forest critters, took me all week. Hope you like it!', mediaType: 'image' },
+  { author: 'questlog', text: 'Community night this Friday - we are playing your custom maps live', mediaType: 'video' },
+  { author: 'devdiaries', text: 'Subscriber preview: the full design doc for our next expansion', subscribersOnly: true },
+  { author: 'retrofan', text: 'Unpopular opinion: pixel art games age better than anything photoreal. Agree?' },
+  { author: 'memelord', text: 'me: one more run. also me at 4am: one more run', mediaType: 'image', repost: true },
+  { author: 'indiedevdaily', text: 'Quick tip: put your store link in the first reply, not the post itself' }
+];
+
+// Our own earlier posts, for Author Diversity
+const OWN_POST_TEMPLATES = [
+  'gm critters! What are you building this week?',
+  'The forest map just got a little bigger. Have you explored the new grove yet?',
+  'Behind the scenes: our artist is painting the next legendary set',
+  'Thank you for 10k followers - we could not have built this without you'
+];
+
+// Deterministic PRNG so a seed always builds the same feed
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Synthetic competing candidates
+ * @param {Object} options - { count = 12, ownPosts = 0, seed = 1 } where ownPosts adds our own
+ *   earlier posts from today, so the draft is post ownPosts + 1 of the day
+ * @returns {Array} Candidates for simulateFeed
+ */
+export function generateCandidates({ count = 12, ownPosts = 0, seed = 1 } = {}) {
+  const random = mulberry32(seed);
+  const pool = [...COMPETITOR_TEMPLATES];
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  pool.splice(count);
+  const competitors = pool.map((t, i) => {
+    const { repost, ...template } = t;
+    const original = repost && pool.find(o => !o.repost && o.text === t.text);
+    return {
+      ...template,
+      id: `c${i + 1}`,
+      // Mostly recent, with the odd post past the age limit
+      ageHours: Math.round((random() < 0.1 ? 48 + random() * 24 : random() * 30) * 10) / 10,
+      ...(original && { repostOf: `c${pool.indexOf(original) + 1}` })
+    };
+  });
+  const own = OWN_POST_TEMPLATES.slice(0, ownPosts).map((text, i) => ({
+    id: `own${i + 1}`,
+    author: OWN_AUTHOR,
+    text,
+    ageHours: (ownPosts - i) * 3,
+    mediaType: i % 2 ? 'none' : 'image'
+  }));
+  return [...own, ...competitors];
+}
+
+export default {
+  OWN_AUTHOR,
+  SIMULATION_DEFAULTS,
+  DEFAULT_STAGES,
+  simulateFeed,
+  generateCandidates
+};
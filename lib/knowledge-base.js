@@ -0,0 +1,675 @@
+/**
+ * Knowledge Base
+ *
+ * Learn tab topics and the "Algorithm Essentials" modules. Each topic lists the
+ * X_ALGORITHM_SPEC sections (plus `weightProfiles` and `rules` for the engine's
+ * weight profiles and rule packs) its claims come from; knowledge-search.js
+ * indexes them for retrieval and citations.
+ */
+
+// ============================================
+// TOPICS
+// ============================================
+
+export const KNOWLEDGE_TOPICS = {
+  repetitive_posting: {
+    keywords: ['repetitive', 'repeat', 'same', 'daily', 'pattern', 'posting pattern', 'same time', 'every day', 'schedule', 'consistent posting', 'over-posting', 'too much', 'too often'],
+    title: 'Repetitive Posting Patterns',
+    answer: `Repetitive posting patterns hurt your reach in several ways:
+
+**What the algorithm detects:**
+• Posting at the exact same time every day signals automation
+• Same format/structure repeatedly (e.g., "GM! [emoji]" daily)
+• Similar word patterns or templates used too frequently
+• Drip-feed language like "Item #1", "Day 2 of...", "Part 3"
+
+**Why it hurts:**
+• The AuthorDiversity filter deprioritizes accounts that flood feeds
+• Pattern recognition flags bot-like behavior
+• Followers experience content fatigue, reducing engagement velocity
+• P(mute) increases when followers see repetitive content
+
+**Better approach:**
+• Vary your posting times by 1-3 hours
+• Rotate between 4-5 different content formats
+• Space out similar announcements by 2+ days
+• Make each post feel like a standalone moment, not part of a series
+
+For item reveals, never say "Item #1" or "first of many" - treat each as special.`,
+    related: ['cadence', 'formats', 'spam'],
+    spec: ['pipelineStages']
+  },
+
+  scoring: {
+    keywords: ['score', 'scoring', 'formula', 'calculate', 'rank', 'ranking', 'how does', 'weight', 'weighted'],
+    title: 'The Scoring Formula',
+    answer: `X's algorithm calculates a final score for each post using weighted action predictions:
+
+**The Formula:**
+Final Score = Σ (weight_i × P(action_i))
+
+**Positive weights (these help):**
+• P(favorite) - likelihood of likes
+• P(reply) - likelihood of replies (+12 boost from questions)
+• P(repost) - likelihood of retweets
+• P(quote) - likelihood of quote tweets
+• P(follow_author) - likelihood user follows you (+6 from community words)
+• P(video_view) - video engagement (+20)
+• P(photo_expand) - image engagement (+15)
+• P(dwell) - time spent reading
+
+**Negative weights (these hurt):**
+• P(block) - likelihood of blocking
+• P(mute) - likelihood of muting
+• P(report) - likelihood of reporting
+
+The weighted sum determines where you appear in feeds. Focus on maximizing positive signals while avoiding content that triggers negative predictions.`,
+    related: ['phoenix', 'engagement', 'reach'],
+    spec: ['scoringFormula', 'predictions', 'weightProfiles']
+  },
+
+  phoenix: {
+    keywords: ['phoenix', 'grok', 'model', 'transformer', 'prediction', 'ai', 'machine learning', 'how does x know', 'how does twitter know'],
+    title: 'Phoenix Scorer (The Brain)',
+    answer: `Phoenix is X's core ranking model - a Grok-based transformer that predicts user behavior:
+
+**What Phoenix does:**
+• Analyzes every post before it enters feeds
+• Predicts 15+ different user actions
+• Outputs probability scores: P(favorite), P(reply), P(repost), etc.
+• These predictions feed into the scoring formula
+
+**What Phoenix looks at:**
+• Your text content and structure
+• Media attachments (images, video)
+• Your account history and engagement patterns
+• The viewing user's preferences
+• Network signals (who follows whom)
+
+**Key insight:**
+Phoenix doesn't judge content directly - it predicts how users will react. Content that historically gets engagement signals quality. This is why engagement velocity in the first 15-30 minutes matters so much.`,
+    related: ['scoring', 'filters', 'engagement'],
+    spec: ['predictions', 'phoenixArchitecture', 'designDecisions']
+  },
+
+  links: {
+    keywords: ['link', 'links', 'url', 'external', 'website', 'click out', 'off-platform', 'href'],
+    title: 'External Links & Reach',
+    answer: `External links are one of the biggest reach killers on X:
+
+**The penalty:**
+• Links in your main post = ~30% reach reduction
+• X wants users to stay on platform, not click away
+• The algorithm deprioritizes off-platform content
+
+**Smart link strategies:**
+1. **Reply method:** Post your content, then add the link as a reply
+2. **"Link in bio":** Direct to profile for important links
+3. **Thread method:** Put link in final tweet of a thread
+4. **Quote tweet:** Share a tweet that contains the link
+
+**For Critters Quest:**
+Put game links, Discord invites, and marketplace links in replies - never in the main announcement.`,
+    related: ['reach', 'spam', 'formats'],
+    spec: ['predictions']
+  },
+
+  hashtags: {
+    keywords: ['hashtag', 'hashtags', '#', 'tags', 'how many hashtags', 'too many hashtags'],
+    title: 'Hashtag Strategy',
+    answer: `Hashtags have diminishing returns and can trigger spam filters:
+
+**The rules:**
+• 0-2 hashtags: Safe, can help discovery
+• 3 hashtags: Maximum recommended
+• 4+ hashtags: Triggers spam detection, hurts reach
+
+**Why 4+ hurts:**
+• Spam filter flags hashtag stuffing
+• Looks like engagement farming
+• Reduces perceived content quality
+• P(mute) increases
+
+**Best practices:**
+• Use 1-2 highly relevant hashtags max
+• Place at end of post, not beginning
+• Avoid trending hashtags unless genuinely relevant
+
+**For Critters Quest:**
+One branded hashtag max. Let the content speak - community will add their own tags.`,
+    related: ['spam', 'reach', 'formats'],
+    spec: ['rules']
+  },
+
+  spam: {
+    keywords: ['spam', 'spammy', 'flagged', 'filtered', 'blocked', 'muted', 'engagement bait', 'like if', 'rt for', 'guaranteed', '100x', 'buy now'],
+    title: 'Spam Signals & Muted Keywords',
+    answer: `The algorithm actively filters spam-like content:
+
+**Spam trigger words (avoid these):**
+• "guaranteed", "100%", "promise"
+• "100x", "moon", "to the moon"
+• "buy now", "limited time", "act fast"
+• "like if you agree", "RT for good luck"
+• "follow for follow", "f4f"
+• Excessive emojis (🚀🚀🚀)
+
+**Engagement bait penalties:**
+• "Like if..." = spam signal
+• "RT for..." = spam signal
+• "Comment [X] for..." = spam signal
+• These trigger P(mute) and P(report) predictions
+
+**Muted keyword filter:**
+• Many users mute crypto/NFT terms
+• Posts with muted words never reach those users
+• Common mutes: NFT, mint, airdrop, whitelist, alpha
+
+**Better alternatives:**
+• Instead of "Like if you agree" → "What do you think?"
+• Instead of "RT for luck" → Share genuinely interesting content
+• Instead of "Buy now" → "Now available" or just show the thing`,
+    related: ['reach', 'hashtags', 'repetitive_posting'],
+    spec: ['pipelineStages', 'rules']
+  },
+
+  questions_engagement: {
+    keywords: ['question', 'questions', 'asking', 'ask', '?', 'reply', 'replies', 'conversation', 'engagement'],
+    title: 'Questions & Reply Optimization',
+    answer: `Questions are one of the most powerful engagement tools:
+
+**The boost:**
+• Questions add +12 to P(reply) prediction
+• They signal conversation intent to Phoenix
+• Replies create engagement velocity
+
+**Best question types:**
+1. **Open-ended:** "What do you think about...?"
+2. **Choice questions:** "Would you pick A or B?"
+3. **Speculation:** "What does this mean for...?"
+4. **Opinion polls:** "Hot take: [statement]. Agree?"
+
+**Question placement:**
+• End of post is strongest position
+• Creates a "hook" that demands response
+• Combines with other content seamlessly
+
+**Examples for Critters Quest:**
+• "Which critter would you main?" (choice)
+• "What build are you running?" (open)
+• "Did you see what's hidden in the corner?" (speculation)
+
+Avoid yes/no questions - they generate low-quality replies.`,
+    related: ['engagement', 'dwell', 'community'],
+    spec: ['predictions', 'rules']
+  },
+
+  community: {
+    keywords: ['community', 'we', 'our', 'together', 'fam', 'frens', 'tribe', 'follow', 'followers', 'belonging'],
+    title: 'Community Language & Follow Intent',
+    answer: `Using community language boosts P(follow_author):
+
+**Power words (+6 follow boost):**
+• "we" and "our" (inclusive)
+• "together" (shared journey)
+• "community" (tribal)
+• "fam", "frens" (intimate)
+• "builders" (identity)
+
+**Why it works:**
+• Signals tribal belonging
+• Creates in-group identity
+• Makes followers feel part of something
+• Increases follow intent prediction
+
+**How to use it:**
+• "We're building something special"
+• "Our community figured this out"
+• "Together, we shipped..."
+• "For everyone who's been here since day one"
+
+**For Critters Quest:**
+Build identity around "Critters" as a community name. "The Critters are onto something" > "Our users discovered..."`,
+    related: ['questions_engagement', 'engagement', 'reach'],
+    spec: ['predictions', 'rules']
+  },
+
+  media: {
+    keywords: ['image', 'images', 'video', 'media', 'photo', 'visual', 'picture', 'gif', 'attachment', 'video vs image'],
+    title: 'Media & Visual Content',
+    answer: `Visual content dramatically outperforms text-only posts:
+
+**The boosts:**
+• Video: +20 P(video_view)
+• Images: +15 P(photo_expand)
+• GIFs: Similar to images
+
+**Why media wins:**
+• Stops the scroll
+• Increases dwell time
+• Higher engagement predictions
+• More shareable
+
+**Video best practices:**
+• First 3 seconds must hook
+• Captions are essential (most watch muted)
+• Native upload > YouTube links
+• Optimal length: 30-90 seconds
+
+**Image best practices:**
+• High contrast, readable on mobile
+• Brand-consistent colors
+• Single clear focal point
+• Tease content, don't reveal everything
+
+**For Critters Quest:**
+Every announcement should have visual. Item reveals need glamor shots.`,
+    related: ['formats', 'dwell', 'engagement'],
+    spec: ['predictions']
+  },
+
+  timing: {
+    keywords: ['time', 'timing', 'when', 'schedule', 'best time', 'post time', 'velocity', 'first 15', 'first 30'],
+    title: 'Timing & Velocity',
+    answer: `When you post matters, but early engagement matters more:
+
+**The velocity principle:**
+• First 15-30 minutes are critical
+• Early engagement signals content quality
+• Algorithm uses velocity to predict virality
+• Reply to every early comment
+
+**Best practices:**
+• Post when YOUR audience is active (check analytics)
+• Be present for 30 min after posting
+• Engage with replies immediately
+• Don't post and ghost
+
+**For Critters Quest (Item Reveal Campaign):**
+• Primary post: 5pm EST (syncs with redemption events)
+• Follow-up engagement: 30-60 min after
+• Community engagement posts: Sat/Sun
+
+**The truth:**
+A post at a "bad" time with great velocity beats a post at "perfect" time with no engagement.`,
+    related: ['engagement', 'repetitive_posting', 'cadence'],
+    spec: ['pipelineStages', 'rules']
+  },
+
+  dwell: {
+    keywords: ['dwell', 'time spent', 'reading', 'mystery', 'curiosity', 'hook', 'scroll stop'],
+    title: 'Dwell Time & Curiosity',
+    answer: `P(dwell) predicts how long users spend on your content - one of the strongest ranking signals:
+
+**What increases dwell:**
+• Mystery language ("Something's coming...")
+• Curiosity hooks ("We weren't supposed to show this yet")
+• "Wait for it" content
+• Threads (users click through)
+• Dense, valuable information
+• Compelling visuals worth examining
+
+**Why dwell matters:**
+• High dwell = high quality signal
+• Correlates with meaningful engagement
+• Phoenix heavily weights this prediction
+
+**Mystery techniques:**
+• Partial reveals ("First look at...")
+• Unanswered questions in the content
+• Hidden details in images
+• Callbacks to lore or previous posts
+
+**For Critters Quest:**
+• Item reveals: "We've been keeping this one secret..."
+• Lore drops: Tease, don't dump
+• Dev updates: "Here's what we're NOT supposed to show you yet"`,
+    related: ['engagement', 'media', 'threads'],
+    spec: ['predictions', 'rules']
+  },
+
+  threads: {
+    keywords: ['thread', 'threads', 'long form', 'multiple tweets', '1/', 'thread format'],
+    title: 'Thread Strategy',
+    answer: `Threads boost P(dwell) by +10 and keep readers on your posts:
+
+**When to use threads:**
+• Long-form announcements
+• Lore drops or storytelling
+• Educational content
+• Major feature breakdowns
+• Behind-the-scenes deep dives
+
+**Thread best practices:**
+• First tweet MUST hook (it's the only one most see)
+• Tease the value: "A thread on [topic]:"
+• Each tweet should stand alone AND flow
+• Use images/video in first tweet
+• End with a question or CTA
+• Optimal length: 3-7 tweets
+
+**First tweet formula:**
+• Hook + visual + promise of value
+• "We spent 6 months on this. Here's what we learned:"
+• "The story behind [thing]. A thread 🧵"
+
+**Avoid:**
+• Starting with "1/" (boring opener)
+• Threads that could be a single tweet
+• No visual in first tweet`,
+    related: ['dwell', 'formats', 'media'],
+    spec: ['predictions']
+  },
+
+  formats: {
+    keywords: ['format', 'formats', 'type', 'structure', 'template', 'what kind', 'post type'],
+    title: 'Content Formats & Rotation',
+    answer: `Varying your formats keeps the algorithm (and followers) interested:
+
+**Core formats to rotate:**
+1. **Glamor shots** - Beautiful standalone images
+2. **Curiosity teasers** - Mystery + partial reveal
+3. **Lore drops** - Worldbuilding, story
+4. **Behind-the-scenes** - Dev process, WIP
+5. **Community callouts** - Spotlights, UGC
+6. **Direct announcements** - News, updates
+7. **Threads** - Long-form deep dives
+8. **Engagement posts** - Questions, polls
+
+**Why rotation matters:**
+• Same format repeatedly triggers pattern detection
+• Different formats reach different audience segments
+• Keeps content fresh in the algorithm's eyes
+
+**For Critters Quest Item Reveals:**
+• Mon/Tue: Anchor content (Glamor or Curiosity)
+• Thu: Deep cut (Lore or BTS)
+• Sat: Community-focused
+
+**Rule of thumb:**
+Never use the exact same format twice in a row.`,
+    related: ['repetitive_posting', 'cadence', 'media'],
+    spec: ['pipelineStages']
+  },
+
+  cadence: {
+    keywords: ['cadence', 'frequency', 'how often', 'how many', 'per day', 'per week', 'posting schedule'],
+    title: 'Posting Cadence',
+    answer: `Quality over quantity - the algorithm rewards thoughtful cadence:
+
+**Recommended cadence:**
+• 2-3 posts per week for campaigns
+• Minimum 2 days between similar content
+• Never more than 1 major announcement per day
+
+**Why restraint works:**
+• Each post gets full audience attention
+• Prevents content fatigue
+• Allows time for engagement to develop
+• Avoids AuthorDiversity filter penalties
+
+**For Critters Quest Item Reveals:**
+• Week 1-3: 2-3 posts/week, building momentum
+• Week 4+: Can increase slightly if engagement supports it
+• Never do daily reveals (drip-feed fatigue)
+
+**Weekly pattern:**
+• Mon or Tue: Anchor post (big announcement)
+• Thu: Deep cut (secondary content)
+• Sat: Community engagement`,
+    related: ['repetitive_posting', 'timing', 'formats'],
+    spec: ['pipelineStages']
+  },
+
+  reach: {
+    keywords: ['reach', 'impressions', 'views', 'visibility', 'distribution', 'why no reach', 'reach dropped'],
+    title: 'Maximizing Reach',
+    answer: `Reach is determined by scoring, engagement, and avoiding penalties:
+
+**Reach boosters:**
+• Visual content (+15-20)
+• Questions (+12)
+• Community language (+6)
+• Good engagement velocity
+• Optimal length (100-200 chars)
+• Thread format (+10 P(dwell))
+
+**Reach killers:**
+• External links (-30%)
+• 4+ hashtags
+• Spam language
+• Muted keywords
+• Repetitive patterns
+• Low early engagement
+
+**The reach flywheel:**
+1. Post high-quality content
+2. Engage immediately with replies
+3. Good velocity signals quality
+4. Algorithm shows to more users
+5. More engagement = more reach
+6. Repeat
+
+**For Critters Quest:**
+Focus on creating "stop the scroll" moments. Every post should make someone pause. Reach follows engagement.`,
+    related: ['scoring', 'links', 'spam', 'engagement'],
+    spec: ['scoringFormula', 'predictions', 'rules']
+  },
+
+  engagement: {
+    keywords: ['engagement', 'engage', 'likes', 'replies', 'retweets', 'interaction', 'boost engagement'],
+    title: 'Driving Engagement',
+    answer: `Engagement is the lifeblood of reach - here's how to maximize it:
+
+**Engagement hierarchy (by algorithm weight):**
+1. Replies (highest value)
+2. Quote tweets
+3. Retweets
+4. Likes
+5. Bookmarks
+
+**Getting more replies:**
+• End with questions
+• Ask for opinions
+• Create debate-worthy statements
+• Respond to every reply (creates reply chains)
+
+**Getting more retweets:**
+• Share-worthy visuals
+• Useful information
+• Strong opinions people want to endorse
+• Emotional resonance
+
+**Engagement velocity:**
+• First 15-30 min are critical
+• Be present and reply fast
+• Early engagement compounds
+• Never post and ghost
+
+**For Critters Quest:**
+Reply to every comment in first hour. Create reply-worthy content by asking questions.
+
+**Quality > quantity:**
+10 genuine replies beat 100 low-effort likes for algorithm ranking.`,
+    related: ['questions_engagement', 'timing', 'reach'],
+    spec: ['scoringFormula', 'predictions']
+  },
+
+  length: {
+    keywords: ['length', 'characters', 'how long', 'short', 'long post', 'word count', '280'],
+    title: 'Optimal Post Length',
+    answer: `Post length affects format score and engagement:
+
+**The sweet spot: 100-200 characters**
+• +10 format score in this range
+• Long enough to provide value
+• Short enough for full engagement
+• Easy to read and share
+
+**Too short (<50 chars):**
+• Lacks substance
+• Low dwell time
+• Feels low-effort
+• Exception: powerful one-liners
+
+**Too long (>240 chars):**
+• Completion rates drop
+• Gets truncated in some views
+• Save long-form for threads
+
+**For Critters Quest:**
+Item reveals should be punchy - name, tease, hook. Save details for replies or threads.`,
+    related: ['formats', 'engagement', 'dwell'],
+    spec: []
+  },
+
+  filters: {
+    keywords: ['filter', 'filtered', 'invisible', 'shadow', 'shadowban', 'not showing', 'no impressions'],
+    title: 'Pre-Score Filters',
+    answer: `Before scoring, posts go through filters that can make content invisible:
+
+**Key filters:**
+1. **AgeFilter** - Very old posts deprioritized
+2. **MutedKeywordFilter** - Posts with muted words hidden
+3. **VFFilter** - Violence/spam/adult content filtered
+4. **RepostDeduplication** - Duplicate content deprioritized
+5. **AuthorDiversity** - Limits how much one account shows
+
+**If you're being filtered:**
+• Check for muted keywords (NFT, mint, crypto terms)
+• Remove spam-like language
+• Reduce posting frequency
+• Vary your content more
+
+**Common muted keywords:**
+• NFT, mint, whitelist, airdrop
+• Crypto, token, $TICKER
+• Alpha, degen
+
+**For Critters Quest:**
+Avoid web3/crypto terminology even if game-adjacent. Keep language mainstream-friendly.`,
+    related: ['spam', 'reach'],
+    spec: ['pipelineStages']
+  }
+};
+
+// ============================================
+// ESSENTIALS MODULES
+// `topic` is the KNOWLEDGE_TOPICS entry that explains the number
+// ============================================
+
+export const BENTO_MODULES = [
+  {
+    id: 'formula',
+    title: 'The Formula',
+    size: 'large',
+    content: 'Score = Σ (weight × P(action))',
+    detail: 'Positive actions add, negative actions subtract',
+    color: '#FFB84A',
+    topic: 'scoring'
+  },
+  {
+    id: 'question-boost',
+    title: 'Question Power',
+    size: 'small',
+    content: '+12',
+    detail: 'P(reply) boost from questions',
+    color: '#89D005',
+    topic: 'questions_engagement'
+  },
+  {
+    id: 'video-boost',
+    title: 'Video Impact',
+    size: 'small',
+    content: '+20',
+    detail: 'P(video_view) advantage',
+    color: '#89D005',
+    topic: 'media'
+  },
+  {
+    id: 'image-boost',
+    title: 'Image Impact',
+    size: 'small',
+    content: '+15',
+    detail: 'P(photo_expand) boost',
+    color: '#89D005',
+    topic: 'media'
+  },
+  {
+    id: 'community-boost',
+    title: 'Community Words',
+    size: 'small',
+    content: '+6',
+    detail: '"We/Our" P(follow) boost',
+    color: '#89D005',
+    topic: 'community'
+  },
+  {
+    id: 'link-penalty',
+    title: 'Link Penalty',
+    size: 'medium',
+    content: '-30%',
+    detail: 'External links kill reach. Put in reply.',
+    color: '#FF6B6B',
+    topic: 'links'
+  },
+  {
+    id: 'spam-penalty',
+    title: 'Spam Words',
+    size: 'medium',
+    content: '-20',
+    detail: '"guaranteed", "100x", "free money"',
+    color: '#FF6B6B',
+    topic: 'spam'
+  },
+  {
+    id: 'hashtag-limit',
+    title: 'Hashtag Limit',
+    size: 'small',
+    content: '3 max',
+    detail: '4+ triggers spam filter',
+    color: '#FF6B6B',
+    topic: 'hashtags'
+  },
+  {
+    id: 'sweet-spot',
+    title: 'Length Sweet Spot',
+    size: 'medium',
+    content: '100-200',
+    detail: 'Characters for optimal engagement',
+    color: '#24E0FF',
+    topic: 'length'
+  },
+  {
+    id: 'velocity',
+    title: 'Velocity Window',
+    size: 'medium',
+    content: '15-30 min',
+    detail: 'Engage hard after posting',
+    color: '#24E0FF',
+    topic: 'timing'
+  },
+  {
+    id: 'dwell',
+    title: 'Dwell Time',
+    size: 'small',
+    content: 'P(dwell)',
+    detail: 'Mystery = longer reads',
+    color: '#FDBA4D',
+    topic: 'dwell'
+  },
+  {
+    id: 'thread-boost',
+    title: 'Thread Boost',
+    size: 'small',
+    content: '+10',
+    detail: 'P(dwell) for threads',
+    color: '#89D005',
+    topic: 'threads'
+  }
+];
+
+export default {
+  KNOWLEDGE_TOPICS,
+  BENTO_MODULES
+};
@@ -0,0 +1,408 @@
+/**
+ * Knowledge Search
+ *
+ * Local BM25 retrieval over the Learn tab knowledge base, X_ALGORITHM_SPEC,
+ * the weight profiles and the active rule packs. Terms are stemmed and folded
+ * through synonym groups so "retweets" finds P(repost) and "penalized" finds
+ * penalties. Every passage carries citations to the spec section (or rule)
+ * its claims come from, and the top passages double as grounded context for
+ * the LLM.
+ */
+
+import { X_ALGORITHM_SPEC, WEIGHT_PROFILES } from './algorithm-engine.js';
+import { DEFAULT_RULE_SET } from './rule-packs.js';
+import { KNOWLEDGE_TOPICS, BENTO_MODULES } from './knowledge-base.js';
+
+// BM25 parameters
+export const BM25 = { k1: 1.2, b: 0.75 };
+
+// Cited sections, keyed as in KNOWLEDGE_TOPICS `spec`
+export const SPEC_SECTIONS = {
+  predictions: 'Phoenix Scorer Predictions',
+  scoringFormula: 'Scoring Formula',
+  pipelineStages: 'Pipeline Stages',
+  designDecisions: 'Key Design Decisions',
+  phoenixArchitecture: 'Phoenix Architecture',
+  weightProfiles: 'Weighted Scorer Profiles',
+  rules: 'Rule Packs'
+};
+
+// Answers below this BM25 score are treated as no match
+const MIN_SCORE = 1.5;
+
+// Each group folds to its first word
+const SYNONYMS = [
+  ['repost', 'retweet', 'rt', 'share', 'amplify'],
+  ['favorite', 'like', 'fav', 'heart'],
+  ['reply', 'comment', 'respond', 'answer', 'conversation'],
+  ['quote', 'qt'],
+  ['link', 'url', 'external'],
+  ['reach', 'impression', 'view', 'visibility', 'distribution', 'exposure'],
+  ['penalty', 'penalize', 'punish', 'kill', 'suppress', 'demote', 'hurt', 'shadowban'],
+  ['boost', 'increase', 'improve', 'help', 'raise'],
+  ['image', 'photo', 'picture', 'pic', 'visual'],
+  ['video', 'clip'],
+  ['hashtag', 'tag'],
+  ['mute', 'block', 'report'],
+  ['spam', 'scam', 'bait'],
+  ['time', 'timing', 'when', 'hour', 'schedule'],
+  ['length', 'long', 'short', 'character', 'char'],
+  ['thread', 'tweetstorm'],
+  ['post', 'tweet'],
+  ['follow', 'follower'],
+  ['score', 'rank', 'ranking'],
+  ['filter', 'dedup', 'dedupe', 'duplicate'],
+  ['dwell', 'read', 'attention'],
+  ['community', 'we', 'our', 'fam', 'fren'],
+  ['question', 'ask']
+];
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'get', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'should', 'so', 'that',
+  'the', 'their', 'them', 'there', 'this', 'to', 'what', 'which', 'who', 'why', 'will', 'with',
+  'you', 'your', 'x', 'twitter', 'algorithm', 'about', 'work', 'best', 'good', 'more', 'most'
+]);
+
+// ============================================
+// TERMS
+// ============================================
+
+/**
+ * Light suffix stripping, enough to fold plurals and verb forms together
+ * @param {string} word - Lowercased word
+ * @returns {string} Stem
+ */
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let w = word
+    .replace(/ies$/, 'y')
+    .replace(/ied$/, 'y')
+    .replace(/(ss)es$/, '$1')
+    .replace(/([sxz]|ch|sh)es$/, '$1')
+    .replace(/([^su])s$/, '$1');
+  const trimmed = w.replace(/(ing|ed|ment|ness|ation|ize|ise)$/, '').replace(/(.{4})ly$/, '$1');
+  if (trimmed !== w && trimmed.length >= 3) {
+    w = trimmed.replace(/([^aeiouls])\1$/, '$1');
+  }
+  // "like", "liked" and "likes" all end up as "lik"
+  return w.length > 3 ? w.replace(/e$/, '') : w;
+}
+
+const CANONICAL = new Map(SYNONYMS.flatMap(group => group.map(word => [stem(word), stem(group[0])])));
+
+/**
+ * Index terms of a text: lowercased, stopwords dropped, stemmed and folded through synonyms
+ * @param {string} text - Any text
+ * @returns {Array} Terms in order
+ */
+export function analyzeTerms(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => !STOPWORDS.has(word))
+    .map(word => {
+      const stemmed = stem(word);
+      return CANONICAL.get(stemmed) || stemmed;
+    });
+}
+
+// ============================================
+// PASSAGES
+// ============================================
+
+// A topic answer splits at its "**Heading:**" blocks
+function topicPassages(key, topic) {
+  const citations = (topic.spec || []).map(section => ({ section, label: SPEC_SECTIONS[section] }));
+  return topic.answer.split(/\n\s*\n/).map((chunk, i) => {
+    const heading = chunk.match(/^\*\*(.+?):?\*\*/)?.[1];
+    return {
+      id: `topic:${key}:${i}`,
+      kind: 'topic',
+      topic: key,
+      title: heading ? `${topic.title} › ${heading}` : topic.title,
+      text: chunk.trim(),
+      keywords: `${topic.title} ${topic.title} ${topic.keywords.join(' ')}`,
+      citations
+    };
+  });
+}
+
+function specPassages(spec) {
+  const passage = (section, id, title, text, keywords = '') => ({
+    id: `spec:${id}`,
+    kind: 'spec',
+    topic: null,
+    title,
+    text,
+    keywords: `${SPEC_SECTIONS[section]} ${keywords}`,
+    citations: [{ section, label: title }]
+  });
+
+  return [
+    ...['positive', 'negative'].map(weight => passage(
+      'predictions', `predictions-${weight}`, `${SPEC_SECTIONS.predictions} › ${weight === 'positive' ? 'Positive' : 'Negative'} actions`,
+      spec.predictions[weight].map(p => `${p.id} (${p.name}) - ${p.description}`).join('\n'),
+      `${weight} action prediction probability Phoenix`
+    )),
+    passage('scoringFormula', 'scoring-formula', SPEC_SECTIONS.scoringFormula, spec.scoringFormula, 'final weighted sum'),
+    ...spec.pipelineStages.map((stage, i) => passage(
+      'pipelineStages', `pipeline-${i}`, `${SPEC_SECTIONS.pipelineStages} › ${stage.name}`,
+      [
+        stage.description,
+        ...(stage.components || []).map(c => `${c.name} (${c.type}) - ${c.description}`),
+        ...(stage.filters || []),
+        ...(stage.scorers || []).map(s => `${s.name} - ${s.description}`)
+      ].filter(Boolean).join('\n'),
+      `pipeline stage ${(stage.filters || []).join(' ').replace(/([a-z])([A-Z])/g, '$1 $2')}`
+    )),
+    passage('designDecisions', 'design-decisions', SPEC_SECTIONS.designDecisions, spec.designDecisions.join('\n'), 'design'),
+    ...Object.entries(spec.phoenixArchitecture).map(([stage, part]) => passage(
+      'phoenixArchitecture', `phoenix-${stage}`, `${SPEC_SECTIONS.phoenixArchitecture} › ${part.name}`,
+      Object.entries(part).filter(([key]) => key !== 'name')
+        .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`).join('\n'),
+      `${stage} Phoenix two tower transformer embedding`
+    ))
+  ];
+}
+
+function profilePassages(profiles) {
+  return Object.entries(profiles).map(([id, profile]) => ({
+    id: `profile:${id}`,
+    kind: 'profile',
+    topic: null,
+    title: `${SPEC_SECTIONS.weightProfiles} › ${profile.name}`,
+    text: `${profile.description}. Weights: ${Object.entries(profile.weights).map(([action, w]) => `${action} ${w}`).join(', ')}`,
+    keywords: `goal profile weight ${id}`,
+    citations: [{ section: 'weightProfiles', label: `${SPEC_SECTIONS.weightProfiles} › ${profile.name}` }]
+  }));
+}
+
+// One passage per pattern rule, with the numbers the engine actually applies
+function rulePassages(rules) {
+  const passages = Object.entries(rules.patterns).flatMap(([group, list]) => list.map(rule => {
+    const effect = rule.weight !== undefined
+      ? `${rule.signal || 'Score'} ${rule.weight > 0 ? '+' : ''}${rule.weight}`
+      : rule.risk ? `${rule.signal}: ${rule.risk} risk` : rule.signal;
+    const words = rule.regex.source.replace(/\\[a-z]/gi, ' ').replace(/[^\p{L}\p{N}' ]+/gu, ' ');
+    return {
+      id: `rule:${rule.pack}/${rule.id}`,
+      kind: 'rule',
+      topic: null,
+      title: rule.reason,
+      text: `${rule.reason}: ${effect}${rule.scope === 'hook' ? ' (first 120 characters)' : ''}`,
+      keywords: `${group.replace(/([a-z])([A-Z])/g, '$1 $2')} ${words}`,
+      citations: [{ section: 'rules', label: `${rule.pack}/${rule.id}` }]
+    };
+  }));
+
+  const limits = Object.entries(rules.limits).map(([key, value]) => ({
+    id: `rule:${rules.limitSources[key]}/${key}`,
+    kind: 'rule',
+    topic: null,
+    title: `Spam limit: ${key}`,
+    text: `${key.replace(/^max/, 'Maximum ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()} before the spam indicator fires: ${value}`,
+    keywords: 'spam limit P(mute_author)',
+    citations: [{ section: 'rules', label: `${rules.limitSources[key]}/${key}` }]
+  }));
+
+  return [...passages, ...limits];
+}
+
+function modulePassages(modules, topics) {
+  return modules.map(module => ({
+    id: `module:${module.id}`,
+    kind: 'module',
+    topic: module.topic || null,
+    title: module.title,
+    text: `${module.title}: ${module.content} - ${module.detail}`,
+    keywords: topics[module.topic]?.title || '',
+    citations: (topics[module.topic]?.spec || []).map(section => ({ section, label: SPEC_SECTIONS[section] }))
+  }));
+}
+
+// ============================================
+// INDEX
+// ============================================
+
+/**
+ * Build the search index
+ * @param {Object} sources - { topics, modules, spec, profiles, rules }, defaulting to the
+ *   built-in knowledge base, X_ALGORITHM_SPEC, WEIGHT_PROFILES and DEFAULT_RULE_SET
+ * @returns {Object} { passages, topics, postings, lengths, avgLength }
+ */
+export function buildKnowledgeIndex(sources = {}) {
+  const {
+    topics = KNOWLEDGE_TOPICS,
+    modules = BENTO_MODULES,
+    spec = X_ALGORITHM_SPEC,
+    profiles = WEIGHT_PROFILES,
+    rules = DEFAULT_RULE_SET
+  } = sources;
+
+  const passages = [
+    ...Object.entries(topics).flatMap(([key, topic]) => topicPassages(key, topic)),
+    ...specPassages(spec),
+    ...profilePassages(profiles),
+    ...rulePassages(rules),
+    ...modulePassages(modules, topics)
+  ];
+
+  // term -> Map(passage index -> term frequency)
+  const postings = new Map();
+  const lengths = passages.map((passage, i) => {
+    const terms = analyzeTerms(`${passage.title} ${passage.keywords} ${passage.text}`);
+    terms.forEach(term => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      const list = postings.get(term);
+      list.set(i, (list.get(i) || 0) + 1);
+    });
+    return terms.length;
+  });
+
+  return {
+    passages,
+    topics,
+    postings,
+    lengths,
+    avgLength: lengths.reduce((sum, n) => sum + n, 0) / (lengths.length || 1)
+  };
+}
+
+/**
+ * Rank passages for a query with BM25
+ * @param {Object} index - Result of buildKnowledgeIndex
+ * @param {string} query - Question text
+ * @param {Object} options - { limit = 5, kinds } where `kinds` restricts passage kinds
+ * @returns {Array} { passage, score } best first
+ */
+export function searchKnowledge(index, query, options = {}) {
+  const { limit = 5, kinds } = options;
+  const { passages, postings, lengths, avgLength } = index;
+  const { k1, b } = BM25;
+  const scores = new Map();
+
+  new Set(analyzeTerms(query)).forEach(term => {
+    const list = postings.get(term);
+    if (!list) return;
+    const idf = Math.log(1 + (passages.length - list.size + 0.5) / (list.size + 0.5));
+    list.forEach((tf, i) => {
+      const norm = tf * (k1 + 1) / (tf + k1 * (1 - b + b * lengths[i] / avgLength));
+      scores.set(i, (scores.get(i) || 0) + idf * norm);
+    });
+  });
+
+  return [...scores]
+    .filter(([i]) => !kinds || kinds.includes(passages[i].kind))
+    .sort((x, y) => y[1] - x[1])
+    .slice(0, limit)
+    .map(([i, score]) => ({ passage: passages[i], score: Math.round(score * 1000) / 1000 }));
+}
+
+// ============================================
+// ANSWERS
+// ============================================
+
+/**
+ * Answer a question from the knowledge base
+ * The best topic's answer comes first, followed by the engine's own numbers for the
+ * question (rule and profile passages) and the topics worth reading next
+ * @param {Object} index - Result of buildKnowledgeIndex
+ * @param {string} query - Question text
+ * @returns {Object|null} { topic, title, answer, related, citations, passages }; null for an empty query
+ *   related - { key, title } topics, starting with the best topic's own related links
+ *   citations - { section, label } sections the answer draws on
+ */
+export function answerQuestion(index, query) {
+  if (!query.trim()) return null;
+  const results = searchKnowledge(index, query, { limit: 12 });
+
+  // A topic scores the sum of its matching passages; modules vote for the topic they illustrate
+  const byTopic = new Map();
+  results.forEach(({ passage, score }) => {
+    if (passage.topic) byTopic.set(passage.topic, (byTopic.get(passage.topic) || 0) + score);
+  });
+  const [best] = [...byTopic].sort((x, y) => y[1] - x[1]);
+
+  if (!best || best[1] < MIN_SCORE) {
+    return {
+      topic: null,
+      title: "I'm not sure about that one",
+      answer: `I don't have specific information about "${query}". Try asking about:\n\n• Scoring & the formula\n• Reach killers (links, hashtags, spam)\n• Engagement tactics (questions, community language)\n• Content formats & cadence\n• Timing & velocity\n• Repetitive posting patterns`,
+      related: [],
+      citations: [],
+      passages: results
+    };
+  }
+
+  return topicAnswer(index, best[0], results);
+}
+
+/**
+ * Answer for one topic, e.g. when a related link is followed
+ * @param {Object} index - Result of buildKnowledgeIndex
+ * @param {string} key - KNOWLEDGE_TOPICS key
+ * @param {Array} results - searchKnowledge results to draw engine numbers and related topics from
+ * @returns {Object|null} Same shape as answerQuestion; null for an unknown topic
+ */
+export function topicAnswer(index, key, results) {
+  const topic = index.topics[key];
+  if (!topic) return null;
+  const hits = results || searchKnowledge(index, `${topic.title} ${topic.keywords.join(' ')}`, { limit: 12 });
+
+  // Engine numbers only when they are about as relevant as the best hit
+  const floor = (hits[0]?.score || 0) / 2;
+  const engine = hits
+    .filter(({ passage, score }) => (passage.kind === 'rule' || passage.kind === 'profile') && score >= floor)
+    .slice(0, 3);
+  const relatedKeys = [...new Set([
+    ...topic.related,
+    ...hits.map(({ passage }) => passage.topic)
+  ])].filter(k => k && k !== key && index.topics[k]);
+
+  const citations = uniqueBy([
+    ...(topic.spec || []).map(section => ({ section, label: SPEC_SECTIONS[section] })),
+    ...engine.flatMap(({ passage }) => passage.citations),
+    ...hits.filter(({ passage }) => passage.kind === 'spec').slice(0, 2).flatMap(({ passage }) => passage.citations)
+  ], c => c.label);
+
+  const answer = engine.length
+    ? `${topic.answer}\n\n**From the engine:**\n${engine.map(({ passage }) => `• ${passage.text} (${passage.citations[0].label})`).join('\n')}`
+    : topic.answer;
+
+  return {
+    topic: key,
+    title: topic.title,
+    answer,
+    related: relatedKeys.slice(0, 3).map(k => ({ key: k, title: index.topics[k].title })),
+    citations,
+    passages: hits
+  };
+}
+
+/**
+ * Grounding context for an LLM from the top passages
+ * @param {Array} results - searchKnowledge results
+ * @returns {string} System message text; empty when there are no passages
+ */
+export function groundingContext(results) {
+  if (!results.length) return '';
+  const passages = results.map(({ passage }, i) =>
+    `[${i + 1}] ${passage.title} (${passage.citations.map(c => c.label).join('; ') || 'knowledge base'})\n${passage.text}`);
+  return `Reference passages from this app's knowledge base and scoring engine. Numbers here are what the engine actually applies: use them over any other figures, and cite passages as [n] when you rely on them.\n\n${passages.join('\n\n')}`;
+}
+
+function uniqueBy(list, key) {
+  const seen = new Set();
+  return list.filter(item => !seen.has(key(item)) && seen.add(key(item)));
+}
+
+export default {
+  BM25,
+  SPEC_SECTIONS,
+  stem,
+  analyzeTerms,
+  buildKnowledgeIndex,
+  searchKnowledge,
+  answerQuestion,
+  topicAnswer,
+  groundingContext
+};
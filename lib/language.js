@@ -0,0 +1,212 @@
+/**
+ * Language
+ *
+ * Local language detection and Intl.Segmenter word / sentence segmentation.
+ * Detection works sentence by sentence: kana, Hangul and Han decide by script,
+ * Latin sentences by which language's function words they use. The draft's
+ * language picks the locale rule pack analyzePost layers over the core rules;
+ * sentences in a second language make it a mixed-language draft.
+ */
+
+import { segmentLines } from './segment-cache.js';
+
+// Languages we detect; `pack` says whether a built-in locale rule pack covers it
+export const LANGUAGES = {
+  en: { name: 'English', pack: false },
+  es: { name: 'Español', pack: true },
+  pt: { name: 'Português', pack: true },
+  ja: { name: '日本語', pack: true },
+  ko: { name: '한국어', pack: true },
+  zh: { name: '中文', pack: false }
+};
+
+// Fallback when nothing in the draft is conclusive
+export const DEFAULT_LOCALE = 'en';
+
+// A second language counts once its sentences hold this share of the draft's letters
+export const MIXED_LANGUAGE_SHARE = 0.2;
+
+// Latin sentences need this many words before their function words are trusted
+const MIN_LATIN_WORDS = 3;
+
+// Frequent function words - enough to tell the Latin-script languages apart
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'is', 'are', 'to', 'of', 'you', 'it', 'for', 'this', 'that', 'with', 'what', 'we', 'our',
+    'your', 'be', 'on', 'in', 'have', 'will', 'not', 'just', 'who', 'how', 'can', 'from', 'at', 'my', 'its'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'es', 'un', 'una', 'por', 'para', 'con', 'no', 'del',
+    'al', 'lo', 'más', 'pero', 'ya', 'muy', 'está', 'son', 'tu', 'su', 'nuestro', 'nuestra', 'qué', 'cómo', 'hoy', 'ahora'],
+  pt: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'em', 'é', 'um', 'uma', 'por', 'para', 'com', 'não', 'do', 'da',
+    'dos', 'das', 'no', 'na', 'mais', 'mas', 'já', 'muito', 'está', 'são', 'você', 'nosso', 'nossa', 'isso', 'hoje', 'agora']
+};
+
+// Letters only one of the Latin-script languages uses
+const LATIN_MARKERS = {
+  es: /[ñ¿¡]/i,
+  pt: /[ãõç]/i
+};
+
+const SCRIPTS = {
+  kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+  hangul: /\p{Script=Hangul}/gu,
+  han: /\p{Script=Han}/gu,
+  latin: /\p{Script=Latin}/gu
+};
+
+// ============================================
+// SEGMENTATION
+// ============================================
+
+const segmenters = new Map();
+
+function segmenter(locale, granularity) {
+  if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+  const key = `${locale}:${granularity}`;
+  if (!segmenters.has(key)) segmenters.set(key, new Intl.Segmenter(locale, { granularity }));
+  return segmenters.get(key);
+}
+
+/**
+ * Words in the text, with their offsets
+ * Uses Intl.Segmenter, so Japanese and Chinese split into words rather than runs;
+ * falls back to letter/number runs where the runtime has no Segmenter
+ * @param {string} text - Text to segment
+ * @param {string} locale - Language hint
+ * @param {Object} cache - Segment cache (see segment-cache.js) that keeps unchanged lines' words
+ * @returns {Array} { word, start, end }
+ */
+export function segmentWords(text, locale = DEFAULT_LOCALE, cache = null) {
+  return segmentLines(text, cache, `words:${locale}`, line => wordsIn(line, locale));
+}
+
+function wordsIn(text, locale) {
+  const words = segmenter(locale, 'word');
+  if (!words) {
+    return [...text.matchAll(/[\p{L}\p{N}][\p{L}\p{N}'’_-]*/gu)]
+      .map(m => ({ word: m[0], start: m.index, end: m.index + m[0].length }));
+  }
+  // Mapping inside Array.from keeps the plain word entries, not one segment object per word
+  return Array.from(words.segment(text), s => s.isWordLike && { word: s.segment, start: s.index, end: s.index + s.segment.length })
+    .filter(Boolean);
+}
+
+/**
+ * Sentences in the text, trimmed, with their offsets
+ * Line breaks also end a sentence - posts use them instead of full stops
+ * @param {string} text - Text to segment
+ * @param {string} locale - Language hint
+ * @returns {Array} { text, start, end }
+ */
+export function segmentSentences(text, locale = DEFAULT_LOCALE) {
+  const sentences = segmenter(locale, 'sentence');
+  const lines = [...text.matchAll(/[^\n]+/g)];
+  return lines.flatMap(line => {
+    const parts = sentences
+      ? Array.from(sentences.segment(line[0]), s => ({ segment: s.segment, index: s.index }))
+      : [...line[0].matchAll(/[^.!?。！？]+[.!?。！？]*/g)].map(m => ({ segment: m[0], index: m.index }));
+    return parts
+      .map(({ segment, index }) => {
+        const lead = segment.length - segment.trimStart().length;
+        const start = line.index + index + lead;
+        const trimmed = segment.trim();
+        return { text: trimmed, start, end: start + trimmed.length };
+      })
+      .filter(s => s.text);
+  });
+}
+
+// ============================================
+// DETECTION
+// ============================================
+
+function countScript(text, script) {
+  return (text.match(SCRIPTS[script]) || []).length;
+}
+
+// Language of one sentence, or null when it is too short or has no telling words or marks
+function sentenceLanguage(text) {
+  const kana = countScript(text, 'kana');
+  const hangul = countScript(text, 'hangul');
+  const han = countScript(text, 'han');
+  const latin = countScript(text, 'latin');
+  const cjk = kana + hangul + han;
+
+  if (cjk > latin) {
+    if (hangul >= kana + han) return { locale: 'ko', letters: cjk };
+    if (kana > 0) return { locale: 'ja', letters: cjk };
+    return { locale: 'zh', letters: cjk };
+  }
+  if (!latin) return null;
+
+  const words = segmentWords(text.toLowerCase()).map(w => w.word);
+  if (words.length < MIN_LATIN_WORDS) {
+    // Too few words to weigh, but ¿ ¡ ñ and ã õ ç still give the language away
+    const marked = Object.keys(LATIN_MARKERS).filter(locale => LATIN_MARKERS[locale].test(text));
+    return marked.length === 1 ? { locale: marked[0], letters: latin } : null;
+  }
+
+  const scores = Object.fromEntries(Object.entries(FUNCTION_WORDS).map(([locale, list]) => [
+    locale,
+    words.filter(w => list.includes(w)).length + (LATIN_MARKERS[locale]?.test(text) ? 2 : 0)
+  ]));
+  const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (!best[1] || best[1] === second[1]) return null;
+  return { locale: best[0], letters: latin };
+}
+
+/**
+ * Detect the language of a draft
+ * @param {string} text - Post text
+ * @returns {Object} {
+ *   locale     - Main language, DEFAULT_LOCALE when nothing was conclusive
+ *   name       - Its display name
+ *   detected   - false when locale is the fallback
+ *   confidence - Share of the classified letters in the main language (0-1)
+ *   languages  - [{ locale, name, share }] every language found, largest first
+ *   mixed      - Whether a second language passes MIXED_LANGUAGE_SHARE
+ *   segments   - [{ locale, text, start, end }] classified sentences
+ * }
+ */
+export function detectLanguage(text) {
+  const segments = segmentSentences(text || '')
+    .map(sentence => ({ sentence, language: sentenceLanguage(sentence.text) }))
+    .filter(s => s.language)
+    .map(({ sentence, language }) => ({ locale: language.locale, letters: language.letters, ...sentence }));
+
+  // Kanji-only sentences read as Chinese on their own; next to kana they are Japanese
+  if (segments.some(s => s.locale === 'ja')) {
+    segments.forEach(s => { if (s.locale === 'zh') s.locale = 'ja'; });
+  }
+
+  const totals = new Map();
+  segments.forEach(s => totals.set(s.locale, (totals.get(s.locale) || 0) + s.letters));
+  const letters = [...totals.values()].reduce((sum, n) => sum + n, 0);
+  const languages = [...totals]
+    .map(([locale, n]) => ({ locale, name: LANGUAGES[locale].name, share: round(n / letters) }))
+    .sort((a, b) => b.share - a.share);
+
+  const locale = languages[0]?.locale || DEFAULT_LOCALE;
+  return {
+    locale,
+    name: LANGUAGES[locale].name,
+    detected: languages.length > 0,
+    confidence: languages[0]?.share || 0,
+    languages,
+    mixed: languages.filter(l => l.share >= MIXED_LANGUAGE_SHARE).length > 1,
+    segments: segments.map(({ locale: segmentLocale, text: segmentText, start, end }) => ({
+      locale: segmentLocale, text: segmentText, start, end
+    }))
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default {
+  LANGUAGES,
+  DEFAULT_LOCALE,
+  MIXED_LANGUAGE_SHARE,
+  segmentWords,
+  segmentSentences,
+  detectLanguage
+};
@@ -0,0 +1,338 @@
+/**
+ * Post Library
+ *
+ * Keeps drafts in IndexedDB with their options, analysis snapshot, generated
+ * variants and status. Every save that changes a post adds a version, so
+ * any earlier version can be restored. Strategy Builder sessions are stored
+ * alongside, and the whole library exports to and imports from one JSON
+ * document for moving between machines.
+ */
+
+export const POST_STATUSES = ['idea', 'draft', 'scheduled', 'posted'];
+
+// Export document format
+export const LIBRARY_FORMAT = 'x-post-library';
+export const LIBRARY_VERSION = 1;
+
+const DB_NAME = 'x-post-optimizer';
+const DB_VERSION = 1;
+const STORES = ['posts', 'versions', 'sessions'];
+
+// Option fields saved with a post (the compiled rule set is not)
+const OPTION_KEYS = ['goal', 'mediaType', 'tone', 'targetAudience', 'hasLink', 'postAt', 'weightProfile', 'poll', 'quote'];
+
+// ============================================
+// RECORDS
+// ============================================
+
+/**
+ * Normalize a post record
+ * @param {Object} fields - { id?, title?, text, options?, tags?, status?, analysis?, variants? }
+ * @returns {Object} Post { id, title, text, options, tags, status, analysis, variants, score, version, createdAt, updatedAt }
+ */
+export function createPost(fields) {
+  const text = fields.text || '';
+  const now = new Date().toISOString();
+  const options = Object.fromEntries(OPTION_KEYS
+    .filter(key => fields.options?.[key] !== undefined)
+    .map(key => [key, fields.options[key]]));
+  return {
+    id: fields.id || newId('post'),
+    title: fields.title?.trim() || text.trim().split('\n')[0].slice(0, 60) || 'Untitled',
+    text,
+    options,
+    tags: [...new Set((fields.tags || []).map(t => t.trim().toLowerCase()).filter(Boolean))],
+    status: POST_STATUSES.includes(fields.status) ? fields.status : 'draft',
+    analysis: fields.analysis || null,
+    variants: fields.variants || [],
+    score: fields.analysis?.scores.overall ?? null,
+    version: fields.version || 0,
+    createdAt: fields.createdAt || now,
+    updatedAt: fields.updatedAt || now
+  };
+}
+
+// A save only adds a version when something the user controls changed
+function isNewVersion(previous, post) {
+  const key = p => JSON.stringify([p.text, p.options, p.tags, p.status]);
+  return !previous || key(previous) !== key(post);
+}
+
+function versionRecord(post) {
+  const { id, text, options, tags, status, analysis, variants, score, version, updatedAt } = post;
+  return { id: `${id}@${version}`, postId: id, version, savedAt: updatedAt, text, options, tags, status, analysis, variants, score };
+}
+
+function newId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// ============================================
+// SEARCH
+// ============================================
+
+/**
+ * Filter and sort posts, most recently updated first
+ * @param {Array} posts - Post records
+ * @param {Object} filters - { query, tags, goal, tone, status, minScore, maxScore }
+ *   query matches title, text and tags; every listed tag must be present
+ * @returns {Array} Matching posts
+ */
+export function filterPosts(posts, filters = {}) {
+  const { query, tags = [], goal, tone, status, minScore, maxScore } = filters;
+  const needle = query?.trim().toLowerCase();
+
+  return posts
+    .filter(post => {
+      if (needle && ![post.title, post.text, ...post.tags].some(s => s.toLowerCase().includes(needle))) return false;
+      if (tags.length && !tags.every(t => post.tags.includes(t))) return false;
+      if (goal && post.options.goal !== goal) return false;
+      if (tone && post.options.tone !== tone) return false;
+      if (status && post.status !== status) return false;
+      if (minScore !== undefined && minScore !== null && (post.score ?? -1) < minScore) return false;
+      if (maxScore !== undefined && maxScore !== null && (post.score ?? Infinity) > maxScore) return false;
+      return true;
+    })
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Every tag in use, with how many posts carry it
+ * @param {Array} posts - Post records
+ * @returns {Array} { tag, count } sorted by count
+ */
+export function collectTags(posts) {
+  const counts = {};
+  posts.forEach(post => post.tags.forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; }));
+  return Object.entries(counts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// ============================================
+// EXPORT FORMAT
+// ============================================
+
+/**
+ * Validate a library export document
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} { valid, errors }
+ */
+export function validateLibrary(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['Library export must be a JSON object'] };
+  }
+  if (data.format !== LIBRARY_FORMAT) errors.push(`format must be "${LIBRARY_FORMAT}"`);
+  if (data.version > LIBRARY_VERSION) errors.push(`version ${data.version} is newer than this app supports (${LIBRARY_VERSION})`);
+
+  STORES.forEach(store => {
+    if (!Array.isArray(data[store])) {
+      errors.push(`${store} must be an array`);
+      return;
+    }
+    data[store].forEach((record, i) => {
+      if (!record || typeof record.id !== 'string' || !record.id) errors.push(`${store}[${i}].id is required`);
+    });
+  });
+
+  (Array.isArray(data.posts) ? data.posts : []).forEach((post, i) => {
+    if (typeof post?.text !== 'string') errors.push(`posts[${i}].text must be a string`);
+    if (post && !POST_STATUSES.includes(post.status)) errors.push(`posts[${i}].status must be one of ${POST_STATUSES.join(', ')}`);
+  });
+  (Array.isArray(data.versions) ? data.versions : []).forEach((version, i) => {
+    if (typeof version?.postId !== 'string' || !Number.isInteger(version?.version)) {
+      errors.push(`versions[${i}] needs a postId and a whole-number version`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ============================================
+// INDEXEDDB
+// ============================================
+
+/**
+ * Open the library
+ * @param {IDBFactory} factory - IndexedDB implementation (defaults to the browser's)
+ * @returns {Promise<Object>} Library with async methods:
+ *   listPosts, getPost, savePost, deletePost, listVersions, restoreVersion,
+ *   listSessions, saveSession, deleteSession, exportLibrary, importLibrary, close
+ * @throws {Error} When IndexedDB is unavailable (e.g. some private browsing modes)
+ */
+export async function openLibrary(factory = globalThis.indexedDB) {
+  if (!factory) throw new Error('IndexedDB is not available in this browser');
+
+  const open = factory.open(DB_NAME, DB_VERSION);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    if (!db.objectStoreNames.contains('posts')) db.createObjectStore('posts', { keyPath: 'id' });
+    if (!db.objectStoreNames.contains('versions')) {
+      db.createObjectStore('versions', { keyPath: 'id' }).createIndex('postId', 'postId');
+    }
+    if (!db.objectStoreNames.contains('sessions')) db.createObjectStore('sessions', { keyPath: 'id' });
+  };
+  const db = await settle(open);
+
+  // Run `work` against the named stores in one transaction; resolves once it commits
+  const transact = (stores, mode, work) => new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, mode);
+    let result;
+    Promise.resolve(work(Object.fromEntries(stores.map(name => [name, tx.objectStore(name)])))).then(
+      value => { result = value; },
+      error => { tx.abort(); reject(error); }
+    );
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Library transaction aborted'));
+  });
+
+  const all = store => transact([store], 'readonly', s => settle(s[store].getAll()));
+  const versionsOf = (store, postId) => settle(store.index('postId').getAll(postId));
+
+  const library = {
+    listPosts: () => all('posts'),
+
+    getPost: id => transact(['posts'], 'readonly', s => settle(s.posts.get(id))),
+
+    /**
+     * Save a post; adds a version when text, options, tags or status changed
+     * @returns {Promise<Object>} The saved post
+     */
+    savePost: fields => transact(['posts', 'versions'], 'readwrite', async ({ posts, versions }) => {
+      const previous = fields.id ? await settle(posts.get(fields.id)) : null;
+      const post = createPost({ ...previous, ...fields, updatedAt: new Date().toISOString() });
+      if (isNewVersion(previous, post)) {
+        post.version = (previous?.version || 0) + 1;
+        versions.put(versionRecord(post));
+      } else {
+        post.version = previous.version;
+      }
+      posts.put(post);
+      return post;
+    }),
+
+    deletePost: id => transact(['posts', 'versions'], 'readwrite', async ({ posts, versions }) => {
+      posts.delete(id);
+      (await versionsOf(versions, id)).forEach(v => versions.delete(v.id));
+    }),
+
+    /**
+     * Versions of a post, newest first
+     */
+    listVersions: postId => transact(['versions'], 'readonly', async ({ versions }) =>
+      (await versionsOf(versions, postId)).sort((a, b) => b.version - a.version)
+    ),
+
+    /**
+     * Make an earlier version current again; the restore is saved as a new version
+     */
+    restoreVersion: async (postId, version) => {
+      const record = await transact(['versions'], 'readonly', s => settle(s.versions.get(`${postId}@${version}`)));
+      if (!record) throw new Error(`Version ${version} of ${postId} not found`);
+      const { text, options, tags, status, analysis, variants } = record;
+      return library.savePost({ id: postId, text, options, tags, status, analysis, variants });
+    },
+
+    // Sessions imported by older builds can lack updatedAt
+    listSessions: async () => (await all('sessions')).sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || '')),
+
+    /**
+     * Save a Strategy Builder session
+     * @param {Object} session - { id?, title?, messages, chatHistory, drafts, context }
+     * @returns {Promise<Object>} The saved session
+     */
+    saveSession: session => transact(['sessions'], 'readwrite', ({ sessions }) => {
+      const firstIdea = session.messages?.find(m => m.isUser)?.text || '';
+      const record = {
+        ...session,
+        id: session.id || newId('session'),
+        title: session.title || firstIdea.split('\n')[0].slice(0, 60) || 'New session',
+        createdAt: session.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      sessions.put(record);
+      return record;
+    }),
+
+    deleteSession: id => transact(['sessions'], 'readwrite', ({ sessions }) => { sessions.delete(id); }),
+
+    /**
+     * Everything in the library as one JSON-serializable document
+     */
+    exportLibrary: () => transact(STORES, 'readonly', async stores => ({
+      format: LIBRARY_FORMAT,
+      version: LIBRARY_VERSION,
+      exportedAt: new Date().toISOString(),
+      posts: await settle(stores.posts.getAll()),
+      versions: await settle(stores.versions.getAll()),
+      sessions: await settle(stores.sessions.getAll())
+    })),
+
+    /**
+     * Import an export document
+     * Merging keeps whichever copy of a post or session was updated last, and adds missing versions
+     * @param {Object} data - Parsed export document
+     * @param {Object} options - { replace } to clear the library first
+     * @returns {Promise<Object>} Counts of imported { posts, versions, sessions }
+     * @throws {Error} When the document fails validation
+     */
+    importLibrary: (data, { replace = false } = {}) => {
+      const { valid, errors } = validateLibrary(data);
+      if (!valid) throw new Error(`Invalid library export: ${errors.slice(0, 3).join('; ')}`);
+
+      const importedAt = new Date().toISOString();
+      const prepare = {
+        posts: createPost,
+        versions: record => record,
+        sessions: record => stampSession(record, importedAt)
+      };
+
+      return transact(STORES, 'readwrite', async stores => {
+        if (replace) STORES.forEach(store => stores[store].clear());
+        const counts = {};
+        for (const store of STORES) {
+          const existing = replace ? new Map() : new Map((await settle(stores[store].getAll())).map(r => [r.id, r]));
+          const incoming = data[store].filter(record => {
+            const local = existing.get(record.id);
+            if (!local) return true;
+            return store !== 'versions' && (record.updatedAt || '') > (local.updatedAt || '');
+          });
+          incoming.forEach(record => stores[store].put(prepare[store](record)));
+          counts[store] = incoming.length;
+        }
+        return counts;
+      });
+    },
+
+    close: () => db.close()
+  };
+
+  return library;
+}
+
+// An imported session without timestamps dates from its creation, or failing that the import
+function stampSession(session, importedAt) {
+  const createdAt = session.createdAt || session.updatedAt || importedAt;
+  return { ...session, createdAt, updatedAt: session.updatedAt || createdAt };
+}
+
+// Promise for an IDBRequest
+function settle(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export default {
+  POST_STATUSES,
+  LIBRARY_FORMAT,
+  LIBRARY_VERSION,
+  createPost,
+  filterPosts,
+  collectTags,
+  validateLibrary,
+  openLibrary
+};
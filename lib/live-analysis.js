@@ -0,0 +1,266 @@
+/**
+ * Live Analysis
+ *
+ * Runs the engine off the main thread while the user types. The page talks to
+ * a dedicated Web Worker (analysis-worker.js) through createLiveAnalyzer:
+ * requests are debounced, and a newer request on the same channel cancels the
+ * one before it. Rule packs, weight profiles and history go to the worker once
+ * when they change, not with every keystroke.
+ *
+ * The worker holds an analysis session that compiles the packs once and
+ * caches results: whole drafts by text and options, the thread variant's
+ * tweets by their text (see buildThread), and the segmentation of every line
+ * (see segment-cache.js), so an edit only re-segments the lines it touched.
+ * Rule matching and scoring still run over the whole draft: pack patterns can
+ * span lines and hook rules depend on where text sits, so per-line matches
+ * can't be added up into the draft's. Segmentation is most of the work on a
+ * long draft, and it is what the line cache saves.
+ * Where workers aren't available the same session runs on the page.
+ */
+
+import { analyzePost, generateOptimizedVariants, generateDynamicTips, registerWeightProfile } from './algorithm-engine.js';
+import { DEFAULT_RULE_SET, compileRuleSet } from './rule-packs.js';
+import { buildCorpus } from './similarity.js';
+import { createSegmentCache } from './segment-cache.js';
+
+// ============================================
+// CONFIG
+// ============================================
+
+// Quiet time after the last keystroke before a request goes out (ms)
+export const LIVE_DELAY = 300;
+
+// Drafts and thread tweets kept per session
+const ANALYSIS_CACHE_SIZE = 50;
+const TWEET_CACHE_SIZE = 200;
+
+// ============================================
+// SESSION
+// ============================================
+
+/**
+ * An analysis session: compiled rules, history and result caches that live between requests
+ * @returns {Object} {
+ *   configure(config) - { packs, profiles, history } where packs are rule packs to compile
+ *                       (null for the built-ins), profiles are { id, ...profile } weight profiles
+ *                       and history is past posts ({ id, text, date }); omitted keys stay as they are
+ *   analyze(text, options, { variants }) - { analysis, variants } for plain analysis options
+ *                       (without `rules` or `history`, which come from configure)
+ *   tips(text, context) - generateDynamicTips with the session's rules
+ * }
+ */
+export function createAnalysisSession() {
+  let rules = DEFAULT_RULE_SET;
+  let packsKey = null;
+  let history = null;
+  const analyses = new Map();
+  let tweets = { key: null, cache: new Map() };
+  // Segmentation doesn't depend on rules or history, so it outlives invalidate
+  const segmentCache = createSegmentCache();
+
+  // Cached results only hold for the rules and history they were computed with
+  const invalidate = () => {
+    analyses.clear();
+    tweets = { key: null, cache: new Map() };
+  };
+
+  return {
+    configure({ packs, profiles, history: posts } = {}) {
+      if (packs !== undefined) {
+        const key = JSON.stringify(packs);
+        if (key !== packsKey) {
+          rules = packs ? compileRuleSet(packs) : DEFAULT_RULE_SET;
+          packsKey = key;
+          invalidate();
+        }
+      }
+      if (profiles) {
+        profiles.forEach(profile => registerWeightProfile(profile.id, profile));
+        invalidate();
+      }
+      if (posts !== undefined) {
+        history = posts?.length ? buildCorpus(posts) : null;
+        invalidate();
+      }
+    },
+
+    analyze(text, options = {}, { variants = false } = {}) {
+      const optionsKey = JSON.stringify(options);
+      const fullOptions = { ...options, rules, segmentCache, ...(history && { history }) };
+
+      const analysis = remember(analyses, `${optionsKey}\n${text}`, ANALYSIS_CACHE_SIZE, () => analyzePost(text, fullOptions));
+      if (!variants) return { analysis, variants: null };
+
+      // Thread tweets are cached for one set of options at a time
+      if (tweets.key !== optionsKey) tweets = { key: optionsKey, cache: new Map() };
+      if (tweets.cache.size > TWEET_CACHE_SIZE) tweets.cache.clear();
+      return { analysis, variants: generateOptimizedVariants(text, analysis, { ...fullOptions, cache: tweets.cache }) };
+    },
+
+    tips(text, context = {}) {
+      return generateDynamicTips(text, { ...context, rules });
+    }
+  };
+}
+
+// Least-recently-used lookup: Map keeps insertion order, so hits move to the end
+function remember(cache, key, limit, compute) {
+  if (cache.has(key)) {
+    const value = cache.get(key);
+    cache.delete(key);
+    cache.set(key, value);
+    return value;
+  }
+  const value = compute();
+  cache.set(key, value);
+  if (cache.size > limit) cache.delete(cache.keys().next().value);
+  return value;
+}
+
+// ============================================
+// CLIENT
+// ============================================
+
+/**
+ * Debounced, cancellable analysis for the page
+ * @param {Object} options - { createWorker, delay = LIVE_DELAY }
+ *   createWorker - Returns the analysis Worker; when it's missing, throws, or the worker fails
+ *   to load, requests run on the page instead
+ * @returns {Object} {
+ *   configure(config)  - Send { packs, profiles, history } (see createAnalysisSession)
+ *   analyze(text, options, { channel, signal, variants, immediate }) - Promise of { analysis, variants }
+ *   tips(text, context, { channel, signal, immediate }) - Promise of generateDynamicTips results
+ *   cancel(channel)    - Drop the channel's pending request
+ *   terminate()        - Stop the worker and drop every pending request
+ *   usesWorker()       - Whether requests run in a worker
+ * }
+ *   Requests on a channel replace the previous one, which rejects with an AbortError, as do
+ *   requests whose `signal` aborts. `immediate` skips the debounce.
+ */
+export function createLiveAnalyzer({ createWorker, delay = LIVE_DELAY } = {}) {
+  let worker = null;
+  let session = null;
+  let config = {};
+  let nextId = 1;
+  const channels = new Map();
+
+  const runOnPage = () => {
+    session = createAnalysisSession();
+    session.configure(config);
+  };
+
+  try {
+    worker = createWorker ? createWorker() : null;
+  } catch (error) {
+    console.warn('Analysis worker unavailable, analyzing on the page:', error);
+  }
+
+  if (worker) {
+    worker.onmessage = ({ data }) => {
+      const [channel, entry] = [...channels].find(([, e]) => e.id === data.id) || [];
+      if (!entry) return; // Cancelled while the worker was busy
+      channels.delete(channel);
+      if (data.type === 'error') entry.reject(new Error(data.message));
+      else entry.resolve(data.result);
+    };
+    // A worker that can't load (old browser, file:// page) hands its requests to the page
+    worker.onerror = (event) => {
+      console.warn('Analysis worker failed, analyzing on the page:', event.message || event);
+      event.preventDefault?.();
+      worker.terminate();
+      worker = null;
+      runOnPage();
+      channels.forEach(entry => { if (entry.sent) runLocally(entry); });
+    };
+  } else {
+    runOnPage();
+  }
+
+  function runLocally(entry) {
+    // Deferred so a burst of synchronous requests collapses to the last one
+    setTimeout(() => {
+      const channel = [...channels].find(([, e]) => e === entry)?.[0];
+      if (channel === undefined) return;
+      channels.delete(channel);
+      try {
+        entry.resolve(run(session, entry.type, entry.payload));
+      } catch (error) {
+        entry.reject(error);
+      }
+    }, 0);
+  }
+
+  function send(entry) {
+    entry.sent = true;
+    if (worker) worker.postMessage({ type: entry.type, id: entry.id, ...entry.payload });
+    else runLocally(entry);
+  }
+
+  function cancel(channel) {
+    const entry = channels.get(channel);
+    if (!entry) return;
+    channels.delete(channel);
+    clearTimeout(entry.timer);
+    if (entry.sent && worker) worker.postMessage({ type: 'cancel', id: entry.id });
+    entry.reject(abortError());
+  }
+
+  function request(type, payload, { channel = type, signal, immediate = false }) {
+    cancel(channel);
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+      const entry = { id: nextId++, type, payload, resolve, reject, sent: false, timer: null };
+      channels.set(channel, entry);
+      signal?.addEventListener('abort', () => { if (channels.get(channel) === entry) cancel(channel); }, { once: true });
+      entry.timer = setTimeout(() => send(entry), immediate ? 0 : delay);
+    });
+  }
+
+  return {
+    configure(next) {
+      config = { ...config, ...next };
+      if (worker) worker.postMessage({ type: 'configure', config: next });
+      else session.configure(next);
+    },
+    analyze(text, options = {}, { variants = false, ...rest } = {}) {
+      return request('analyze', { text, options, variants }, rest);
+    },
+    tips(text, context = {}, rest = {}) {
+      return request('tips', { text, context }, rest);
+    },
+    cancel,
+    terminate() {
+      [...channels.keys()].forEach(cancel);
+      worker?.terminate();
+      worker = null;
+    },
+    usesWorker: () => Boolean(worker)
+  };
+}
+
+/**
+ * Run one request against a session - shared by the worker and the on-page fallback
+ * @param {Object} session - From createAnalysisSession
+ * @param {string} type - 'analyze' or 'tips'
+ * @param {Object} payload - { text, options, variants } or { text, context }
+ * @returns {Object} The result
+ */
+export function run(session, type, payload) {
+  if (type === 'analyze') return session.analyze(payload.text, payload.options, { variants: payload.variants });
+  if (type === 'tips') return session.tips(payload.text, payload.context);
+  throw new Error(`Unknown analysis request: ${type}`);
+}
+
+function abortError() {
+  return new DOMException('The analysis was superseded or cancelled', 'AbortError');
+}
+
+export default {
+  LIVE_DELAY,
+  createAnalysisSession,
+  createLiveAnalyzer,
+  run
+};
@@ -0,0 +1,442 @@
+/**
+ * LLM Providers
+ *
+ * One chat-completion interface over OpenAI, any OpenAI-compatible server
+ * (a local Ollama or llama.cpp endpoint keeps drafts on your machine),
+ * Anthropic, and a deterministic mock for offline use and scripts.
+ * Requests can stream tokens, time out, retry transient failures and be
+ * aborted through an AbortSignal.
+ */
+
+// ============================================
+// PROVIDERS & FEATURES
+// ============================================
+
+export const PROVIDERS = {
+  openai: {
+    name: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
+    requiresKey: true,
+    local: false
+  },
+  'openai-compatible': {
+    name: 'OpenAI-compatible (local)',
+    baseUrl: 'http://localhost:11434/v1',
+    defaultModel: 'llama3.1',
+    requiresKey: false,
+    local: true
+  },
+  anthropic: {
+    name: 'Anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    defaultModel: 'claude-3-5-haiku-latest',
+    requiresKey: true,
+    local: false
+  },
+  mock: {
+    name: 'Mock (offline)',
+    baseUrl: '',
+    defaultModel: 'mock',
+    requiresKey: false,
+    local: true
+  }
+};
+
+// Per-feature request defaults; any of them can be overridden in the config
+export const LLM_FEATURES = {
+  strategyBuilder: { name: 'Strategy Builder', temperature: 0.7, max_tokens: 1500 },
+  learnTab: { name: 'Learn', temperature: 0.7, max_tokens: 1000 },
+  postOptimizer: { name: 'Post Optimizer', temperature: 0.7, max_tokens: 500 }
+};
+
+export const DEFAULT_LLM_CONFIG = {
+  provider: 'openai',
+  apiKey: '',
+  baseUrl: '',
+  model: '',
+  timeout: 60000,
+  retries: 2,
+  features: {}
+};
+
+/**
+ * Fill in defaults and drop unknown providers
+ * @param {Object} config - Partial config (e.g. from storage)
+ * @returns {Object} Complete config
+ */
+export function normalizeLlmConfig(config = {}) {
+  const merged = { ...DEFAULT_LLM_CONFIG, ...config, features: { ...config.features } };
+  if (!PROVIDERS[merged.provider]) merged.provider = DEFAULT_LLM_CONFIG.provider;
+  return merged;
+}
+
+/**
+ * Whether requests can be sent with this config
+ * @param {Object} config - LLM config
+ * @returns {boolean}
+ */
+export function isLlmConfigured(config) {
+  const provider = PROVIDERS[config?.provider];
+  if (!provider) return false;
+  return !provider.requiresKey || Boolean(config.apiKey?.trim());
+}
+
+/**
+ * Resolve the model and sampling options for a feature
+ * Feature overrides win over the config-wide model, which wins over the provider default
+ * @param {Object} config - LLM config
+ * @param {string} feature - Key of LLM_FEATURES
+ * @returns {Object} { model, temperature, max_tokens }
+ */
+export function resolveFeatureOptions(config, feature) {
+  const defaults = LLM_FEATURES[feature] || { temperature: 0.7, max_tokens: 1000 };
+  const overrides = config.features?.[feature] || {};
+  return {
+    model: overrides.model || config.model || PROVIDERS[config.provider].defaultModel,
+    temperature: overrides.temperature ?? defaults.temperature,
+    max_tokens: overrides.max_tokens ?? defaults.max_tokens
+  };
+}
+
+// ============================================
+// COMPLETION
+// ============================================
+
+/**
+ * Send a chat completion
+ * @param {Object} config - LLM config ({ provider, apiKey, baseUrl, model, timeout, retries, features })
+ * @param {Array} messages - { role: 'system'|'user'|'assistant', content }
+ * @param {Object} options - { feature, model, temperature, max_tokens, signal, onToken(token, text), schema, instructions }
+ *   Passing onToken streams the response. `schema` ({ name, schema }) asks for JSON matching a
+ *   JSON schema, through the provider's structured output support where it has one.
+ *   `instructions` (e.g. the brand style guide) join the system prompt
+ * @returns {Promise<string>} The full response text (a JSON string when `schema` is set)
+ */
+export async function complete(config, messages, options = {}) {
+  const settings = normalizeLlmConfig(config);
+  if (!isLlmConfigured(settings)) {
+    throw new Error(`${PROVIDERS[settings.provider].name} needs an API key`);
+  }
+
+  const request = {
+    ...resolveFeatureOptions(settings, options.feature),
+    ...pick(options, ['model', 'temperature', 'max_tokens']),
+    messages: withInstructions(messages, options.instructions),
+    schema: options.schema || null,
+    stream: typeof options.onToken === 'function'
+  };
+
+  // Once tokens have been shown, a retry would repeat them
+  let streamed = false;
+  const onToken = request.stream && ((token, text) => {
+    streamed = true;
+    options.onToken(token, text);
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(settings.timeout, options.signal, signal =>
+        send(settings, request, { signal, onToken })
+      );
+    } catch (error) {
+      if (streamed || attempt >= settings.retries || !isRetryable(error)) throw error;
+      await sleep(500 * 2 ** attempt, options.signal);
+    }
+  }
+}
+
+// Extra system text goes after the leading system turns; some local chat templates only allow them first
+function withInstructions(messages, instructions) {
+  if (!instructions) return messages;
+  const leading = messages.findIndex(m => m.role !== 'system');
+  const split = leading === -1 ? messages.length : leading;
+  return [...messages.slice(0, split), { role: 'system', content: instructions }, ...messages.slice(split)];
+}
+
+function send(config, request, { signal, onToken }) {
+  switch (config.provider) {
+    case 'anthropic':
+      return sendAnthropic(config, request, signal, onToken);
+    case 'mock':
+      return sendMock(config, request, signal, onToken);
+    default:
+      return sendOpenAI(config, request, signal, onToken);
+  }
+}
+
+async function sendOpenAI(config, request, signal, onToken) {
+  const headers = { 'Content-Type': 'application/json' };
+  // Local servers usually run without auth
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+  const post = schema => fetchApi(config, '/chat/completions', {
+    method: 'POST',
+    headers,
+    signal,
+    body: JSON.stringify({
+      model: request.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.max_tokens,
+      stream: request.stream,
+      ...(schema && { response_format: { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema } } })
+    })
+  });
+
+  let response = await post(request.schema);
+  // Older local servers reject response_format; the prompt still asks for JSON
+  if (response.status === 400 && request.schema && config.provider !== 'openai') {
+    response = await post(null);
+  }
+  await assertOk(response);
+
+  if (!request.stream) {
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content ?? '';
+  }
+  return readEvents(response, onToken, event => event.choices?.[0]?.delta?.content);
+}
+
+async function sendAnthropic(config, request, signal, onToken) {
+  const system = request.messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const messages = request.messages.filter(m => m.role !== 'system');
+
+  const response = await fetchApi(config, '/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': config.apiKey,
+      'anthropic-version': '2023-06-01',
+      // Keys stay in the user's browser; Anthropic requires this opt-in for CORS
+      'anthropic-dangerous-direct-browser-access': 'true'
+    },
+    signal,
+    body: JSON.stringify({
+      model: request.model,
+      ...(system && { system }),
+      messages,
+      temperature: request.temperature,
+      max_tokens: request.max_tokens,
+      stream: request.stream,
+      // Structured output is a forced call to a tool whose input is the schema
+      ...(request.schema && {
+        tools: [{ name: request.schema.name, input_schema: request.schema.schema }],
+        tool_choice: { type: 'tool', name: request.schema.name }
+      })
+    })
+  });
+  await assertOk(response);
+
+  if (!request.stream) {
+    const data = await response.json();
+    const blocks = data.content || [];
+    const tool = blocks.find(block => block.type === 'tool_use');
+    if (tool) return JSON.stringify(tool.input);
+    return blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+  }
+  return readEvents(response, onToken, event =>
+    event.type === 'content_block_delta' ? event.delta?.text ?? event.delta?.partial_json : null
+  );
+}
+
+// Replies are built from the last user message only, so the same prompt always
+// yields the same text. `config.respond(messages, schema)` replaces the canned reply.
+async function sendMock(config, request, signal, onToken) {
+  const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+  const topic = (lastUser?.content || '').replace(/\s+/g, ' ').trim().slice(0, 80) || 'your post';
+  let text;
+  if (typeof config.respond === 'function') {
+    text = String(await config.respond(request.messages, request.schema));
+  } else if (request.schema) {
+    text = JSON.stringify(mockValue(request.schema.schema, topic));
+  } else {
+    text = mockReply(topic);
+  }
+
+  if (!request.stream) return text;
+
+  let streamed = '';
+  for (const token of text.match(/\s*\S+/g) || []) {
+    if (signal?.aborted) throw abortError();
+    await sleep(config.mockDelay ?? 0, signal);
+    streamed += token;
+    onToken(token, streamed);
+  }
+  return text;
+}
+
+function mockReply(topic) {
+  return [
+    `Mock response for "${topic}".`,
+    '',
+    `Draft 1: "We just dropped something new for ${topic.split(' ').slice(0, 4).join(' ')}. What would you try first?"`,
+    `Draft 2: "Behind the scenes: how we built ${topic.split(' ').slice(0, 4).join(' ')}. Which part should we share next?"`,
+    '',
+    'Connect a real provider in the AI settings for generated answers.'
+  ].join('\n');
+}
+
+// Smallest value that satisfies a JSON schema; `content` strings read like posts
+// so mock drafts can be scored
+function mockValue(schema, topic, key = '', index = 0) {
+  if (schema.enum) return schema.enum[index % schema.enum.length];
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, sub]) => [name, mockValue(sub, topic, name, index)]));
+    case 'array': {
+      const count = Math.min(Math.max(schema.minItems || 0, 2), schema.maxItems ?? Infinity);
+      return Array.from({ length: count }, (_, i) => mockValue(schema.items || {}, topic, key, i));
+    }
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    default: {
+      if (key !== 'content') return `Mock ${key || 'text'} ${index + 1} for "${topic}"`;
+      const subject = topic.split(' ').slice(0, 4).join(' ');
+      return index % 2
+        ? `Behind the scenes: how we built ${subject}. Which part should we share next?`
+        : `We just dropped something new for ${subject}. What would you try first?`;
+    }
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Server-sent events: one JSON payload per `data:` line
+async function readEvents(response, onToken, extract) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+
+  const handle = line => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (!data || data === '[DONE]') return;
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (event.type === 'error' || event.error) {
+      throw new Error(event.error?.message || 'Stream failed');
+    }
+    const token = extract(event);
+    if (token) {
+      text += token;
+      onToken(token, text);
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(handle);
+  }
+  handle(buffer + decoder.decode());
+  return text;
+}
+
+// fetch rejects with a bare TypeError when the server can't be reached. Only that one is a
+// network failure - a TypeError while reading the response is a bug and shouldn't be retried
+async function fetchApi(config, path, init) {
+  try {
+    return await fetch(`${baseUrl(config)}${path}`, init);
+  } catch (error) {
+    if (!(error instanceof TypeError)) throw error;
+    const unreachable = new Error(`Could not reach ${baseUrl(config)} - is the server running?`);
+    unreachable.network = true;
+    throw unreachable;
+  }
+}
+
+async function assertOk(response) {
+  if (response.ok) return;
+  let message = `${response.status} ${response.statusText}`.trim();
+  try {
+    const body = await response.json();
+    message = body.error?.message || body.message || message;
+  } catch {
+    // Not JSON - keep the status line
+  }
+  const error = new Error(message || 'API request failed');
+  error.status = response.status;
+  throw error;
+}
+
+function isRetryable(error) {
+  if (error.name === 'AbortError' || error.timeout) return false;
+  if (error.status) return error.status === 429 || error.status >= 500;
+  return Boolean(error.network);
+}
+
+// Abort the request when the caller aborts or the timeout passes, whichever comes first
+async function withTimeout(ms, outer, run) {
+  if (outer?.aborted) throw abortError();
+
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  outer?.addEventListener('abort', abort);
+  let timedOut = false;
+  const timer = ms > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, ms) : null;
+
+  try {
+    return await run(controller.signal);
+  } catch (error) {
+    if (timedOut) {
+      const timeout = new Error(`Request timed out after ${ms / 1000}s`);
+      timeout.timeout = true;
+      throw timeout;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    outer?.removeEventListener('abort', abort);
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function abortError() {
+  return new DOMException('The request was aborted', 'AbortError');
+}
+
+function baseUrl(config) {
+  return (config.baseUrl || PROVIDERS[config.provider].baseUrl).replace(/\/+$/, '');
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+}
+
+export default {
+  PROVIDERS,
+  LLM_FEATURES,
+  DEFAULT_LLM_CONFIG,
+  normalizeLlmConfig,
+  isLlmConfigured,
+  resolveFeatureOptions,
+  complete
+};
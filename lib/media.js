@@ -0,0 +1,321 @@
+/**
+ * Media
+ *
+ * Reads attached images and videos locally and estimates how they play in
+ * the timeline. Image sizes come straight from the file header (PNG, GIF,
+ * JPEG, WebP), so nothing is decoded or uploaded; videos are probed with a
+ * <video> element for duration and size. assessMedia turns the metadata into
+ * P(photo_expand) / P(video_view) estimates: how much of each image the
+ * timeline preview crops, how much of a video people finish, and which
+ * images have no alt text.
+ */
+
+// ============================================
+// CONFIG
+// ============================================
+
+// X accepts up to 4 images, or a single GIF or video
+export const MAX_IMAGES = 4;
+
+// Longest video most accounts can post (2:20)
+export const MAX_VIDEO_SECONDS = 140;
+
+// A video view counts after 2 seconds in view
+export const MIN_VIDEO_SECONDS = 2;
+
+// Narrower than this and expanded images look soft
+export const MIN_IMAGE_WIDTH = 600;
+
+// Previews showing less than this share of the image get a crop warning
+export const CROP_WARNING_VISIBLE = 0.8;
+
+// Approximate timeline preview shapes (width / height). A single image shows
+// uncropped between 3:4 and 16:9; grids split a 16:9 box into slots
+export const PREVIEW_LAYOUTS = {
+  1: [{ min: 3 / 4, max: 16 / 9 }],
+  2: [8 / 9, 8 / 9],
+  3: [8 / 9, 16 / 9, 16 / 9],
+  4: [16 / 9, 16 / 9, 16 / 9, 16 / 9]
+};
+
+// Share of viewers who finish a video, by length - shorter videos complete more often
+const COMPLETION_CURVE = [
+  { upTo: 15, completion: 0.8 },
+  { upTo: 30, completion: 0.65 },
+  { upTo: 60, completion: 0.5 },
+  { upTo: MAX_VIDEO_SECONDS, completion: 0.35 },
+  { upTo: Infinity, completion: 0.2 }
+];
+
+// ============================================
+// FILE HEADERS
+// ============================================
+
+/**
+ * Size and animation of an image from its first bytes
+ * @param {Uint8Array} bytes - Start of the file (the whole file for GIF/PNG animation checks)
+ * @returns {Object|null} { format, width, height, animated }, or null for unknown formats
+ */
+export function readImageHeader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+  if (bytes.length >= 24 && ascii(1, 3) === 'PNG') {
+    // Animated PNGs carry an acTL chunk before the image data
+    return { format: 'png', width: view.getUint32(16), height: view.getUint32(20), animated: indexOf(bytes, 'acTL') !== -1 };
+  }
+
+  if (bytes.length >= 10 && ascii(0, 3) === 'GIF') {
+    return { format: 'gif', width: view.getUint16(6, true), height: view.getUint16(8, true), animated: countGifFrames(bytes) > 1 };
+  }
+
+  if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return readJpegSize(bytes, view);
+  }
+
+  if (bytes.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+    const chunk = ascii(12, 4);
+    if (chunk === 'VP8X') {
+      const width = 1 + (bytes[24] | bytes[25] << 8 | bytes[26] << 16);
+      const height = 1 + (bytes[27] | bytes[28] << 8 | bytes[29] << 16);
+      return { format: 'webp', width, height, animated: Boolean(bytes[20] & 0x02) };
+    }
+    if (chunk === 'VP8L') {
+      const bits = view.getUint32(21, true);
+      return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1, animated: false };
+    }
+    if (chunk === 'VP8 ') {
+      return { format: 'webp', width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff, animated: false };
+    }
+  }
+
+  return null;
+}
+
+// Start-of-frame markers carry the size; skip every other segment by its length
+function readJpegSize(bytes, view) {
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    const length = view.getUint16(offset + 2);
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrame) {
+      return { format: 'jpeg', width: view.getUint16(offset + 7), height: view.getUint16(offset + 5), animated: false };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+// Each frame starts with a graphic control extension (0x21 0xF9 0x04)
+function countGifFrames(bytes) {
+  let frames = 0;
+  for (let i = 0; i < bytes.length - 2 && frames < 2; i++) {
+    if (bytes[i] === 0x21 && bytes[i + 1] === 0xf9 && bytes[i + 2] === 0x04) frames++;
+  }
+  return frames;
+}
+
+function indexOf(bytes, text) {
+  const codes = [...text].map(c => c.charCodeAt(0));
+  for (let i = 0; i + codes.length <= bytes.length; i++) {
+    if (codes.every((code, j) => bytes[i + j] === code)) return i;
+  }
+  return -1;
+}
+
+// ============================================
+// BROWSER FILES
+// ============================================
+
+/**
+ * Read an attached file's metadata in the browser
+ * @param {File} file - Image or video from a file input
+ * @returns {Promise<Object>} { id, name, kind, format, width, height, duration, animated, altText, size, url }
+ *   kind is 'image', 'gif' (animated image) or 'video'; url is an object URL for previews
+ *   (release it with URL.revokeObjectURL when the attachment is removed)
+ */
+export async function readMediaFile(file) {
+  const base = {
+    id: `${file.name}-${file.size}-${file.lastModified}`,
+    name: file.name,
+    size: file.size,
+    altText: '',
+    url: URL.createObjectURL(file)
+  };
+
+  if (file.type.startsWith('video/')) {
+    const video = await probeVideo(base.url);
+    return { ...base, kind: 'video', format: file.type.split('/')[1], animated: true, ...video };
+  }
+
+  if (!file.type.startsWith('image/')) {
+    URL.revokeObjectURL(base.url);
+    throw new Error(`${file.name} is not an image or video`);
+  }
+
+  const header = readImageHeader(new Uint8Array(await file.arrayBuffer()));
+  const image = header || { format: file.type.split('/')[1], animated: false, ...await probeImage(base.url) };
+  return { ...base, kind: image.animated ? 'gif' : 'image', duration: null, ...image };
+}
+
+function probeVideo(url) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.preload = 'metadata';
+    video.muted = true;
+    video.onloadedmetadata = () => resolve({
+      width: video.videoWidth,
+      height: video.videoHeight,
+      duration: Number.isFinite(video.duration) ? Math.round(video.duration * 10) / 10 : null
+    });
+    video.onerror = () => reject(new Error('Could not read the video - is the format supported by this browser?'));
+    video.src = url;
+  });
+}
+
+// Formats the header reader doesn't know (AVIF, HEIC...) fall back to decoding
+function probeImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight });
+    image.onerror = () => reject(new Error('Could not read the image'));
+    image.src = url;
+  });
+}
+
+// ============================================
+// ASSESSMENT
+// ============================================
+
+/**
+ * How much of an image a preview slot shows (center crop)
+ * @param {number} ratio - Image width / height
+ * @param {number|Object} slot - Slot ratio, or { min, max } for a range shown uncropped
+ * @returns {Object} { slotRatio, visible, axis } where visible is the shown share (0-1)
+ *   and axis is 'horizontal' (sides cut), 'vertical' (top and bottom cut) or null
+ */
+export function previewCrop(ratio, slot) {
+  const { min, max } = typeof slot === 'number' ? { min: slot, max: slot } : slot;
+  const slotRatio = Math.min(max, Math.max(min, ratio));
+  const visible = Math.min(ratio, slotRatio) / Math.max(ratio, slotRatio);
+  return {
+    slotRatio: round(slotRatio),
+    visible: round(visible),
+    axis: visible >= 0.999 ? null : ratio > slotRatio ? 'horizontal' : 'vertical'
+  };
+}
+
+/**
+ * Expected share of viewers who finish a video
+ * @param {number} seconds - Video length
+ * @returns {number} 0-1
+ */
+export function videoCompletion(seconds) {
+  return COMPLETION_CURVE.find(step => seconds <= step.upTo).completion;
+}
+
+/**
+ * Assess attached media for the timeline
+ * @param {Array} items - { kind, width, height, duration?, altText?, name? } per attachment
+ * @returns {Object} {
+ *   type        - 'image', 'gif', 'video' or 'none'
+ *   count       - Attachments
+ *   items       - The items with aspectRatio, crop (see previewCrop) and, for video, completion
+ *   predictions - { 'P(photo_expand)', 'P(video_view)' } estimates
+ *   issues      - [{ id, items, ... }] crop, missing-alt, low-resolution, too-many-images,
+ *                 mixed-media, video-too-long, video-too-short
+ * }
+ */
+export function assessMedia(items = []) {
+  if (!items.length) {
+    return { type: 'none', count: 0, items: [], predictions: { 'P(photo_expand)': 0, 'P(video_view)': 0 }, issues: [] };
+  }
+
+  const issues = [];
+  const moving = items.filter(item => item.kind === 'video' || item.kind === 'gif');
+  const type = moving.length ? moving[0].kind : 'image';
+
+  if (moving.length && items.length > 1) issues.push({ id: 'mixed-media', items: items.map(item => item.name) });
+  if (!moving.length && items.length > MAX_IMAGES) issues.push({ id: 'too-many-images', count: items.length, items: items.slice(MAX_IMAGES).map(item => item.name) });
+
+  // Preview layout for the media X would actually post
+  const shown = moving.length ? moving.slice(0, 1) : items.slice(0, MAX_IMAGES);
+  const layout = PREVIEW_LAYOUTS[shown.length];
+  const assessed = items.map(item => {
+    const index = shown.indexOf(item);
+    const aspectRatio = item.width && item.height ? round(item.width / item.height) : null;
+    const crop = index !== -1 && aspectRatio ? previewCrop(aspectRatio, layout[index]) : null;
+    const completion = item.kind === 'video' && item.duration ? videoCompletion(item.duration) : null;
+    return { ...item, aspectRatio, crop, ...(item.kind === 'video' && { completion }) };
+  });
+
+  const cropped = assessed.filter(item => item.crop && item.crop.visible < CROP_WARNING_VISIBLE);
+  if (cropped.length) {
+    issues.push({ id: 'crop', items: cropped.map(item => item.name), visible: Math.min(...cropped.map(item => item.crop.visible)) });
+  }
+
+  const stills = assessed.filter(item => item.kind !== 'video');
+  const noAlt = stills.filter(item => !(item.altText || '').trim());
+  if (noAlt.length) issues.push({ id: 'missing-alt', items: noAlt.map(item => item.name), count: noAlt.length, of: stills.length });
+
+  const small = stills.filter(item => item.width && item.width < MIN_IMAGE_WIDTH);
+  if (small.length) issues.push({ id: 'low-resolution', items: small.map(item => item.name), width: Math.min(...small.map(item => item.width)) });
+
+  const video = assessed.find(item => item.kind === 'video');
+  if (video?.duration > MAX_VIDEO_SECONDS) issues.push({ id: 'video-too-long', items: [video.name], duration: video.duration });
+  if (video?.duration && video.duration < MIN_VIDEO_SECONDS) issues.push({ id: 'video-too-short', items: [video.name], duration: video.duration });
+
+  return { type, count: items.length, items: assessed, predictions: predictMedia(type, shown.length, assessed, issues), issues };
+}
+
+function predictMedia(type, count, items, issues) {
+  const has = id => issues.some(issue => issue.id === id);
+
+  if (type === 'video') {
+    const { completion } = items.find(item => item.kind === 'video');
+    // Unknown length keeps the flat estimate; otherwise completion drives views
+    const views = completion === null ? 60 : Math.round(30 + 50 * completion);
+    return { 'P(photo_expand)': 0, 'P(video_view)': has('video-too-short') ? Math.min(views, 20) : views };
+  }
+
+  if (type === 'gif') {
+    // GIFs autoplay inline, so they play like a short video and rarely get expanded
+    return { 'P(photo_expand)': 10, 'P(video_view)': 45 };
+  }
+
+  // Grids invite a tap to see each image; soft images get fewer
+  let expand = 50 + 5 * (count - 1);
+  if (has('low-resolution')) expand -= 10;
+  return { 'P(photo_expand)': Math.max(0, Math.min(100, expand)), 'P(video_view)': 0 };
+}
+
+/**
+ * Format a duration as m:ss
+ * @param {number} seconds - Duration
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  const whole = Math.round(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default {
+  MAX_IMAGES,
+  MAX_VIDEO_SECONDS,
+  MIN_VIDEO_SECONDS,
+  MIN_IMAGE_WIDTH,
+  CROP_WARNING_VISIBLE,
+  PREVIEW_LAYOUTS,
+  readImageHeader,
+  readMediaFile,
+  previewCrop,
+  videoCompletion,
+  assessMedia,
+  formatDuration
+};
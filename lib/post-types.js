@@ -0,0 +1,270 @@
+/**
+ * Post Types
+ *
+ * Polls and quote posts. assessPoll checks a poll against X's limits
+ * (2-4 options of up to 25 characters, open for 5 minutes to 7 days) and
+ * for options that are lopsided, overlapping or left open without a reply
+ * prompt. assessQuote compares our commentary with the quoted post to tell
+ * a take that adds something from an echo of it. Both return P(reply) /
+ * P(quote) signals for the engine to fold into its predictions.
+ */
+
+import { countCharacters } from './char-count.js';
+import { tokenize, buildCorpus, findSimilar } from './similarity.js';
+
+// ============================================
+// CONFIG
+// ============================================
+
+// X polls take 2 to 4 options of up to 25 characters
+export const POLL_MIN_OPTIONS = 2;
+export const POLL_MAX_OPTIONS = 4;
+export const POLL_OPTION_MAX_LENGTH = 25;
+
+// Poll duration in minutes: 5 minutes to 7 days, 1 day when not set
+export const POLL_MIN_MINUTES = 5;
+export const POLL_MAX_MINUTES = 7 * 24 * 60;
+export const POLL_DEFAULT_MINUTES = 24 * 60;
+
+// Issues X rejects the poll for
+const BLOCKING_POLL_ISSUES = ['too-few-options', 'too-many-options', 'option-too-long', 'duplicate-options', 'duration-out-of-range'];
+
+// Polls closing sooner than this end before most followers see them
+const POLL_SHORT_MINUTES = 60;
+
+// Commentary this similar to the quoted post is an echo
+export const ECHO_SIMILARITY = 0.6;
+
+// Fewer content words than this (with nothing else added) is a thin quote
+export const MIN_COMMENTARY_WORDS = 4;
+
+// Share of content words that have to be new for the commentary to stand on its own
+const MIN_NOVELTY = 0.5;
+
+// "Other"-style options only pay off when voters are asked to reply with theirs
+const OPEN_OPTION_PATTERN = /^(other|something else|none of (these|the above)|neither|let me explain|comment|reply)\b/i;
+const REPLY_PROMPT_PATTERN = /\b(reply|replies|comment|comments|below|tell us|let us know|drop (it|yours|your))\b|👇/i;
+
+const VALUE_PATTERNS = {
+  question: /[?？]/,
+  reasoning: /\b(because|here'?s why|that'?s why|which means|the reason|so you can|in short|tl;?dr)\b/i,
+  take: /\b(i|we)\s+(think|believe|love|built|shipped|made|found|learned|tried)\b|\b(imo|honestly|hot take|our take|underrated|overrated)\b/i
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'to', 'of', 'in', 'on', 'for', 'with', 'at', 'by', 'from',
+  'is', 'are', 'was', 'were', 'be', 'been', 'it', "it's", 'this', 'that', 'these', 'those',
+  'i', 'we', 'you', 'they', 'me', 'us', 'my', 'our', 'your', 'their', 'its',
+  'so', 'just', 'very', 'really', 'too', 'all', 'rt'
+]);
+
+// ============================================
+// POLLS
+// ============================================
+
+/**
+ * Assess a poll
+ * @param {Object} poll - { options: [text], duration } where duration is in minutes
+ * @param {string} text - The post text, which asks the question
+ * @returns {Object} {
+ *   options  - [{ text, length, valid }] filled-in options with their weighted length
+ *   duration - Minutes the poll stays open
+ *   open     - Whether an option like "Other" sends voters to the replies
+ *   issues   - [{ id, ... }] too-few-options, too-many-options, option-too-long, duplicate-options,
+ *              duration-out-of-range, no-question, lopsided-options, overlapping-options,
+ *              open-option-no-prompt, short-duration
+ *   signals  - [{ signal, weight, reason }] prediction changes
+ * }
+ */
+export function assessPoll(poll = {}, text = '') {
+  const options = (poll.options || [])
+    .map(option => String(option ?? '').trim())
+    .filter(Boolean)
+    .map(option => {
+      const length = countCharacters(option).weightedLength;
+      return { text: option, length, valid: length <= POLL_OPTION_MAX_LENGTH };
+    });
+  const duration = poll.duration ?? POLL_DEFAULT_MINUTES;
+  const issues = [];
+
+  if (options.length < POLL_MIN_OPTIONS) issues.push({ id: 'too-few-options', count: options.length });
+  if (options.length > POLL_MAX_OPTIONS) issues.push({ id: 'too-many-options', count: options.length });
+  options.filter(option => !option.valid).forEach(option => issues.push({ id: 'option-too-long', option: option.text, length: option.length }));
+
+  const keys = options.map(option => normalize(option.text));
+  const duplicates = options.filter((option, i) => keys.indexOf(keys[i]) !== i);
+  if (duplicates.length) issues.push({ id: 'duplicate-options', options: duplicates.map(option => option.text) });
+
+  if (!Number.isFinite(duration) || duration < POLL_MIN_MINUTES || duration > POLL_MAX_MINUTES) {
+    issues.push({ id: 'duration-out-of-range', duration });
+  }
+
+  // Clarity: the post asks the question and each option means one thing
+  if (!/[?？]/.test(text)) issues.push({ id: 'no-question' });
+
+  const overlap = findOverlap(options);
+  if (overlap) issues.push({ id: 'overlapping-options', options: overlap });
+
+  // Balance: a far more detailed option reads as the favored answer
+  if (options.length >= POLL_MIN_OPTIONS) {
+    const sorted = [...options].sort((a, b) => a.length - b.length);
+    const shortest = sorted[0];
+    const longest = sorted[sorted.length - 1];
+    if (longest.length >= shortest.length * 3 && longest.length - shortest.length >= 12) {
+      issues.push({ id: 'lopsided-options', options: [longest.text, shortest.text] });
+    }
+  }
+
+  const open = options.some(option => OPEN_OPTION_PATTERN.test(option.text));
+  const prompted = REPLY_PROMPT_PATTERN.test(text);
+  if (open && !prompted) issues.push({ id: 'open-option-no-prompt', option: options.find(option => OPEN_OPTION_PATTERN.test(option.text)).text });
+
+  if (Number.isFinite(duration) && duration >= POLL_MIN_MINUTES && duration < POLL_SHORT_MINUTES) {
+    issues.push({ id: 'short-duration', duration });
+  }
+
+  const postable = options.length >= POLL_MIN_OPTIONS && !issues.some(issue => BLOCKING_POLL_ISSUES.includes(issue.id));
+  const signals = [{ signal: 'P(dwell)', weight: 10, reason: 'Poll options keep readers on the post' }];
+  if (postable) {
+    signals.push(
+      { signal: 'P(reply)', weight: 5, reason: 'Voters reply to argue for their pick' },
+      { signal: 'P(quote)', weight: 8, reason: 'People quote polls to share their pick' }
+    );
+    if (open && prompted) signals.push({ signal: 'P(reply)', weight: 8, reason: 'Open option asks voters to reply with their own answer' });
+    if (issues.some(issue => issue.id === 'lopsided-options' || issue.id === 'overlapping-options')) {
+      signals.push({ signal: 'P(reply)', weight: -3, reason: 'Unclear choices put people off voting and replying' });
+    }
+  }
+
+  return { options, duration, open, issues, signals };
+}
+
+// An option whose words are all in another one, e.g. "Yes" and "Yes, later"
+function findOverlap(options) {
+  const words = options.map(option => new Set(tokenize(option.text).map(t => t.word)));
+  for (let i = 0; i < options.length; i++) {
+    for (let j = 0; j < options.length; j++) {
+      if (i === j || !words[i].size || words[i].size >= words[j].size) continue;
+      if ([...words[i]].every(word => words[j].has(word))) return [options[i].text, options[j].text];
+    }
+  }
+  return null;
+}
+
+/**
+ * Poll duration from minutes or a "30m", "6h", "1d" / "1d 12h" string
+ * @param {number|string} value - Duration
+ * @returns {number|null} Minutes, or null when it can't be read
+ */
+export function parsePollDuration(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const text = String(value ?? '').trim().toLowerCase();
+  if (/^\d+$/.test(text)) return Number(text);
+  const parts = [...text.matchAll(/(\d+)\s*(d|h|m)/g)];
+  if (!parts.length || text.replace(/(\d+)\s*(d|h|m)/g, '').trim()) return null;
+  const unit = { d: 24 * 60, h: 60, m: 1 };
+  return parts.reduce((total, [, n, u]) => total + Number(n) * unit[u], 0);
+}
+
+/**
+ * Format a poll duration the way X shows it
+ * @param {number} minutes - Duration
+ * @returns {string} e.g. "1d 6h", "30m"
+ */
+export function formatPollDuration(minutes) {
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor(minutes % (24 * 60) / 60);
+  const rest = minutes % 60;
+  return [days && `${days}d`, hours && `${hours}h`, rest && `${rest}m`].filter(Boolean).join(' ') || '0m';
+}
+
+// ============================================
+// QUOTE POSTS
+// ============================================
+
+/**
+ * Assess quote-post commentary against the quoted post
+ * @param {string} text - Our commentary
+ * @param {Object} quote - { text, author? } the quoted post
+ * @returns {Object} {
+ *   similarity    - 0-1, the higher of cosine and shingle overlap with the quoted post
+ *   novelty       - 0-1 share of our content words the quoted post doesn't use
+ *   words         - Content words in the commentary (stopwords left out)
+ *   adds          - What the commentary brings: 'question', 'reasoning', 'take', 'numbers'
+ *   verdict       - 'adds-value', 'echo', 'thin' or 'low-novelty'
+ *   sharedPhrases - [{ text, start, end }] runs of the commentary copied from the quoted post
+ *   issues        - [{ id, ... }] echo, thin, low-novelty
+ *   signals       - [{ signal, weight, reason }] prediction changes
+ * }
+ */
+export function assessQuote(text, quote = {}) {
+  const quoted = String(quote.text || '');
+  const content = tokenize(text).filter(t => !STOPWORDS.has(t.word));
+  const quotedWords = new Set(tokenize(quoted).map(t => t.word));
+  const novel = content.filter(t => !quotedWords.has(t.word));
+  const novelty = content.length ? round(novel.length / content.length) : 0;
+
+  const [match] = quoted.trim()
+    ? findSimilar(text, buildCorpus([{ id: 'quoted', text: quoted }]), { limit: 1, minSimilarity: 0 })
+    : [];
+  const similarity = match?.similarity ?? 0;
+
+  const adds = Object.keys(VALUE_PATTERNS).filter(key => VALUE_PATTERNS[key].test(text));
+  if (novel.some(t => /\d/.test(t.word))) adds.push('numbers');
+
+  const issues = [];
+  if (similarity >= ECHO_SIMILARITY) issues.push({ id: 'echo', similarity });
+  else if (content.length < MIN_COMMENTARY_WORDS && !adds.length) issues.push({ id: 'thin', words: content.length });
+  else if (novelty < MIN_NOVELTY) issues.push({ id: 'low-novelty', novelty });
+
+  const verdict = issues.length ? issues[0].id : 'adds-value';
+  const signals = [{ signal: 'P(dwell)', weight: 5, reason: 'The quoted post gives readers more to read' }];
+  if (verdict === 'adds-value') {
+    signals.push({ signal: 'P(quote)', weight: 10, reason: 'Commentary adds a take others can quote in turn' });
+    if (adds.includes('question') || adds.includes('take')) {
+      signals.push({ signal: 'P(reply)', weight: 6, reason: 'A take on someone else\'s post draws replies' });
+    }
+  } else if (verdict === 'echo') {
+    signals.push({ signal: 'P(quote)', weight: -5, reason: 'Echoes the quoted post - nothing new to quote' });
+  } else {
+    signals.push({ signal: 'P(quote)', weight: -3, reason: 'Adds little on top of the quoted post' });
+  }
+
+  return {
+    similarity,
+    novelty,
+    words: content.length,
+    adds,
+    verdict,
+    sharedPhrases: match?.sharedPhrases || [],
+    issues,
+    signals
+  };
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function normalize(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default {
+  POLL_MIN_OPTIONS,
+  POLL_MAX_OPTIONS,
+  POLL_OPTION_MAX_LENGTH,
+  POLL_MIN_MINUTES,
+  POLL_MAX_MINUTES,
+  POLL_DEFAULT_MINUTES,
+  ECHO_SIMILARITY,
+  MIN_COMMENTARY_WORDS,
+  assessPoll,
+  parsePollDuration,
+  formatPollDuration,
+  assessQuote
+};
@@ -0,0 +1,251 @@
+/**
+ * Presets
+ *
+ * Composer presets are templates with typed fields instead of raw strings.
+ * A template holds `{field}` placeholders and `{?field}...{/field}` sections
+ * that only render when the field is filled. Lines holding a link field are
+ * routed to the first reply, so the main post stays on-platform.
+ * Presets ship in rule packs (the `presets` section); teams add their own
+ * the same way.
+ */
+
+import { findUrls } from './char-count.js';
+
+// ============================================
+// FORMAT
+// ============================================
+
+/**
+ * Field types a preset may declare
+ *   text   - Free text
+ *   number - A finite number
+ *   link   - A URL; its line goes to the first reply
+ *   item   - One of the field's `options`, e.g. item or set names
+ */
+export const FIELD_TYPES = ['text', 'number', 'link', 'item'];
+
+// Analysis options a preset can preselect
+export const PRESET_MEDIA_TYPES = ['none', 'image', 'video', 'thread'];
+const DEFAULT_KEYS = ['tone', 'goal', 'mediaType'];
+
+const PLACEHOLDER_PATTERN = /\{([a-zA-Z]\w*)\}/g;
+const SECTION_PATTERN = /\{\?([a-zA-Z]\w*)\}([\s\S]*?)\{\/\1\}/g;
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validate one preset
+ * @param {Object} preset - { name, template, fields?, defaults? }
+ * @param {string} at - Path for error messages, e.g. 'presets.gameUpdate'
+ * @returns {Array} Error messages
+ */
+export function validatePreset(preset, at = 'preset') {
+  const errors = [];
+  if (!isObject(preset) || typeof preset.name !== 'string' || typeof preset.template !== 'string') {
+    return [`${at} needs a name and a template`];
+  }
+
+  const keys = templateKeys(preset.template);
+  const unclosed = preset.template.replace(SECTION_PATTERN, '').match(/\{[?/][a-zA-Z]\w*\}/);
+  if (unclosed) errors.push(`${at}.template has an unmatched section tag ${unclosed[0]}`);
+
+  if (preset.fields !== undefined) {
+    if (!isObject(preset.fields)) errors.push(`${at}.fields must be an object of field -> { label, type, required? }`);
+    else {
+      Object.entries(preset.fields).forEach(([key, field]) => {
+        const where = `${at}.fields.${key}`;
+        if (!isObject(field)) {
+          errors.push(`${where} must be an object`);
+          return;
+        }
+        if (!keys.includes(key)) errors.push(`${where} is not used in the template`);
+        if (!FIELD_TYPES.includes(field.type)) errors.push(`${where}.type must be one of ${FIELD_TYPES.join(', ')}`);
+        if (field.type === 'item' && !(Array.isArray(field.options) && field.options.length &&
+          field.options.every(o => typeof o === 'string' && o))) {
+          errors.push(`${where}.options must list the names to pick from`);
+        }
+        ['label', 'placeholder', 'help'].forEach(prop => {
+          if (field[prop] !== undefined && typeof field[prop] !== 'string') errors.push(`${where}.${prop} must be a string`);
+        });
+        if (field.required !== undefined && typeof field.required !== 'boolean') {
+          errors.push(`${where}.required must be true or false`);
+        }
+        if (field.default !== undefined && typeof field.default !== 'string' && !Number.isFinite(field.default)) {
+          errors.push(`${where}.default must be a string or number`);
+        }
+      });
+    }
+  }
+
+  if (preset.defaults !== undefined) {
+    if (!isObject(preset.defaults)) errors.push(`${at}.defaults must be an object`);
+    else {
+      Object.entries(preset.defaults).forEach(([key, value]) => {
+        if (!DEFAULT_KEYS.includes(key)) errors.push(`${at}.defaults.${key} is not a known default (${DEFAULT_KEYS.join(', ')})`);
+        else if (typeof value !== 'string' || !value) errors.push(`${at}.defaults.${key} must be a string`);
+        else if (key === 'mediaType' && !PRESET_MEDIA_TYPES.includes(value)) {
+          errors.push(`${at}.defaults.mediaType must be one of ${PRESET_MEDIA_TYPES.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+// ============================================
+// FIELDS
+// ============================================
+
+/**
+ * The fields a preset's form shows, in template order
+ * Placeholders without a declared field become required text fields
+ * @param {Object} preset - Preset
+ * @returns {Array} [{ key, label, type, required, options, placeholder, help, default, conditional }]
+ *   conditional - The field only appears inside {?field} sections, so leaving it out drops them
+ */
+export function presetFields(preset) {
+  const sections = [...preset.template.matchAll(SECTION_PATTERN)].map(m => m[1]);
+  return templateKeys(preset.template).map(key => {
+    const field = preset.fields?.[key] || {};
+    const conditional = sections.includes(key) && !preset.template.replace(SECTION_PATTERN, '').includes(`{${key}}`);
+    return {
+      key,
+      label: field.label || humanize(key),
+      type: field.type || 'text',
+      required: field.required ?? !conditional,
+      options: field.options || null,
+      placeholder: field.placeholder || '',
+      help: field.help || '',
+      default: field.default ?? '',
+      conditional
+    };
+  });
+}
+
+/**
+ * Starting form values: each field's default, or empty
+ * @param {Object} preset - Preset
+ * @returns {Object} key -> value
+ */
+export function initialValues(preset) {
+  return Object.fromEntries(presetFields(preset).map(field => [field.key, String(field.default)]));
+}
+
+/**
+ * Check form values against the preset's fields
+ * @param {Object} preset - Preset
+ * @param {Object} values - key -> value
+ * @returns {Object} { valid, missing: [keys], errors: { key: message } }
+ */
+export function checkValues(preset, values = {}) {
+  const missing = [];
+  const errors = {};
+  presetFields(preset).forEach(field => {
+    const value = String(values[field.key] ?? '').trim();
+    if (!value) {
+      if (field.required) missing.push(field.key);
+      return;
+    }
+    if (field.type === 'number' && !Number.isFinite(Number(value))) errors[field.key] = `${field.label} must be a number`;
+    if (field.type === 'link' && !isLink(value)) errors[field.key] = `${field.label} must be a URL`;
+    if (field.type === 'item' && !field.options.includes(value)) {
+      errors[field.key] = `${field.label} must be one of ${field.options.join(', ')}`;
+    }
+  });
+  return { valid: !missing.length && !Object.keys(errors).length, missing, errors };
+}
+
+// ============================================
+// FILLING
+// ============================================
+
+/**
+ * Fill a preset's template
+ * Empty fields keep their {placeholder} so the post can't go out unfinished
+ * @param {Object} preset - Preset
+ * @param {Object} values - key -> value
+ * @returns {Object} { text, reply, placeholders, missing, errors, valid }
+ *   reply        - Lines holding a link field, for the first reply (null when there are none)
+ *   placeholders - Placeholder spans left in the text and reply (see findPlaceholders)
+ */
+export function fillPreset(preset, values = {}) {
+  const fields = Object.fromEntries(presetFields(preset).map(field => [field.key, field]));
+  const valueOf = key => String(values[key] ?? '').trim();
+
+  // Sections render only when their field is filled
+  const expanded = preset.template.replace(SECTION_PATTERN, (match, key, body) => valueOf(key) ? body : '');
+
+  const main = [];
+  const reply = [];
+  expanded.split('\n').forEach(line => {
+    const links = [...line.matchAll(PLACEHOLDER_PATTERN)].some(m => fields[m[1]]?.type === 'link');
+    (links ? reply : main).push(line.replace(PLACEHOLDER_PATTERN, (match, key) => valueOf(key) || match));
+  });
+
+  const text = tidy(main.join('\n'));
+  const replyText = tidy(reply.join('\n')) || null;
+  const check = checkValues(preset, values);
+
+  return {
+    text,
+    reply: replyText,
+    placeholders: [...findPlaceholders(text), ...(replyText ? findPlaceholders(replyText) : [])],
+    ...check
+  };
+}
+
+/**
+ * Unfilled {placeholders} in a post
+ * @param {string} text - Post text
+ * @returns {Array} [{ start, end, text, key }]
+ */
+export function findPlaceholders(text) {
+  return [...text.matchAll(PLACEHOLDER_PATTERN)]
+    .map(m => ({ start: m.index, end: m.index + m[0].length, text: m[0], key: m[1] }));
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function templateKeys(template) {
+  return [...new Set([...template.matchAll(/\{\??([a-zA-Z]\w*)\}/g)].map(m => m[1]))];
+}
+
+function isLink(value) {
+  const urls = findUrls(value);
+  return urls.length === 1 && urls[0].start === 0 && urls[0].end === value.length;
+}
+
+// "whatWereWorkingOn" -> "What were working on"
+function humanize(key) {
+  const words = key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ').toLowerCase();
+  return words[0].toUpperCase() + words.slice(1);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function tidy(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export default {
+  FIELD_TYPES,
+  PRESET_MEDIA_TYPES,
+  validatePreset,
+  presetFields,
+  initialValues,
+  checkValues,
+  fillPreset,
+  findPlaceholders
+};
@@ -0,0 +1,582 @@
+/**
+ * Rule Packs
+ *
+ * Detection rules live in JSON-compatible packs instead of the engine:
+ * regex patterns with weights and signals, muted-risk terms, spam limits,
+ * phrase lists, campaign cadence rules, the brand style guide and composer presets.
+ * Packs stack - compileRuleSet merges them by priority into the rule set
+ * analyzePost runs against (`options.rules`). Packs with a `locale` only
+ * apply to drafts in that language, on top of the rest (see localizeRuleSet).
+ */
+
+import corePack from './rule-packs/core.js';
+import crittersQuestPack from './rule-packs/critters-quest.js';
+import esPack from './rule-packs/es.js';
+import ptPack from './rule-packs/pt.js';
+import jaPack from './rule-packs/ja.js';
+import koPack from './rule-packs/ko.js';
+import { validatePreset } from './presets.js';
+
+// ============================================
+// PACK FORMAT
+// ============================================
+
+/**
+ * Pattern groups a pack may fill, and what each rule in the group needs
+ *   signal  - Signal credited for a match (null: every rule names its own)
+ *   signals - Allowed values when rules name their own signal
+ *   weight  - 'positive', 'negative', 'any', or false when the group is unweighted
+ *   risk    - Rules carry a risk level instead of a weight
+ */
+export const RULE_GROUPS = {
+  replyBoosters: { signal: 'P(reply)', weight: 'positive' },
+  clickBoosters: { signal: 'P(click)', weight: 'positive' },
+  favoriteBoosters: { signal: 'P(favorite)', weight: 'positive' },
+  shareBoosters: { signal: 'P(repost)', weight: 'positive' },
+  quoteBoosters: { signal: 'P(quote)', weight: 'positive' },
+  profileClickBoosters: { signal: 'P(profile_click)', weight: 'positive' },
+  dwellBoosters: { signal: 'P(dwell)', weight: 'positive' },
+  followBoosters: { signal: 'P(follow_author)', weight: 'positive' },
+  qualityBoosters: { signal: null, weight: 'any' },
+  negativeTriggers: {
+    signal: null,
+    signals: ['P(not_interested)', 'P(block_author)', 'P(mute_author)', 'P(report)'],
+    weight: 'negative'
+  },
+  mutedRiskPatterns: { signal: 'MutedKeywordFilter risk', weight: false, risk: true },
+  timeSensitive: { signal: 'Timing', weight: 'any' },
+  gmPatterns: { signal: 'Timing', weight: false }
+};
+
+// Spam indicator thresholds (drive P(mute_author))
+const LIMIT_KEYS = ['maxHashtags', 'maxCapsRatio', 'maxWordRepeats'];
+
+// Phrase lists: substring matches, case-insensitive
+const PHRASE_KEYS = ['spam', 'engagementBait', 'curiosity', 'dripFeed', 'disallowed'];
+
+const CAMPAIGN_KEYS = [
+  'cadence', 'contentTiers', 'approvedOpenings', 'formatTypes',
+  'engagementTriggers', 'timing', 'campaignArc'
+];
+
+const STYLE_KEYS = ['canonical', 'banned', 'preferred', 'emoji', 'signOff', 'tones'];
+
+// Sections a locale pack may carry - limits, campaign rules, style and presets are language-neutral
+const LOCALE_SECTIONS = ['patterns', 'phrases'];
+
+const RISK_LEVELS = ['high', 'medium', 'low'];
+const RULE_SCOPES = ['text', 'hook'];
+
+/**
+ * Built-in packs, lowest priority first
+ */
+export const BUILTIN_PACKS = [corePack, crittersQuestPack, esPack, ptPack, jaPack, koPack];
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validate a rule pack against the pack format
+ * @param {Object} pack - Parsed rule pack
+ * @returns {Object} { valid, errors }
+ */
+export function validateRulePack(pack) {
+  const errors = [];
+
+  if (!isObject(pack)) {
+    return { valid: false, errors: ['Pack must be an object'] };
+  }
+
+  if (typeof pack.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(pack.id)) {
+    errors.push('id must be a string of letters, numbers, "-" or "_"');
+  }
+  ['name', 'version', 'description'].forEach(key => {
+    if (pack[key] !== undefined && typeof pack[key] !== 'string') errors.push(`${key} must be a string`);
+  });
+  if (pack.priority !== undefined && !Number.isFinite(pack.priority)) {
+    errors.push('priority must be a number');
+  }
+  if (pack.locale !== undefined) {
+    if (typeof pack.locale !== 'string' || !/^[a-z]{2,3}$/.test(pack.locale)) {
+      errors.push('locale must be a two or three letter language code, e.g. "es"');
+    }
+    ['limits', 'campaign', 'style', 'presets'].forEach(key => {
+      if (pack[key] !== undefined) errors.push(`${key} is not allowed in a locale pack (only ${LOCALE_SECTIONS.join(' and ')})`);
+    });
+  }
+
+  if (pack.patterns !== undefined) validatePatterns(pack.patterns, errors);
+  if (pack.limits !== undefined) validateLimits(pack.limits, errors);
+  if (pack.phrases !== undefined) validatePhrases(pack.phrases, errors);
+  if (pack.campaign !== undefined) validateCampaign(pack.campaign, errors);
+  if (pack.style !== undefined) validateStyle(pack.style, errors);
+  if (pack.presets !== undefined) validatePresets(pack.presets, errors);
+
+  return { valid: errors.length === 0, errors };
+}
+
+function validatePatterns(patterns, errors) {
+  if (!isObject(patterns)) {
+    errors.push('patterns must be an object of rule groups');
+    return;
+  }
+
+  Object.entries(patterns).forEach(([group, rules]) => {
+    const spec = RULE_GROUPS[group];
+    if (!spec) {
+      errors.push(`patterns.${group} is not a known rule group`);
+      return;
+    }
+    if (!Array.isArray(rules)) {
+      errors.push(`patterns.${group} must be an array`);
+      return;
+    }
+
+    const seen = new Set();
+    rules.forEach((rule, i) => {
+      const at = `patterns.${group}[${i}]`;
+      if (!isObject(rule)) {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if (typeof rule.id !== 'string' || !rule.id) errors.push(`${at}.id is required`);
+      else if (seen.has(rule.id)) errors.push(`${at}.id "${rule.id}" is duplicated`);
+      seen.add(rule.id);
+
+      if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+        errors.push(`${at}.enabled must be true or false`);
+      }
+      // A disabled rule only needs its id - it switches off a lower-priority rule
+      if (rule.enabled === false) return;
+
+      if (typeof rule.pattern !== 'string' || !rule.pattern) {
+        errors.push(`${at}.pattern must be a regex source string`);
+      } else if (rule.flags !== undefined && (typeof rule.flags !== 'string' || !/^[gimsuy]*$/.test(rule.flags))) {
+        errors.push(`${at}.flags may only contain g, i, m, s, u, y`);
+      } else {
+        try {
+          new RegExp(rule.pattern, rule.flags);
+        } catch (e) {
+          errors.push(`${at}.pattern is not a valid regex: ${e.message}`);
+        }
+      }
+
+      if (spec.weight) {
+        if (!Number.isFinite(rule.weight)) errors.push(`${at}.weight must be a number`);
+        else if (spec.weight === 'positive' && rule.weight < 0) errors.push(`${at}.weight must be positive`);
+        else if (spec.weight === 'negative' && rule.weight > 0) errors.push(`${at}.weight must be negative`);
+      }
+
+      if (spec.signal === null) {
+        if (typeof rule.signal !== 'string' || !rule.signal) errors.push(`${at}.signal is required`);
+        else if (spec.signals && !spec.signals.includes(rule.signal)) {
+          errors.push(`${at}.signal must be one of ${spec.signals.join(', ')}`);
+        }
+      }
+
+      if (spec.risk && !RISK_LEVELS.includes(rule.risk)) {
+        errors.push(`${at}.risk must be one of ${RISK_LEVELS.join(', ')}`);
+      }
+      if (rule.scope !== undefined && !RULE_SCOPES.includes(rule.scope)) {
+        errors.push(`${at}.scope must be one of ${RULE_SCOPES.join(', ')}`);
+      }
+      if (rule.reason !== undefined && typeof rule.reason !== 'string') {
+        errors.push(`${at}.reason must be a string`);
+      }
+      // Auto-fix hints: terms to swap in for a match, or drop the clause that matched
+      if (rule.replacements !== undefined &&
+        (!isObject(rule.replacements) || !Object.values(rule.replacements).every(v => typeof v === 'string'))) {
+        errors.push(`${at}.replacements must be an object of term -> replacement strings`);
+      }
+      if (rule.strip !== undefined && typeof rule.strip !== 'boolean') {
+        errors.push(`${at}.strip must be true or false`);
+      }
+    });
+  });
+}
+
+function validateLimits(limits, errors) {
+  if (!isObject(limits)) {
+    errors.push('limits must be an object');
+    return;
+  }
+  Object.entries(limits).forEach(([key, value]) => {
+    if (!LIMIT_KEYS.includes(key)) errors.push(`limits.${key} is not a known limit`);
+    else if (!Number.isFinite(value) || value < 0) errors.push(`limits.${key} must be a non-negative number`);
+  });
+}
+
+function validatePhrases(phrases, errors) {
+  if (!isObject(phrases)) {
+    errors.push('phrases must be an object of phrase lists');
+    return;
+  }
+  Object.entries(phrases).forEach(([key, list]) => {
+    if (!PHRASE_KEYS.includes(key)) errors.push(`phrases.${key} is not a known phrase list`);
+    else if (!isStringList(list)) errors.push(`phrases.${key} must be an array of non-empty strings`);
+  });
+}
+
+function validateCampaign(campaign, errors) {
+  if (!isObject(campaign)) {
+    errors.push('campaign must be an object');
+    return;
+  }
+  Object.keys(campaign).forEach(key => {
+    if (!CAMPAIGN_KEYS.includes(key)) errors.push(`campaign.${key} is not a known campaign rule`);
+  });
+
+  const { cadence, contentTiers, approvedOpenings, formatTypes, engagementTriggers, timing, campaignArc } = campaign;
+
+  if (cadence !== undefined) {
+    if (!isObject(cadence)) errors.push('campaign.cadence must be an object');
+    else {
+      ['maxPostsPerWeek', 'minDaysBetweenPosts'].forEach(key => {
+        if (cadence[key] !== undefined && (!Number.isInteger(cadence[key]) || cadence[key] < 0)) {
+          errors.push(`campaign.cadence.${key} must be a non-negative integer`);
+        }
+      });
+      if (cadence.weeklyPattern !== undefined) {
+        if (!isObject(cadence.weeklyPattern)) errors.push('campaign.cadence.weeklyPattern must be an object');
+        else {
+          Object.entries(cadence.weeklyPattern).forEach(([slot, entry]) => {
+            if (!isObject(entry) || !isStringList(entry.days) || typeof entry.role !== 'string') {
+              errors.push(`campaign.cadence.weeklyPattern.${slot} needs days (strings) and a role`);
+            }
+          });
+        }
+      }
+    }
+  }
+
+  if (contentTiers !== undefined) {
+    if (!isObject(contentTiers)) errors.push('campaign.contentTiers must be an object');
+    else {
+      Object.entries(contentTiers).forEach(([tier, entry]) => {
+        if (!isObject(entry) || !isStringList(entry.types)) {
+          errors.push(`campaign.contentTiers.${tier}.types must be an array of strings`);
+        }
+      });
+    }
+  }
+
+  if (approvedOpenings !== undefined && !isStringList(approvedOpenings)) {
+    errors.push('campaign.approvedOpenings must be an array of strings');
+  }
+  if (engagementTriggers !== undefined && !isStringList(engagementTriggers)) {
+    errors.push('campaign.engagementTriggers must be an array of strings');
+  }
+  if (formatTypes !== undefined && !(Array.isArray(formatTypes) &&
+    formatTypes.every(f => isObject(f) && typeof f.id === 'string' && typeof f.name === 'string'))) {
+    errors.push('campaign.formatTypes must be an array of { id, name }');
+  }
+  if (timing !== undefined && !(isObject(timing) && Object.values(timing).every(v => typeof v === 'string'))) {
+    errors.push('campaign.timing must be an object of strings');
+  }
+  if (campaignArc !== undefined && !(Array.isArray(campaignArc) &&
+    campaignArc.every(a => isObject(a) && typeof a.weeks === 'string' && typeof a.focus === 'string'))) {
+    errors.push('campaign.campaignArc must be an array of { weeks, focus }');
+  }
+}
+
+function validateStyle(style, errors) {
+  if (!isObject(style)) {
+    errors.push('style must be an object');
+    return;
+  }
+  Object.keys(style).forEach(key => {
+    if (!STYLE_KEYS.includes(key)) errors.push(`style.${key} is not a known style rule`);
+  });
+
+  const { canonical, banned, preferred, emoji, signOff, tones } = style;
+
+  if (canonical !== undefined && !(Array.isArray(canonical) &&
+    canonical.every(c => isObject(c) && isTerm(c.term) && (c.variants === undefined || isStringList(c.variants))))) {
+    errors.push('style.canonical must be an array of { term, variants? }');
+  }
+  if (banned !== undefined) validateTermList(banned, 'style.banned', errors);
+  if (preferred !== undefined && !(Array.isArray(preferred) &&
+    preferred.every(p => isObject(p) && isTerm(p.term) && isStringList(p.instead)))) {
+    errors.push('style.preferred must be an array of { term, instead: [terms] }');
+  }
+
+  if (emoji !== undefined) {
+    if (!isObject(emoji)) errors.push('style.emoji must be an object');
+    else {
+      if (emoji.allowed !== undefined && !isStringList(emoji.allowed)) errors.push('style.emoji.allowed must be an array of emoji');
+      if (emoji.max !== undefined && (!Number.isInteger(emoji.max) || emoji.max < 0)) errors.push('style.emoji.max must be a non-negative integer');
+    }
+  }
+
+  if (signOff !== undefined && !(isObject(signOff) && isStringList(signOff.phrases) &&
+    (signOff.tones === undefined || isStringList(signOff.tones)))) {
+    errors.push('style.signOff must be { phrases, tones? }');
+  }
+
+  if (tones !== undefined) {
+    if (!isObject(tones)) errors.push('style.tones must be an object of tone -> { banned, reason? }');
+    else {
+      Object.entries(tones).forEach(([tone, entry]) => {
+        if (!isObject(entry)) errors.push(`style.tones.${tone} must be an object`);
+        else {
+          validateTermList(entry.banned, `style.tones.${tone}.banned`, errors);
+          if (entry.reason !== undefined && typeof entry.reason !== 'string') errors.push(`style.tones.${tone}.reason must be a string`);
+        }
+      });
+    }
+  }
+}
+
+// Plain terms, or { term, replacement?, reason? } to suggest a swap
+function validateTermList(list, at, errors) {
+  const valid = Array.isArray(list) && list.every(entry => isTerm(entry) || (isObject(entry) && isTerm(entry.term) &&
+    (entry.replacement === undefined || typeof entry.replacement === 'string') &&
+    (entry.reason === undefined || typeof entry.reason === 'string')));
+  if (!valid) errors.push(`${at} must be an array of terms or { term, replacement?, reason? }`);
+}
+
+function validatePresets(presets, errors) {
+  if (!isObject(presets)) {
+    errors.push('presets must be an object');
+    return;
+  }
+  Object.entries(presets).forEach(([key, preset]) => {
+    errors.push(...validatePreset(preset, `presets.${key}`));
+  });
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string' && v.length > 0);
+}
+
+function isTerm(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// ============================================
+// IMPORT / EXPORT
+// ============================================
+
+/**
+ * Parse and validate a rule pack from JSON
+ * @param {string} json - Rule pack JSON
+ * @returns {Object} The rule pack
+ */
+export function parseRulePack(json) {
+  let pack;
+  try {
+    pack = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Rule pack is not valid JSON: ${e.message}`);
+  }
+
+  const { valid, errors } = validateRulePack(pack);
+  if (!valid) {
+    throw new Error(`Invalid rule pack${typeof pack?.id === 'string' ? ` "${pack.id}"` : ''}: ${errors.join('; ')}`);
+  }
+  return pack;
+}
+
+/**
+ * Serialize a rule pack to JSON
+ * @param {Object} pack - Rule pack
+ * @returns {string} Pretty-printed JSON
+ */
+export function exportRulePack(pack) {
+  return JSON.stringify(pack, null, 2);
+}
+
+// ============================================
+// LOADER
+// ============================================
+
+/**
+ * Merge rule packs into the rule set analyzePost runs against
+ *
+ * Packs apply in ascending priority, so higher priorities win:
+ * - Pattern rules are keyed by group + id; a later rule with the same id replaces
+ *   the earlier one, and `enabled: false` removes it
+ * - Limits, campaign sections, style sections and presets are overridden key by key
+ * - Phrase lists are combined
+ * - Locale packs merge the same way, per locale, into `locales`
+ *
+ * @param {Array} packs - Rule packs (validated here)
+ * @returns {Object} { packs, patterns, limits, limitSources, phrases, campaign, campaignPack, style, stylePack, presets, locales }
+ *   where locales maps a language code to { packs, patterns, phrases }
+ */
+export function compileRuleSet(packs = BUILTIN_PACKS) {
+  packs.forEach(pack => {
+    const { valid, errors } = validateRulePack(pack);
+    if (!valid) {
+      throw new Error(`Invalid rule pack${typeof pack?.id === 'string' ? ` "${pack.id}"` : ''}: ${errors.join('; ')}`);
+    }
+  });
+
+  // Stable sort keeps load order for packs of equal priority
+  const ordered = packs
+    .map((pack, order) => ({ pack, order }))
+    .sort((a, b) => (a.pack.priority || 0) - (b.pack.priority || 0) || a.order - b.order)
+    .map(({ pack }) => pack);
+
+  const base = ordered.filter(pack => !pack.locale);
+  const limits = {};
+  const limitSources = {};
+  const presets = {};
+  let campaign = null;
+  let campaignPack = null;
+  let style = null;
+  let stylePack = null;
+
+  base.forEach(pack => {
+    Object.entries(pack.limits || {}).forEach(([key, value]) => {
+      limits[key] = value;
+      limitSources[key] = pack.id;
+    });
+
+    if (pack.campaign) {
+      campaign = { ...campaign, ...pack.campaign };
+      campaignPack = pack.id;
+    }
+
+    if (pack.style) {
+      style = { ...style, ...pack.style };
+      stylePack = pack.id;
+    }
+
+    Object.entries(pack.presets || {}).forEach(([key, preset]) => {
+      presets[key] = { ...preset, pack: pack.id };
+    });
+  });
+
+  const locales = {};
+  ordered.filter(pack => pack.locale).forEach(pack => {
+    locales[pack.locale] = [...(locales[pack.locale] || []), pack];
+  });
+
+  return {
+    packs: base.map(packSummary),
+    patterns: mergePatterns(base),
+    limits,
+    limitSources,
+    phrases: mergePhrases(base),
+    campaign,
+    campaignPack,
+    style,
+    stylePack,
+    presets,
+    locales: Object.fromEntries(Object.entries(locales).map(([locale, localePacks]) => [locale, {
+      packs: localePacks.map(packSummary),
+      patterns: mergePatterns(localePacks),
+      phrases: mergePhrases(localePacks)
+    }]))
+  };
+}
+
+function packSummary({ id, name, version, priority, locale }) {
+  return { id, name: name || id, version: version || null, priority: priority || 0, ...(locale && { locale }) };
+}
+
+// Rules keyed by group + id, so later packs replace or disable earlier rules
+function mergePatterns(packs) {
+  const patterns = Object.fromEntries(Object.keys(RULE_GROUPS).map(group => [group, new Map()]));
+  packs.forEach(pack => {
+    Object.entries(pack.patterns || {}).forEach(([group, rules]) => {
+      rules.forEach(rule => {
+        if (rule.enabled === false) {
+          patterns[group].delete(rule.id);
+          return;
+        }
+        patterns[group].set(rule.id, compileRule(rule, group, pack));
+      });
+    });
+  });
+  return Object.fromEntries(Object.entries(patterns).map(([group, rules]) => [group, [...rules.values()]]));
+}
+
+function mergePhrases(packs) {
+  const phrases = Object.fromEntries(PHRASE_KEYS.map(key => [key, []]));
+  packs.forEach(pack => {
+    Object.entries(pack.phrases || {}).forEach(([key, list]) => {
+      list.forEach(value => {
+        if (!phrases[key].some(p => p.value.toLowerCase() === value.toLowerCase())) {
+          phrases[key].push({ value, pack: pack.id });
+        }
+      });
+    });
+  });
+  return phrases;
+}
+
+function compileRule(rule, group, pack) {
+  // Global / sticky flags make RegExp#test stateful, so they are dropped
+  const flags = (rule.flags || '').replace(/[gy]/g, '');
+  return {
+    id: rule.id,
+    pack: pack.id,
+    locale: pack.locale || null,
+    regex: new RegExp(rule.pattern, flags),
+    weight: rule.weight,
+    signal: rule.signal || RULE_GROUPS[group].signal,
+    risk: rule.risk,
+    scope: rule.scope || 'text',
+    reason: rule.reason || rule.id,
+    replacements: rule.replacements &&
+      Object.fromEntries(Object.entries(rule.replacements).map(([term, value]) => [term.toLowerCase(), value])),
+    strip: rule.strip || false
+  };
+}
+
+/**
+ * The built-in packs, compiled
+ */
+export const DEFAULT_RULE_SET = compileRuleSet(BUILTIN_PACKS);
+
+// ============================================
+// LOCALES
+// ============================================
+
+const localized = new WeakMap();
+
+/**
+ * The rule set for a draft in one language: the locale's rules and phrases run
+ * alongside the language-neutral ones (English loanwords still match)
+ * @param {Object} rules - Compiled rule set
+ * @param {string} locale - Language code from detectLanguage
+ * @returns {Object} The rule set with the locale merged in and `localePacks` listing
+ *   the locale packs applied (empty when no pack covers the language); a rule set
+ *   that is already localized comes back unchanged
+ */
+export function localizeRuleSet(rules, locale) {
+  // Already localized
+  if (rules.localePacks) return rules;
+  const entry = rules.locales?.[locale];
+  if (!entry) return { ...rules, localePacks: [] };
+
+  if (!localized.has(rules)) localized.set(rules, new Map());
+  const cache = localized.get(rules);
+  if (!cache.has(locale)) {
+    cache.set(locale, {
+      ...rules,
+      patterns: Object.fromEntries(Object.entries(rules.patterns).map(([group, list]) => [group, [...list, ...entry.patterns[group]]])),
+      phrases: Object.fromEntries(Object.entries(rules.phrases).map(([key, list]) => [key, [...list, ...entry.phrases[key]]])),
+      localePacks: entry.packs
+    });
+  }
+  return cache.get(locale);
+}
+
+export default {
+  RULE_GROUPS,
+  BUILTIN_PACKS,
+  DEFAULT_RULE_SET,
+  validateRulePack,
+  parseRulePack,
+  exportRulePack,
+  compileRuleSet,
+  localizeRuleSet
+};
@@ -0,0 +1,101 @@
+/**
+ * Core Rule Pack
+ *
+ * Signal patterns derived from the xai-org/x-algorithm spec.
+ * Plain JSON data - export it from the app to use as a starting point for new packs.
+ */
+
+export default {
+  id: 'core',
+  name: 'Core X Signals',
+  version: '1.0.0',
+  priority: 0,
+  description: 'Phoenix prediction boosters, negative triggers, muted-keyword risks and spam limits',
+
+  patterns: {
+    replyBoosters: [
+      { id: 'question', pattern: '\\?', weight: 12, reason: 'Questions trigger reply behavior' },
+      { id: 'conversation-invite', pattern: '\\b(what do you think|thoughts\\?|agree\\?|disagree\\?)\\b', flags: 'i', weight: 8, reason: 'Direct conversation invitations' },
+      { id: 'debate-starter', pattern: '\\b(hot take|unpopular opinion)\\b', flags: 'i', weight: 6, reason: 'Debate-starting language' }
+    ],
+
+    clickBoosters: [
+      { id: 'cta-verbs', pattern: '\\b(check out|try|join|see|discover|explore|grab|get|claim|learn more)\\b', flags: 'i', weight: 8, reason: 'Call-to-action verbs' },
+      { id: 'link-reference', pattern: '\\b(link in bio|link below)\\b', flags: 'i', weight: 5, reason: 'Link reference' }
+    ],
+
+    favoriteBoosters: [
+      { id: 'emotional-resonance', pattern: '\\b(excited|huge|incredible|amazing|finally|love)\\b', flags: 'i', weight: 7, reason: 'Emotional resonance' },
+      { id: 'emoji', pattern: '[\\u{1F300}-\\u{1F9FF}]', flags: 'u', weight: 4, reason: 'Emoji engagement' }
+    ],
+
+    shareBoosters: [
+      { id: 'educational', pattern: '\\b(thread|breakdown|guide|tips|how to)\\b', flags: 'i', weight: 8, reason: 'Shareable educational content' },
+      { id: 'news', pattern: '\\b(announcement|introducing|launching|releasing)\\b', flags: 'i', weight: 6, reason: 'News-worthy content' }
+    ],
+
+    quoteBoosters: [
+      { id: 'opinion', pattern: '\\b(hot take|unpopular opinion|change my mind|controversial)\\b', flags: 'i', weight: 10, reason: 'Opinions invite quote commentary' },
+      { id: 'comparison', pattern: '\\b(which would you|pick one|this or that|vs\\.?)\\b', flags: 'i', weight: 6, reason: 'Comparisons invite quoted picks' }
+    ],
+
+    profileClickBoosters: [
+      { id: 'profile-pointer', pattern: '\\b(link in bio|follow along|on our page)\\b', flags: 'i', weight: 8, reason: 'Points readers to the profile' },
+      { id: 'builder-identity', pattern: '\\b(building|shipping|behind the scenes|devlog)\\b', flags: 'i', weight: 5, reason: 'Builder identity draws profile visits' }
+    ],
+
+    dwellBoosters: [
+      { id: 'curiosity', pattern: '\\b(secret|hidden|mystery|discover|reveal|unlock|lore|story)\\b', flags: 'i', weight: 10, reason: 'Curiosity keeps readers on the post' },
+      { id: 'line-breaks', pattern: '\\n\\s*\\n', weight: 5, reason: 'Line breaks make the post easier to read through' }
+    ],
+
+    followBoosters: [
+      { id: 'community-language', pattern: '\\b(we|our|community|fam|frens)\\b', flags: 'i', weight: 6, reason: 'Community language' },
+      { id: 'gm-culture', pattern: '\\bgm\\b', flags: 'i', weight: 4, reason: 'GM culture participation' },
+      { id: 'builder-credibility', pattern: '\\b(building|shipping|working on)\\b', flags: 'i', weight: 5, reason: 'Builder credibility' }
+    ],
+
+    qualityBoosters: [
+      { id: 'informational', pattern: '\\b(new|update|launch|feature|announcing|introducing)\\b', flags: 'i', weight: 10, signal: 'Content value', reason: 'Informational content' },
+      { id: 'specificity', pattern: '\\d+', weight: 8, signal: 'Specificity', reason: 'Contains specific numbers/data' },
+      { id: 'strong-opener', pattern: '^(NEW|BREAKING|HUGE|FINALLY|JUST|INTRODUCING)', flags: 'i', weight: 8, signal: 'Hook strength', scope: 'hook', reason: 'Strong opening word' }
+    ],
+
+    negativeTriggers: [
+      { id: 'hard-sell', pattern: '\\b(buy now|limited time|act now|dont miss)\\b', flags: 'i', weight: -15, signal: 'P(not_interested)', reason: 'Hard sell language', strip: true },
+      { id: 'scam-language', pattern: '\\b(100x|guaranteed|free money|get rich)\\b', flags: 'i', weight: -20, signal: 'P(report)', reason: 'Scam-associated language' },
+      { id: 'engagement-bait', pattern: '\\b(like if|rt if|retweet to|follow for|drop a)\\b', flags: 'i', weight: -12, signal: 'P(not_interested)', reason: 'Engagement bait', strip: true },
+      { id: 'dm-solicitation', pattern: '\\b(dm me|dm for|send me your)\\b', flags: 'i', weight: -10, signal: 'P(block_author)', reason: 'Unsolicited DM solicitation' }
+    ],
+
+    mutedRiskPatterns: [
+      { id: 'crypto-terms', pattern: '\\b(airdrop|whitelist|presale|nfts?|crypto)\\b', flags: 'i', risk: 'high', reason: 'Commonly muted crypto terms',
+        replacements: { whitelist: 'early access', airdrop: 'reward drop', presale: 'pre-order' } },
+      { id: 'nft-jargon', pattern: '\\b(mint price|floor price|paper hands|diamond hands)\\b', flags: 'i', risk: 'medium', reason: 'NFT jargon',
+        replacements: { 'mint price': 'price', 'floor price': 'price', 'paper hands': 'quick flippers', 'diamond hands': 'die-hard fans' } }
+    ],
+
+    timeSensitive: [
+      { id: 'time-sensitive', pattern: '\\b(today|tonight|now|just|breaking|happening|live)\\b', flags: 'i', weight: 15, reason: 'Time-sensitive language' },
+      { id: 'forward-tease', pattern: '\\b(tomorrow|this week|coming soon|next week)\\b', flags: 'i', weight: 5, reason: 'Forward tease sets up a follow-up' }
+    ],
+
+    gmPatterns: [
+      { id: 'gm', pattern: '\\b(gm|good morning)\\b', flags: 'i', reason: 'GM post format' }
+    ]
+  },
+
+  // Thresholds for the spam indicators
+  limits: {
+    maxHashtags: 3,
+    maxCapsRatio: 0.5,
+    maxWordRepeats: 3
+  },
+
+  // Phrase lists for the live composer tips
+  phrases: {
+    spam: ['guaranteed', '100x', '1000x', 'dont miss', "don't miss", 'last chance', 'act now', 'limited time'],
+    engagementBait: ['like if', 'rt if', 'retweet if', 'follow for', 'like and'],
+    curiosity: ['secret', 'hidden', 'discover', 'reveal', 'surprise', 'mystery', 'unlock', 'exclusive']
+  }
+};
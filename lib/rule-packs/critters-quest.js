@@ -0,0 +1,202 @@
+/**
+ * Critters Quest Rule Pack
+ *
+ * Item reveal campaign: cadence, content tiers, disallowed drip-feed
+ * phrasing, format rotation, the brand style guide and composer presets.
+ */
+
+export default {
+  id: 'critters-quest',
+  name: 'Critters Quest Campaign',
+  version: '1.0.0',
+  priority: 10,
+  description: 'Item reveal campaign rules, brand style guide and post presets',
+
+  phrases: {
+    // Phrases that signal drip-feed, checked by the campaign validator
+    disallowed: [
+      'Item #1', 'Item #', 'daily reveal', 'first of many', 'day 1', 'day one',
+      'reveal #', 'drop #', 'today we reveal', 'another reveal'
+    ],
+    // Softer drip-feed hints for the live composer tips
+    dripFeed: ['item #', 'day 1', 'day 2', 'first of', 'daily reveal', '1 of', '2 of', 'first in']
+  },
+
+  campaign: {
+    // Cadence constraints - prevent daily spam
+    cadence: {
+      maxPostsPerWeek: 3,
+      minDaysBetweenPosts: 2,
+      weeklyPattern: {
+        anchor: { days: ['Monday', 'Tuesday'], role: 'Anchor Reveal (Set / Theme)' },
+        deepCut: { days: ['Thursday'], role: 'Deep Cut (1-2 items, lore or mechanics)' },
+        community: { days: ['Saturday'], role: 'Community Hook (poll / choice / guess)', optional: true }
+      }
+    },
+
+    // Content hierarchy - enforced tiers
+    contentTiers: {
+      tier1: {
+        name: 'Anchor Drops',
+        types: ['full sets', 'legendary collections', 'town skins', 'Dragon Gear', 'The Ultimate Nightmare'],
+        treatment: 'Prime time, strongest hooks, clean copy',
+        standalone: true
+      },
+      tier2: {
+        name: 'Supporting Drops',
+        types: ['weapons', 'shields', 'variants', 'individual items'],
+        treatment: 'Must attach to an Anchor week',
+        standalone: false,
+        warning: 'No standalone hype posts allowed for Tier 2 items'
+      }
+    },
+
+    // Approved opening angles
+    approvedOpenings: [
+      'This is what the Gacha Wheel has been hiding.',
+      'The vault opens.',
+      'What lies beneath the surface.',
+      'Some things were meant to be discovered.',
+      'The collection grows.'
+    ],
+
+    // Format rotation - prevent repetition
+    formatTypes: [
+      { id: 'statement', name: 'Statement reveal', example: 'Direct announcement of item/set' },
+      { id: 'question', name: 'Question-led reveal', example: 'What would you do with unlimited power?' },
+      { id: 'comparison', name: 'Comparison', example: 'Which would you spin for?' },
+      { id: 'lore', name: 'Lore tease', example: 'Story/background of the item' },
+      { id: 'mechanics', name: 'Mechanics tease', example: 'Hidden stats / silhouettes' },
+      { id: 'prediction', name: 'Community prediction', example: 'Guess what drops next' }
+    ],
+
+    // Required engagement triggers
+    engagementTriggers: [
+      'choice', 'guess', 'comparison', 'forward tease', 'poll', 'question'
+    ],
+
+    // Timing rules (5pm EST event sync)
+    timing: {
+      primaryPost: '5pm EST',
+      followUp: '30-60 min after primary',
+      nextDayBoost: 'Reply or quote next day to reset discovery'
+    },
+
+    // Campaign arc (60-90 days)
+    campaignArc: [
+      { weeks: '1-3', focus: 'Core sets (value anchoring)' },
+      { weeks: '4-6', focus: 'Variants + weapons' },
+      { weeks: '7-9', focus: 'Skins + town aesthetics' },
+      { weeks: 'ongoing', focus: 'Legendary callbacks + comparisons' }
+    ]
+  },
+
+  // Brand voice - scored as its own scorecard section and sent with every AI prompt
+  style: {
+    canonical: [
+      { term: 'Critters Quest', variants: ['Critter Quest', 'Critters Quests'] },
+      { term: 'Gacha Wheel' },
+      { term: 'Dragon Gear' },
+      { term: 'Ultimate Nightmare' }
+    ],
+    banned: [
+      { term: 'NFT', replacement: 'collectible', reason: 'items are collectibles, not tokens' },
+      { term: 'NFTs', replacement: 'collectibles', reason: 'items are collectibles, not tokens' },
+      { term: 'loot box', replacement: 'Gacha Wheel', reason: 'the wheel is how items drop' },
+      { term: 'pay to win', reason: 'never frame items as power for money' }
+    ],
+    preferred: [
+      { term: 'players', instead: ['users', 'customers'] },
+      { term: 'collection', instead: ['inventory dump'] }
+    ],
+    emoji: {
+      allowed: ['🐾', '✨', '🐉', '🎡', '🗝️', '🏰', '👀', '🔥'],
+      max: 2
+    },
+    signOff: {
+      phrases: ['The story deepens.', 'The vault remembers.'],
+      tones: ['lore']
+    },
+    tones: {
+      lore: {
+        banned: ['insane', 'huge', 'massive', 'epic', 'hype', 'LFG', 'game-changing', 'biggest', 'don\'t miss'],
+        reason: 'lore stays in-world, no hype'
+      },
+      GM: {
+        banned: ['buy', 'sale', 'limited time'],
+        reason: 'GM posts are for the community, not selling'
+      }
+    }
+  },
+
+  // Composer presets - typed fields fill the template, link lines go to the first reply (see presets.js)
+  presets: {
+    gameUpdate: {
+      name: 'Game Update',
+      template: 'Just shipped: {feature}\n\n{details}\n\n{?link}Play now: {link}{/link}',
+      fields: {
+        feature: { label: 'Feature', type: 'text', required: true, placeholder: 'Guild halls' },
+        details: { label: 'What changed', type: 'text', required: true, placeholder: 'Build a hall with your guild and share the loot' },
+        link: { label: 'Link', type: 'link', required: false, placeholder: 'https://critters.quest/patch-notes' }
+      },
+      defaults: { tone: 'announcement', goal: 'traffic', mediaType: 'image' }
+    },
+    itemReveal: {
+      name: 'Item Reveal',
+      template: '{opening}\n\nThe {item} joins the collection.{?pieces} {pieces} pieces, one set.{/pieces}\n\n{question}',
+      fields: {
+        opening: {
+          label: 'Opening',
+          type: 'item',
+          required: true,
+          options: [
+            'This is what the Gacha Wheel has been hiding.',
+            'The vault opens.',
+            'What lies beneath the surface.',
+            'Some things were meant to be discovered.',
+            'The collection grows.'
+          ]
+        },
+        item: { label: 'Item or set', type: 'item', required: true, options: ['Dragon Gear', 'Ultimate Nightmare', 'Ember Fox set', 'Moonlit Town skin'] },
+        pieces: { label: 'Pieces in the set', type: 'number', required: false },
+        question: { label: 'Engagement question', type: 'text', required: true, default: 'Which would you spin for?' }
+      },
+      defaults: { tone: 'announcement', goal: 'engagement', mediaType: 'image' }
+    },
+    loreDrop: {
+      name: 'Lore Drop',
+      template: 'New lore unlocked...\n\n{teaser}\n\nThe story deepens.',
+      fields: {
+        teaser: { label: 'Teaser', type: 'text', required: true, placeholder: 'Before the vault was sealed, one critter stayed behind.' }
+      },
+      defaults: { tone: 'lore', goal: 'engagement', mediaType: 'image' }
+    },
+    communityGM: {
+      name: 'Community GM',
+      template: 'gm Critters\n\n{message}\n\nWhat are you working on today?',
+      fields: {
+        message: { label: 'Message', type: 'text', required: true, placeholder: 'Double drop rates on the Gacha Wheel all weekend' }
+      },
+      defaults: { tone: 'GM', goal: 'engagement', mediaType: 'none' }
+    },
+    announcement: {
+      name: 'Big Announcement',
+      template: '{headline}\n\n{details}{?benefit}\n\nThis changes everything for {benefit}{/benefit}',
+      fields: {
+        headline: { label: 'Headline', type: 'text', required: true },
+        details: { label: 'Details', type: 'text', required: true },
+        benefit: { label: 'Who it changes things for', type: 'text', required: false, placeholder: 'solo players' }
+      },
+      defaults: { tone: 'announcement', goal: 'awareness', mediaType: 'video' }
+    },
+    behindScenes: {
+      name: 'Behind the Scenes',
+      template: 'Building in public\n\n{whatWereWorkingOn}\n\nThoughts on {question}?',
+      fields: {
+        whatWereWorkingOn: { label: 'What we\'re working on', type: 'text', required: true },
+        question: { label: 'Ask about', type: 'text', required: true, placeholder: 'the new crafting UI' }
+      },
+      defaults: { tone: 'educational', goal: 'follows', mediaType: 'image' }
+    }
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ * Spanish Rule Pack
+ *
+ * Reply, CTA, bait, scam and muted-term patterns for drafts in Spanish.
+ * `\b` only knows ASCII letters, so words are bounded with Unicode lookarounds.
+ */
+
+export default {
+  id: 'locale-es',
+  name: 'Español',
+  version: '1.0.0',
+  priority: 0,
+  locale: 'es',
+  description: 'Spanish signal patterns, applied when the draft is in Spanish',
+
+  patterns: {
+    replyBoosters: [
+      { id: 'question-open', pattern: '¿', weight: 4, reason: 'Opening ¿ flags the question from the first word' },
+      { id: 'conversation-invite', pattern: '(?<![\\p{L}\\p{N}])(qué opinas|qué opinan|qué piensas|estás de acuerdo|cuéntanos|dinos|y tú qué)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 8, reason: 'Direct conversation invitations' },
+      { id: 'debate-starter', pattern: '(?<![\\p{L}\\p{N}])(opinión impopular|opinión polémica)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 6, reason: 'Debate-starting language' }
+    ],
+
+    clickBoosters: [
+      { id: 'cta-verbs', pattern: '(?<![\\p{L}\\p{N}])(descubre|únete|prueba|mira|explora|consigue|reclama|echa un vistazo|más información)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 8, reason: 'Call-to-action verbs' },
+      { id: 'link-reference', pattern: '(?<![\\p{L}\\p{N}])((enlace|link) en (la )?bio|enlace abajo)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 5, reason: 'Link reference' }
+    ],
+
+    favoriteBoosters: [
+      { id: 'emotional-resonance', pattern: '(?<![\\p{L}\\p{N}])(increíble|emocionad[oa]s?|por fin|enorme|me encanta|nos encanta|brutal)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 7, reason: 'Emotional resonance' }
+    ],
+
+    shareBoosters: [
+      { id: 'educational', pattern: '(?<![\\p{L}\\p{N}])(hilo|guía|consejos|tutorial|paso a paso)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 8, reason: 'Shareable educational content' },
+      { id: 'news', pattern: '(?<![\\p{L}\\p{N}])(anuncio|presentamos|lanzamos|ya disponible)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 6, reason: 'News-worthy content' }
+    ],
+
+    dwellBoosters: [
+      { id: 'curiosity', pattern: '(?<![\\p{L}\\p{N}])(secreto|oculto|misterio|descubre|revela|desbloquea|historia)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 10, reason: 'Curiosity keeps readers on the post' }
+    ],
+
+    followBoosters: [
+      { id: 'community-language', pattern: '(?<![\\p{L}\\p{N}])(nosotros|nuestr[oa]s?|comunidad|familia)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 6, reason: 'Community language' }
+    ],
+
+    negativeTriggers: [
+      { id: 'hard-sell', pattern: '(?<![\\p{L}\\p{N}])(compra ya|compra ahora|tiempo limitado|última oportunidad|no te lo pierdas)(?![\\p{L}\\p{N}])', flags: 'iu', weight: -15, signal: 'P(not_interested)', reason: 'Hard sell language', strip: true },
+      { id: 'scam-language', pattern: '(?<![\\p{L}\\p{N}])(dinero gratis|garantizad[oa]s?|hazte rico|hacerte rico)(?![\\p{L}\\p{N}])', flags: 'iu', weight: -20, signal: 'P(report)', reason: 'Scam-associated language' },
+      { id: 'engagement-bait', pattern: '(?<![\\p{L}\\p{N}])(dale like si|like si|rt si|comparte si|sígueme para|etiqueta a)(?![\\p{L}\\p{N}])', flags: 'iu', weight: -12, signal: 'P(not_interested)', reason: 'Engagement bait', strip: true },
+      { id: 'dm-solicitation', pattern: '(?<![\\p{L}\\p{N}])(escríbeme al (dm|md)|(dm|md) para|mándame tu|envíame tu)(?![\\p{L}\\p{N}])', flags: 'iu', weight: -10, signal: 'P(block_author)', reason: 'Unsolicited DM solicitation' }
+    ],
+
+    mutedRiskPatterns: [
+      { id: 'crypto-terms', pattern: '(?<![\\p{L}\\p{N}])(lista blanca|preventa)(?![\\p{L}\\p{N}])', flags: 'iu', risk: 'high', reason: 'Commonly muted crypto terms',
+        replacements: { 'lista blanca': 'acceso anticipado', preventa: 'reserva' } }
+    ],
+
+    timeSensitive: [
+      { id: 'time-sensitive', pattern: '(?<![\\p{L}\\p{N}])(hoy|esta noche|ahora mismo|en directo|en vivo|última hora)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 15, reason: 'Time-sensitive language' },
+      { id: 'forward-tease', pattern: '(?<![\\p{L}\\p{N}])(mañana|esta semana|muy pronto|próximamente)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 5, reason: 'Forward tease sets up a follow-up' }
+    ],
+
+    gmPatterns: [
+      { id: 'gm', pattern: '(?<![\\p{L}\\p{N}])buen(os)? días(?![\\p{L}\\p{N}])', flags: 'iu', reason: 'GM post format' }
+    ]
+  },
+
+  phrases: {
+    spam: ['garantizado', 'dinero gratis', 'última oportunidad', 'no te lo pierdas', 'tiempo limitado', 'compra ya'],
+    engagementBait: ['dale like si', 'rt si', 'comparte si', 'sígueme para', 'etiqueta a'],
+    curiosity: ['secreto', 'oculto', 'descubre', 'misterio', 'revela', 'sorpresa', 'exclusivo', 'desbloquea']
+  }
+};
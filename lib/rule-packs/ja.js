@@ -0,0 +1,71 @@
+/**
+ * Japanese Rule Pack
+ *
+ * Reply, CTA, bait, scam and muted-term patterns for drafts in Japanese.
+ * Japanese has no spaces between words, so patterns are plain substrings.
+ */
+
+export default {
+  id: 'locale-ja',
+  name: '日本語',
+  version: '1.0.0',
+  priority: 0,
+  locale: 'ja',
+  description: 'Japanese signal patterns, applied when the draft is in Japanese',
+
+  patterns: {
+    replyBoosters: [
+      { id: 'question', pattern: '？', weight: 12, reason: 'Questions trigger reply behavior' },
+      { id: 'conversation-invite', pattern: '(どう思い?ますか|どう思う|教えてください|教えて|皆さんは|みんなは)', weight: 8, reason: 'Direct conversation invitations' }
+    ],
+
+    clickBoosters: [
+      { id: 'cta-verbs', pattern: '(チェックして|詳しくは|参加して|試してみて|ゲットして|こちらから)', weight: 8, reason: 'Call-to-action verbs' },
+      { id: 'link-reference', pattern: '(プロフのリンク|リンクはプロフ|リプ欄にリンク)', weight: 5, reason: 'Link reference' }
+    ],
+
+    favoriteBoosters: [
+      { id: 'emotional-resonance', pattern: '(ついに|最高|楽しみ|嬉しい|すごい|待望)', weight: 7, reason: 'Emotional resonance' }
+    ],
+
+    shareBoosters: [
+      { id: 'educational', pattern: '(まとめ|解説|攻略|ガイド|やり方)', weight: 8, reason: 'Shareable educational content' },
+      { id: 'news', pattern: '(お知らせ|発表|リリース|登場|公開)', weight: 6, reason: 'News-worthy content' }
+    ],
+
+    dwellBoosters: [
+      { id: 'curiosity', pattern: '(秘密|隠し|謎|解禁|物語|ストーリー)', weight: 10, reason: 'Curiosity keeps readers on the post' }
+    ],
+
+    followBoosters: [
+      { id: 'community-language', pattern: '(私たち|僕たち|みんなで|コミュニティ|仲間)', weight: 6, reason: 'Community language' }
+    ],
+
+    negativeTriggers: [
+      { id: 'hard-sell', pattern: '(今すぐ購入|期間限定|お見逃しなく|今だけ)', weight: -15, signal: 'P(not_interested)', reason: 'Hard sell language', strip: true },
+      { id: 'scam-language', pattern: '(必ず儲かる|絶対儲かる|確実に稼げる|無料でお金|100倍)', weight: -20, signal: 'P(report)', reason: 'Scam-associated language' },
+      { id: 'engagement-bait', pattern: '(いいねした人|RTした人|リツイートした人|フォローした人|拡散希望)', flags: 'i', weight: -12, signal: 'P(not_interested)', reason: 'Engagement bait', strip: true },
+      { id: 'dm-solicitation', pattern: '(DMください|DMで|詳細はDM)', flags: 'i', weight: -10, signal: 'P(block_author)', reason: 'Unsolicited DM solicitation' }
+    ],
+
+    mutedRiskPatterns: [
+      { id: 'crypto-terms', pattern: '(エアドロップ|エアドロ|ホワイトリスト|プレセール)', risk: 'high', reason: 'Commonly muted crypto terms',
+        replacements: { 'エアドロップ': '報酬配布', 'エアドロ': '報酬配布', 'ホワイトリスト': '先行アクセス', 'プレセール': '予約販売' } }
+    ],
+
+    timeSensitive: [
+      { id: 'time-sensitive', pattern: '(本日|今日|今夜|今から|配信中|速報)', weight: 15, reason: 'Time-sensitive language' },
+      { id: 'forward-tease', pattern: '(明日|今週|近日公開|お楽しみに)', weight: 5, reason: 'Forward tease sets up a follow-up' }
+    ],
+
+    gmPatterns: [
+      { id: 'gm', pattern: 'おはよう', reason: 'GM post format' }
+    ]
+  },
+
+  phrases: {
+    spam: ['必ず儲かる', '期間限定', 'お見逃しなく', '今だけ', '100倍'],
+    engagementBait: ['いいねした人', 'rtした人', '拡散希望', 'フォローした人'],
+    curiosity: ['秘密', '隠し', '謎', '解禁', 'サプライズ', '限定公開']
+  }
+};
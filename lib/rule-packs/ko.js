@@ -0,0 +1,70 @@
+/**
+ * Korean Rule Pack
+ *
+ * Reply, CTA, bait, scam and muted-term patterns for drafts in Korean.
+ * Particles attach to the word before them, so patterns match stems as substrings.
+ */
+
+export default {
+  id: 'locale-ko',
+  name: '한국어',
+  version: '1.0.0',
+  priority: 0,
+  locale: 'ko',
+  description: 'Korean signal patterns, applied when the draft is in Korean',
+
+  patterns: {
+    replyBoosters: [
+      { id: 'conversation-invite', pattern: '(어떻게 생각|의견을? 남겨|알려주세요|여러분은|여러분의 생각)', weight: 8, reason: 'Direct conversation invitations' }
+    ],
+
+    clickBoosters: [
+      { id: 'cta-verbs', pattern: '(확인해 ?보세요|참여하세요|만나보세요|자세한 내용|지금 바로)', weight: 8, reason: 'Call-to-action verbs' },
+      { id: 'link-reference', pattern: '(프로필 링크|링크는 프로필|아래 링크)', weight: 5, reason: 'Link reference' }
+    ],
+
+    favoriteBoosters: [
+      { id: 'emotional-resonance', pattern: '(드디어|최고|신나|대박|기대)', weight: 7, reason: 'Emotional resonance' }
+    ],
+
+    shareBoosters: [
+      { id: 'educational', pattern: '(정리|가이드|공략|꿀팁|방법)', weight: 8, reason: 'Shareable educational content' },
+      { id: 'news', pattern: '(공지|출시|공개|발표|런칭)', weight: 6, reason: 'News-worthy content' }
+    ],
+
+    dwellBoosters: [
+      { id: 'curiosity', pattern: '(비밀|숨겨진|미스터리|해금|이야기|스토리)', weight: 10, reason: 'Curiosity keeps readers on the post' }
+    ],
+
+    followBoosters: [
+      { id: 'community-language', pattern: '(우리|커뮤니티|함께)', weight: 6, reason: 'Community language' }
+    ],
+
+    negativeTriggers: [
+      { id: 'hard-sell', pattern: '(지금 구매|기간 한정|놓치지 마세요|마감 임박)', weight: -15, signal: 'P(not_interested)', reason: 'Hard sell language', strip: true },
+      { id: 'scam-language', pattern: '(무조건 수익|원금 보장|수익 보장|100배)', weight: -20, signal: 'P(report)', reason: 'Scam-associated language' },
+      { id: 'engagement-bait', pattern: '(좋아요 누르면|리트윗하면|알티하면|팔로우하면|알티 부탁)', weight: -12, signal: 'P(not_interested)', reason: 'Engagement bait', strip: true },
+      { id: 'dm-solicitation', pattern: '(디엠 주세요|DM 주세요|DM으로|디엠으로)', flags: 'i', weight: -10, signal: 'P(block_author)', reason: 'Unsolicited DM solicitation' }
+    ],
+
+    mutedRiskPatterns: [
+      { id: 'crypto-terms', pattern: '(에어드랍|에어드롭|화이트리스트|프리세일)', risk: 'high', reason: 'Commonly muted crypto terms',
+        replacements: { '에어드랍': '보상 지급', '에어드롭': '보상 지급', '화이트리스트': '사전 참여', '프리세일': '사전 예약' } }
+    ],
+
+    timeSensitive: [
+      { id: 'time-sensitive', pattern: '(오늘|지금|라이브|속보|생방송)', weight: 15, reason: 'Time-sensitive language' },
+      { id: 'forward-tease', pattern: '(내일|이번 주|다음 주|곧 공개)', weight: 5, reason: 'Forward tease sets up a follow-up' }
+    ],
+
+    gmPatterns: [
+      { id: 'gm', pattern: '좋은 아침', reason: 'GM post format' }
+    ]
+  },
+
+  phrases: {
+    spam: ['무조건 수익', '원금 보장', '기간 한정', '놓치지 마세요', '100배'],
+    engagementBait: ['좋아요 누르면', '리트윗하면', '알티 부탁', '팔로우하면'],
+    curiosity: ['비밀', '숨겨진', '미스터리', '해금', '서프라이즈', '독점']
+  }
+};
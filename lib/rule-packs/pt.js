@@ -0,0 +1,71 @@
+/**
+ * Portuguese Rule Pack
+ *
+ * Reply, CTA, bait, scam and muted-term patterns for drafts in Portuguese.
+ * `\b` only knows ASCII letters, so words are bounded with Unicode lookarounds.
+ */
+
+export default {
+  id: 'locale-pt',
+  name: 'Português',
+  version: '1.0.0',
+  priority: 0,
+  locale: 'pt',
+  description: 'Portuguese signal patterns, applied when the draft is in Portuguese',
+
+  patterns: {
+    replyBoosters: [
+      { id: 'conversation-invite', pattern: '(?<![\\p{L}\\p{N}])(o que você acha|o que vocês acham|concorda|conta pra gente|comenta aí|e você)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 8, reason: 'Direct conversation invitations' },
+      { id: 'debate-starter', pattern: '(?<![\\p{L}\\p{N}])(opinião impopular|opinião polêmica)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 6, reason: 'Debate-starting language' }
+    ],
+
+    clickBoosters: [
+      { id: 'cta-verbs', pattern: '(?<![\\p{L}\\p{N}])(confira|descubra|participe|experimente|veja|explore|garanta|resgate|saiba mais)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 8, reason: 'Call-to-action verbs' },
+      { id: 'link-reference', pattern: '(?<![\\p{L}\\p{N}])(link na bio|link abaixo)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 5, reason: 'Link reference' }
+    ],
+
+    favoriteBoosters: [
+      { id: 'emotional-resonance', pattern: '(?<![\\p{L}\\p{N}])(incrível|animad[oa]s?|finalmente|enorme|amamos|adoro|demais)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 7, reason: 'Emotional resonance' }
+    ],
+
+    shareBoosters: [
+      { id: 'educational', pattern: '(?<![\\p{L}\\p{N}])(fio|guia|dicas|tutorial|passo a passo)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 8, reason: 'Shareable educational content' },
+      { id: 'news', pattern: '(?<![\\p{L}\\p{N}])(anúncio|apresentamos|lançamos|lançamento|já disponível)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 6, reason: 'News-worthy content' }
+    ],
+
+    dwellBoosters: [
+      { id: 'curiosity', pattern: '(?<![\\p{L}\\p{N}])(segredo|escondid[oa]|mistério|descubra|revela|desbloqueie|história)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 10, reason: 'Curiosity keeps readers on the post' }
+    ],
+
+    followBoosters: [
+      { id: 'community-language', pattern: '(?<![\\p{L}\\p{N}])(nós|noss[oa]s?|comunidade|família|galera)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 6, reason: 'Community language' }
+    ],
+
+    negativeTriggers: [
+      { id: 'hard-sell', pattern: '(?<![\\p{L}\\p{N}])(compre já|compre agora|tempo limitado|última chance|não perca)(?![\\p{L}\\p{N}])', flags: 'iu', weight: -15, signal: 'P(not_interested)', reason: 'Hard sell language', strip: true },
+      { id: 'scam-language', pattern: '(?<![\\p{L}\\p{N}])(dinheiro grátis|garantid[oa]s?|fique rico|ficar rico)(?![\\p{L}\\p{N}])', flags: 'iu', weight: -20, signal: 'P(report)', reason: 'Scam-associated language' },
+      { id: 'engagement-bait', pattern: '(?<![\\p{L}\\p{N}])(curte se|dá like se|rt se|compartilha se|me siga para|marque um amigo)(?![\\p{L}\\p{N}])', flags: 'iu', weight: -12, signal: 'P(not_interested)', reason: 'Engagement bait', strip: true },
+      { id: 'dm-solicitation', pattern: '(?<![\\p{L}\\p{N}])(chama na dm|me chama no privado|dm para|me manda seu)(?![\\p{L}\\p{N}])', flags: 'iu', weight: -10, signal: 'P(block_author)', reason: 'Unsolicited DM solicitation' }
+    ],
+
+    mutedRiskPatterns: [
+      { id: 'crypto-terms', pattern: '(?<![\\p{L}\\p{N}])(lista branca|pré-venda)(?![\\p{L}\\p{N}])', flags: 'iu', risk: 'high', reason: 'Commonly muted crypto terms',
+        replacements: { 'lista branca': 'acesso antecipado', 'pré-venda': 'reserva' } }
+    ],
+
+    timeSensitive: [
+      { id: 'time-sensitive', pattern: '(?<![\\p{L}\\p{N}])(hoje|hoje à noite|agora mesmo|ao vivo|urgente)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 15, reason: 'Time-sensitive language' },
+      { id: 'forward-tease', pattern: '(?<![\\p{L}\\p{N}])(amanhã|esta semana|em breve)(?![\\p{L}\\p{N}])', flags: 'iu', weight: 5, reason: 'Forward tease sets up a follow-up' }
+    ],
+
+    gmPatterns: [
+      { id: 'gm', pattern: '(?<![\\p{L}\\p{N}])bom dia(?![\\p{L}\\p{N}])', flags: 'iu', reason: 'GM post format' }
+    ]
+  },
+
+  phrases: {
+    spam: ['garantido', 'dinheiro grátis', 'última chance', 'não perca', 'tempo limitado', 'compre já'],
+    engagementBait: ['curte se', 'dá like se', 'rt se', 'compartilha se', 'marque um amigo'],
+    curiosity: ['segredo', 'escondido', 'descubra', 'mistério', 'revela', 'surpresa', 'exclusivo', 'desbloqueie']
+  }
+};
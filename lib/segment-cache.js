@@ -0,0 +1,83 @@
+/**
+ * Segment Cache
+ *
+ * Intl.Segmenter never joins words, graphemes or emoji across a line break,
+ * so long text can be segmented line by line and each line's result reused
+ * while it stays the same. Live analysis keeps one cache per session (see
+ * live-analysis.js), so an edit only segments the lines it touched; without
+ * a cache the text is segmented in one go.
+ */
+
+// ============================================
+// CONFIG
+// ============================================
+
+// Lines kept per cache, across all kinds of segmentation
+export const SEGMENT_CACHE_SIZE = 2000;
+
+// ============================================
+// CACHE
+// ============================================
+
+/**
+ * A least-recently-used cache of per-line segmentation
+ * @param {number} limit - Lines kept
+ * @returns {Object} { get(key, compute), clear(), size() }
+ */
+export function createSegmentCache(limit = SEGMENT_CACHE_SIZE) {
+  const entries = new Map();
+
+  return {
+    get(key, compute) {
+      if (entries.has(key)) {
+        const value = entries.get(key);
+        entries.delete(key);
+        entries.set(key, value);
+        return value;
+      }
+      const value = compute();
+      entries.set(key, value);
+      if (entries.size > limit) entries.delete(entries.keys().next().value);
+      return value;
+    },
+    clear: () => entries.clear(),
+    size: () => entries.size
+  };
+}
+
+/**
+ * Segment text line by line through a cache
+ * @param {string} text - Text to segment
+ * @param {Object} cache - From createSegmentCache, or null to segment the whole text
+ * @param {string} kind - What `segment` produces, e.g. 'words:en'; part of the cache key
+ * @param {Function} segment - text => [{ start, end } or { index }] with offsets into that text
+ * @returns {Array} The segments of the whole text, offsets into `text`
+ */
+export function segmentLines(text, cache, kind, segment) {
+  if (!cache) return segment(text);
+
+  const result = [];
+  // Lines keep their "\n", so a "\r\n" pair stays one grapheme
+  for (const { 0: line, index: at } of text.matchAll(/[^\n]*\n|[^\n]+$/g)) {
+    cache.get(`${kind}\n${line}`, () => segment(line)).forEach(item => {
+      result.push(at ? shift(item, at) : item);
+    });
+  }
+  return result;
+}
+
+function shift(item, by) {
+  const moved = { ...item };
+  if (item.start !== undefined) {
+    moved.start += by;
+    moved.end += by;
+  }
+  if (item.index !== undefined) moved.index += by;
+  return moved;
+}
+
+export default {
+  SEGMENT_CACHE_SIZE,
+  createSegmentCache,
+  segmentLines
+};
@@ -0,0 +1,218 @@
+/**
+ * Similarity
+ *
+ * Near-duplicate checks against our own past posts. Drafts are compared two
+ * ways: word shingles (Jaccard overlap - reused phrasing and templates) and
+ * TF-IDF cosine over words (converging vocabulary). X drops duplicates before
+ * ranking (DropDuplicatesFilter, RepostDeduplicationFilter) and AuthorDiversity
+ * demotes accounts that keep saying the same thing.
+ */
+
+import { findUrls } from './char-count.js';
+
+// Words per shingle
+export const SHINGLE_SIZE = 3;
+
+// A match at or above either threshold counts as a near-duplicate
+export const DUPLICATE_THRESHOLDS = { cosine: 0.8, jaccard: 0.5 };
+
+// Posts older than this no longer trigger the warning
+export const RECENT_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// TEXT FEATURES
+// ============================================
+
+/**
+ * Lowercased words with their offsets; URLs are skipped (X rewrites them to t.co)
+ * @param {string} text - Post text
+ * @returns {Array} { word, start, end }
+ */
+export function tokenize(text) {
+  const urls = findUrls(text);
+  return [...text.matchAll(/[\p{L}\p{N}#@][\p{L}\p{N}#@'’_-]*/gu)]
+    .filter(m => !urls.some(u => m.index >= u.start && m.index < u.end))
+    .map(m => ({ word: m[0].toLowerCase().replace(/[’]/g, "'").replace(/['_-]+$/, ''), start: m.index, end: m.index + m[0].length }));
+}
+
+// Shingles keyed by their first token; posts shorter than a shingle are one shingle
+function shingles(tokens) {
+  const size = Math.min(SHINGLE_SIZE, tokens.length);
+  const list = [];
+  for (let i = 0; i + size <= tokens.length && size > 0; i++) {
+    list.push(tokens.slice(i, i + size).map(t => t.word).join(' '));
+  }
+  return list;
+}
+
+function termCounts(tokens) {
+  const counts = new Map();
+  tokens.forEach(({ word }) => counts.set(word, (counts.get(word) || 0) + 1));
+  return counts;
+}
+
+// ============================================
+// CORPUS
+// ============================================
+
+/**
+ * Index past posts for comparison
+ * @param {Array} posts - { id?, text, date? } where date is when the post went out
+ * @returns {Object} { posts, idf, size } to pass to findSimilar / analyzePost `history`
+ */
+export function buildCorpus(posts) {
+  const indexed = posts
+    .filter(p => typeof p.text === 'string' && p.text.trim())
+    .map((p, i) => {
+      const tokens = tokenize(p.text);
+      const date = p.date ? new Date(p.date) : null;
+      return {
+        id: p.id !== undefined ? String(p.id) : `post-${i + 1}`,
+        text: p.text,
+        date: date && !Number.isNaN(date.getTime()) ? date : null,
+        shingles: new Set(shingles(tokens)),
+        counts: termCounts(tokens)
+      };
+    });
+
+  const df = new Map();
+  indexed.forEach(p => p.counts.forEach((_, word) => df.set(word, (df.get(word) || 0) + 1)));
+  // Smoothed, so a word in every post still carries a little weight
+  const idf = new Map([...df].map(([word, n]) => [word, Math.log((indexed.length + 1) / (n + 1)) + 1]));
+
+  indexed.forEach(p => { p.vector = weigh(p.counts, idf, indexed.length); });
+  return { posts: indexed, idf, size: indexed.length };
+}
+
+function weigh(counts, idf, size) {
+  const unseen = Math.log(size + 1) + 1;
+  const vector = new Map([...counts].map(([word, n]) => [word, n * (idf.get(word) ?? unseen)]));
+  const norm = Math.sqrt([...vector.values()].reduce((sum, v) => sum + v * v, 0));
+  vector.forEach((v, word) => vector.set(word, norm ? v / norm : 0));
+  return vector;
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * Past posts closest to a draft
+ * @param {string} text - Draft text
+ * @param {Object} corpus - Result of buildCorpus
+ * @param {Object} options - { limit = 3, minSimilarity = 0.3 }
+ * @returns {Array} { id, text, date, cosine, jaccard, similarity, sharedPhrases } best first,
+ *   where similarity is the higher of the two scores and sharedPhrases are
+ *   { text, start, end } runs of the draft that also appear in the past post
+ */
+export function findSimilar(text, corpus, options = {}) {
+  const { limit = 3, minSimilarity = 0.3 } = options;
+  const tokens = tokenize(text);
+  if (!tokens.length || !corpus.size) return [];
+
+  const draftShingles = shingles(tokens);
+  const draftSet = new Set(draftShingles);
+  const vector = weigh(termCounts(tokens), corpus.idf, corpus.size);
+
+  return corpus.posts
+    .map(post => {
+      let cosine = 0;
+      vector.forEach((v, word) => { cosine += v * (post.vector.get(word) || 0); });
+      const shared = [...draftSet].filter(s => post.shingles.has(s)).length;
+      const jaccard = shared / (draftSet.size + post.shingles.size - shared || 1);
+      return { post, cosine: round(cosine), jaccard: round(jaccard) };
+    })
+    .map(m => ({ ...m, similarity: Math.max(m.cosine, m.jaccard) }))
+    .filter(m => m.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit)
+    .map(({ post, cosine, jaccard, similarity }) => ({
+      id: post.id,
+      text: post.text,
+      date: post.date && post.date.toISOString(),
+      cosine,
+      jaccard,
+      similarity,
+      sharedPhrases: sharedPhrases(text, tokens, draftShingles, post.shingles)
+    }));
+}
+
+// Merge consecutive shared shingles into phrases of the draft
+function sharedPhrases(text, tokens, draftShingles, pastShingles) {
+  const size = Math.min(SHINGLE_SIZE, tokens.length);
+  const phrases = [];
+  let open = null;
+  draftShingles.forEach((shingle, i) => {
+    if (pastShingles.has(shingle)) {
+      if (open && i <= open.last + 1) open.last = i;
+      else phrases.push(open = { first: i, last: i });
+    }
+  });
+  return phrases.map(({ first, last }) => {
+    const start = tokens[first].start;
+    const end = tokens[last + size - 1].end;
+    return { text: text.slice(start, end), start, end };
+  });
+}
+
+/**
+ * Check a draft against past posts
+ * Undated posts count as recent
+ * @param {string} text - Draft text
+ * @param {Object} corpus - Result of buildCorpus
+ * @param {Object} options - { now, recentDays = RECENT_DAYS, thresholds = DUPLICATE_THRESHOLDS, limit }
+ * @returns {Object} { matches, duplicate, recent } where duplicate is the closest match over a
+ *   threshold (or null) and recent says whether it went out within recentDays
+ */
+export function checkDuplicates(text, corpus, options = {}) {
+  const { now = new Date(), recentDays = RECENT_DAYS, thresholds = DUPLICATE_THRESHOLDS, limit } = options;
+  const matches = findSimilar(text, corpus, { limit });
+  const duplicate = matches.find(m => m.cosine >= thresholds.cosine || m.jaccard >= thresholds.jaccard) || null;
+  const recent = Boolean(duplicate) && (!duplicate.date || Math.abs(new Date(now) - new Date(duplicate.date)) <= recentDays * DAY_MS);
+  return { matches, duplicate, recent };
+}
+
+// ============================================
+// SOURCES
+// ============================================
+
+/**
+ * History posts from parsed X analytics rows (see parseAnalyticsCsv)
+ * @param {Array} rows - { postId, date, text }
+ * @returns {Array} { id, text, date }
+ */
+export function historyFromAnalytics(rows) {
+  return rows
+    .filter(row => row.text)
+    .map((row, i) => ({ id: row.postId || `analytics-${i + 1}`, text: row.text, date: row.date || null }));
+}
+
+/**
+ * History posts from library records marked as posted
+ * @param {Array} posts - Library posts (see library.js)
+ * @param {string} excludeId - Post being edited, so it is not compared with itself
+ * @returns {Array} { id, text, date }
+ */
+export function historyFromLibrary(posts, excludeId) {
+  return posts
+    .filter(post => post.status === 'posted' && post.id !== excludeId)
+    .map(post => ({ id: post.id, text: post.text, date: post.options?.postAt || post.updatedAt }));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default {
+  SHINGLE_SIZE,
+  DUPLICATE_THRESHOLDS,
+  RECENT_DAYS,
+  tokenize,
+  buildCorpus,
+  findSimilar,
+  checkDuplicates,
+  historyFromAnalytics,
+  historyFromLibrary
+};
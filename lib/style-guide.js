@@ -0,0 +1,268 @@
+/**
+ * Style Guide
+ *
+ * Checks drafts against the brand style guide a rule pack carries in its
+ * `style` section: canonical spellings, banned and preferred terms, the
+ * emoji policy, sign-offs and per-tone word lists. The same guide is
+ * rendered as prompt text so AI drafts start out compliant.
+ */
+
+import { findUrls } from './char-count.js';
+import { segmentLines } from './segment-cache.js';
+
+// ============================================
+// CONFIG
+// ============================================
+
+// Score lost per violation, by severity
+const SEVERITY_PENALTY = { high: 25, medium: 15, low: 5 };
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+// Trailing hashtags, links, emoji and punctuation don't count against a sign-off
+const TRAILER_PATTERN = /(?:\s|#\w+|https?:\/\/\S+|\p{Extended_Pictographic}|\uFE0F|\u200D|[.!?…])+$/u;
+
+const graphemes = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+// ============================================
+// CHECKING
+// ============================================
+
+/**
+ * Check a draft against a style guide
+ * @param {string} text - The post text
+ * @param {Object} style - `style` section of a compiled rule set
+ * @param {Object} options - { tone, cache } where `cache` is a segment cache (see segment-cache.js)
+ * @returns {Object} { score, violations }
+ *   violations - [{ rule, severity, message, fix, replacement, spans }] where `replacement`
+ *   is the text to put in place of each span ('' removes it, null when there's no safe swap)
+ */
+export function checkStyle(text, style, options = {}) {
+  if (!style) return { score: 100, violations: [] };
+
+  const urls = findUrls(text);
+  // Links, handles and hashtags keep their own spelling
+  const inProse = span => !/[#@]$/.test(text.slice(0, span.start)) &&
+    !urls.some(u => span.start < u.end && u.start < span.end);
+  const find = (term, pattern) => termSpans(text, term, pattern).filter(inProse);
+
+  const violations = [];
+
+  (style.canonical || []).forEach(({ term, variants = [] }) => {
+    const spans = [
+      ...find(term, 'joined'),
+      ...variants.flatMap(variant => find(variant))
+    ].filter(span => span.text !== term);
+    if (!spans.length) return;
+    violations.push({
+      rule: 'canonical-spelling',
+      severity: 'medium',
+      message: `Write "${term}", not "${spans[0].text}"`,
+      fix: `Spell it "${term}"`,
+      replacement: term,
+      spans: sortSpans(spans)
+    });
+  });
+
+  normalizeTerms(style.banned).forEach(({ term, replacement, reason }) => {
+    const spans = find(term);
+    if (!spans.length) return;
+    violations.push({
+      rule: 'banned-term',
+      severity: 'high',
+      message: `"${spans[0].text}" is off-brand${reason ? ` - ${reason}` : ''}`,
+      fix: replacementFix(replacement),
+      replacement,
+      spans
+    });
+  });
+
+  (style.preferred || []).forEach(({ term, instead }) => {
+    instead.forEach(other => {
+      const spans = find(other);
+      if (!spans.length) return;
+      violations.push({
+        rule: 'preferred-term',
+        severity: 'low',
+        message: `Say "${term}" instead of "${spans[0].text}"`,
+        fix: replacementFix(term),
+        replacement: term,
+        spans
+      });
+    });
+  });
+
+  if (style.emoji) violations.push(...checkEmoji(text, style.emoji, options.cache));
+
+  const tone = toneKey(style.tones, options.tone);
+  if (tone) {
+    const { banned, reason } = style.tones[tone];
+    normalizeTerms(banned).forEach(({ term, replacement }) => {
+      const spans = find(term);
+      if (!spans.length) return;
+      violations.push({
+        rule: `tone-${tone.toLowerCase()}`,
+        severity: 'medium',
+        message: `"${spans[0].text}" doesn't fit ${options.tone} posts${reason ? ` - ${reason}` : ''}`,
+        fix: replacementFix(replacement),
+        replacement,
+        spans
+      });
+    });
+  }
+
+  const signOff = checkSignOff(text, style.signOff, options.tone);
+  if (signOff) violations.push(signOff);
+
+  const score = violations.reduce((total, v) => total - SEVERITY_PENALTY[v.severity], 100);
+  return { score: Math.max(0, score), violations };
+}
+
+function checkEmoji(text, { allowed, max }, cache) {
+  const violations = [];
+  const emoji = segmentLines(text, cache, 'emoji', emojiSpans);
+
+  if (allowed) {
+    const set = new Set(allowed.map(stripVariation));
+    const spans = emoji.filter(e => !set.has(stripVariation(e.text)));
+    if (spans.length) {
+      violations.push({
+        rule: 'emoji-not-allowed',
+        severity: 'low',
+        message: `${[...new Set(spans.map(s => s.text))].join(' ')} ${spans.length === 1 ? 'isn\'t' : 'aren\'t'} in the brand emoji set`,
+        fix: `Use ${allowed.join(' ')}`,
+        replacement: '',
+        spans
+      });
+    }
+  }
+
+  if (max !== undefined && emoji.length > max) {
+    violations.push({
+      rule: 'emoji-limit',
+      severity: 'medium',
+      message: `${emoji.length} emoji - the style guide allows ${max}`,
+      fix: `Keep ${max === 0 ? 'emoji out of posts' : `the first ${max}`}`,
+      replacement: '',
+      spans: emoji.slice(max)
+    });
+  }
+
+  return violations;
+}
+
+function checkSignOff(text, signOff, tone) {
+  if (!signOff?.phrases?.length) return null;
+  if (signOff.tones && !signOff.tones.some(t => t.toLowerCase() === String(tone).toLowerCase())) return null;
+
+  const body = text.replace(TRAILER_PATTERN, '').toLowerCase();
+  if (signOff.phrases.some(phrase => body.endsWith(phrase.replace(TRAILER_PATTERN, '').toLowerCase()))) return null;
+
+  const [phrase] = signOff.phrases;
+  return {
+    rule: 'sign-off',
+    severity: 'medium',
+    message: `Sign off ${signOff.tones ? `${tone} posts` : 'posts'} with "${signOff.phrases.join('" or "')}"`,
+    fix: `Close with "${phrase}"`,
+    replacement: phrase,
+    spans: []
+  };
+}
+
+// ============================================
+// PROMPT
+// ============================================
+
+/**
+ * The style guide as instructions for an LLM prompt
+ * @param {Object} style - `style` section of a compiled rule set
+ * @returns {string} Prompt text, or '' when there's no guide
+ */
+export function styleGuidePrompt(style) {
+  if (!style) return '';
+  const lines = [];
+
+  if (style.canonical?.length) {
+    lines.push(`Spell and capitalize exactly: ${style.canonical.map(c => c.term).join(', ')}`);
+  }
+  const banned = normalizeTerms(style.banned);
+  if (banned.length) {
+    lines.push(`Never write: ${banned.map(b => b.replacement ? `"${b.term}" (say "${b.replacement}")` : `"${b.term}"`).join(', ')}`);
+  }
+  if (style.preferred?.length) {
+    lines.push(`Word choice: ${style.preferred.map(p => `"${p.term}" not ${p.instead.map(i => `"${i}"`).join('/')}`).join(', ')}`);
+  }
+  if (style.emoji) {
+    const { allowed, max } = style.emoji;
+    lines.push(`Emoji: ${[allowed && `only ${allowed.join(' ')}`, max !== undefined && `at most ${max} per post`].filter(Boolean).join(', ')}`);
+  }
+  if (style.signOff?.phrases?.length) {
+    const who = style.signOff.tones ? `${style.signOff.tones.join('/')} posts` : 'posts';
+    lines.push(`End ${who} with "${style.signOff.phrases.join('" or "')}"`);
+  }
+  Object.entries(style.tones || {}).forEach(([tone, { banned: words, reason }]) => {
+    lines.push(`${tone[0].toUpperCase()}${tone.slice(1)} posts never use ${normalizeTerms(words).map(w => `"${w.term}"`).join(', ')}${reason ? ` - ${reason}` : ''}`);
+  });
+
+  return lines.length ? `Brand style guide - every post you write must follow it:\n- ${lines.join('\n- ')}` : '';
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Banned lists take plain terms or { term, replacement, reason }
+function normalizeTerms(list = []) {
+  return list.map(entry => typeof entry === 'string'
+    ? { term: entry, replacement: null, reason: null }
+    : { term: entry.term, replacement: entry.replacement ?? null, reason: entry.reason || null });
+}
+
+// Case-insensitive whole-word occurrences; 'joined' also finds the words run together or hyphenated
+function termSpans(text, term, mode) {
+  const words = term.trim().split(/\s+/).map(escapeRegex);
+  const source = words.join(mode === 'joined' ? '[\\s_-]*' : '\\s+');
+  const regex = new RegExp(`(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])`, 'giu');
+  return [...text.matchAll(regex)].map(m => ({ start: m.index, end: m.index + m[0].length, text: m[0] }));
+}
+
+function emojiSpans(text) {
+  if (!graphemes) {
+    return [...text.matchAll(new RegExp(EMOJI_PATTERN.source, 'gu'))]
+      .map(m => ({ start: m.index, end: m.index + m[0].length, text: m[0] }));
+  }
+  // Segment objects are dropped as they are visited; only emoji spans are kept
+  return Array.from(graphemes.segment(text), ({ segment, index }) =>
+    EMOJI_PATTERN.test(segment) && { start: index, end: index + segment.length, text: segment }).filter(Boolean);
+}
+
+function toneKey(tones, tone) {
+  if (!tones || !tone) return null;
+  return Object.keys(tones).find(key => key.toLowerCase() === String(tone).toLowerCase()) || null;
+}
+
+function replacementFix(replacement) {
+  if (replacement === null || replacement === undefined) return 'Cut it or reword the line';
+  return replacement ? `Use "${replacement}"` : 'Remove it';
+}
+
+function sortSpans(spans) {
+  return spans
+    .sort((a, b) => a.start - b.start)
+    .filter((span, i, all) => i === 0 || span.start >= all[i - 1].end);
+}
+
+function stripVariation(emoji) {
+  return emoji.replace(/\uFE0F/g, '');
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default {
+  checkStyle,
+  styleGuidePrompt
+};
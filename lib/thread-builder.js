@@ -0,0 +1,179 @@
+/**
+ * Thread Builder
+ *
+ * Splits long drafts into an ordered set of tweets on sentence and
+ * paragraph boundaries, and scores the resulting thread.
+ * Lengths are X weighted lengths (see char-count.js).
+ */
+
+import { MAX_WEIGHTED_LENGTH, countCharacters, weightedLength, findUrls } from './char-count.js';
+import { segmentSentences } from './language.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const TWEET_LIMIT = MAX_WEIGHTED_LENGTH;
+
+// Optimal thread length per the knowledge base (3-7 tweets)
+const IDEAL_THREAD_LENGTH = { min: 3, max: 7 };
+
+// ============================================
+// SPLITTING
+// ============================================
+
+/**
+ * Split a draft into thread tweets
+ * @param {string} text - The full draft
+ * @param {Object} options - { maxLength, numbering }
+ * @returns {Array} Tweets: { index, text, isHook, isLinkReply }
+ */
+export function splitThread(text, options = {}) {
+  const { maxLength = TWEET_LIMIT, numbering = true } = options;
+
+  const sentences = toSentences(text);
+  // Same link matching as the counter, so bare domains go to the link reply too
+  const body = sentences.filter(s => !findUrls(s.text).length);
+  const links = sentences.filter(s => findUrls(s.text).length);
+
+  // Numbering suffixes depend on the final count, so re-pack until the reserve fits
+  let digits = 1;
+  let chunks = [];
+  for (;;) {
+    const reserve = numbering ? ` (${'9'.repeat(digits)}/${'9'.repeat(digits)})`.length : 0;
+    chunks = [
+      ...pack(body, maxLength - reserve),
+      ...pack(links.map(s => ({ ...s, paragraphStart: false })), maxLength - reserve)
+        .map(chunk => ({ ...chunk, isLinkReply: true }))
+    ];
+    if (!numbering || String(chunks.length).length <= digits) break;
+    digits = String(chunks.length).length;
+  }
+
+  const total = chunks.length;
+  return chunks.map((chunk, i) => ({
+    index: i,
+    text: numbering && total > 1 ? `${chunk.text} (${i + 1}/${total})` : chunk.text,
+    isHook: i === 0,
+    isLinkReply: Boolean(chunk.isLinkReply)
+  }));
+}
+
+// Intl.Segmenter keeps dots inside URLs and numbers together, and ends Japanese
+// sentences at 。 with no space after; `spaced` records whether one followed
+function toSentences(text) {
+  const sentences = [];
+  text.trim().split(/\n\s*\n/).forEach(paragraph => {
+    const trimmed = paragraph.trim();
+    segmentSentences(trimmed).forEach((part, i) => {
+      sentences.push({ text: part.text, paragraphStart: i === 0, spaced: i > 0 && /\s/.test(trimmed[part.start - 1]) });
+    });
+  });
+  return sentences;
+}
+
+function pack(sentences, limit) {
+  const chunks = [];
+  let current = '';
+
+  const flush = () => {
+    if (current) chunks.push({ text: current });
+    current = '';
+  };
+
+  sentences.forEach(({ text, paragraphStart, spaced }) => {
+    const separator = paragraphStart ? '\n\n' : spaced ? ' ' : '';
+
+    // Prefer paragraph boundaries once the current tweet is reasonably full
+    if (current && paragraphStart && weightedLength(current) > limit / 2) flush();
+
+    if (!current && weightedLength(text) <= limit) {
+      current = text;
+    } else if (current && weightedLength(current + separator + text) <= limit) {
+      current += separator + text;
+    } else {
+      flush();
+      splitLong(text, limit).forEach((piece, i, pieces) => {
+        if (i < pieces.length - 1) chunks.push({ text: piece });
+        else current = piece;
+      });
+    }
+  });
+
+  flush();
+  return chunks;
+}
+
+// Sentences longer than a tweet break on word boundaries, words on the limit
+function splitLong(text, limit) {
+  const pieces = [];
+  let current = '';
+
+  text.split(/\s+/).forEach(word => {
+    while (weightedLength(word) > limit) {
+      if (current) pieces.push(current);
+      current = '';
+      const cut = countCharacters(word, { maxLength: limit }).overflowOffset;
+      pieces.push(word.slice(0, cut));
+      word = word.slice(cut);
+    }
+    if (!current) current = word;
+    else if (weightedLength(current + ' ' + word) <= limit) current += ' ' + word;
+    else {
+      pieces.push(current);
+      current = word;
+    }
+  });
+
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+/**
+ * Score a thread from its per-tweet analyses
+ * The hook is weighted for P(dwell) / P(click) since most readers only see it
+ * @param {Array} tweets - Tweets with an `analysis` from analyzePost
+ * @returns {Object} { score, hookScore, bodyScore, warnings }
+ */
+export function scoreThread(tweets) {
+  const warnings = [];
+  if (!tweets.length) return { score: 0, hookScore: 0, bodyScore: 0, warnings };
+
+  const [hook, ...rest] = tweets;
+
+  const hookScore = Math.round(
+    hook.analysis.scores.overall * 0.5 +
+    hook.analysis.predictions['P(dwell)'] * 0.25 +
+    hook.analysis.predictions['P(click)'] * 0.25
+  );
+
+  const body = rest.filter(t => !t.isLinkReply);
+  const bodyScore = body.length
+    ? Math.round(body.reduce((sum, t) => sum + t.analysis.scores.overall, 0) / body.length)
+    : hookScore;
+
+  let score = Math.round(hookScore * 0.6 + bodyScore * 0.4);
+
+  if (tweets.length < IDEAL_THREAD_LENGTH.min) {
+    warnings.push({ type: 'thread_length', message: `Only ${tweets.length} tweets - could this be a single post?` });
+  } else if (tweets.length > IDEAL_THREAD_LENGTH.max) {
+    score -= 5;
+    warnings.push({ type: 'thread_length', message: `${tweets.length} tweets - threads over ${IDEAL_THREAD_LENGTH.max} lose readers` });
+  }
+
+  if (tweets.some(t => t.isLinkReply)) {
+    warnings.push({ type: 'link', message: 'Links moved to the final reply to protect reach of the hook' });
+  }
+
+  return { score: Math.max(0, Math.min(100, score)), hookScore, bodyScore, warnings };
+}
+
+export default {
+  TWEET_LIMIT,
+  splitThread,
+  scoreThread
+};